@@ -0,0 +1,640 @@
+// app.js
+// The whole site as an Express app, without a server or a database connection:
+// server.js connects storage and listens; the tests (test/) run it against the
+// memory storage driver.
+const express = require('express');
+const path = require('path');
+const session = require('express-session');
+
+const Article = require('./models/Article');
+const repos = require('./repositories');
+const { isObjectId } = repos;
+const { listArticles, articleCard, QueryError } = require('./lib/articleQuery');
+const { registerNotificationHandlers } = require('./lib/notifications');
+const { registerRecommendationHandlers, recommendationsFor, alsoShelvedFor } = require('./lib/recommendations');
+const events = require('./lib/events');
+const { commentThread, withCommentCounts } = require('./lib/comments');
+const { withShelfInfo } = require('./lib/shelf');
+const { tagCounts } = require('./lib/tags');
+const { featuredOn } = require('./lib/featured');
+const { recordRevision, ensureRecorded } = require('./lib/revisions');
+const { deleteBook } = require('./lib/deletion');
+const { followStates, withFollowInfo, followableAuthor } = require('./lib/follows');
+const { renderNotFound, renderError } = require('./lib/pages');
+const { jsonForScript } = require('./lib/viewHelpers');
+const { safeReturnTo, signinUrl, requireRole, EDITOR_ROLES, isEditor, wantsJson } = require('./middleware/auth');
+const { csrfProtection } = require('./middleware/csrf');
+const { flash } = require('./middleware/flash');
+const { fieldErrors } = require('./lib/validation');
+const { rateLimit } = require('./middleware/rateLimit');
+const { imageUploads, storeUpload, discardUploads } = require('./middleware/upload');
+const { thumbUrlFor, releaseImages, ImageError } = require('./lib/images');
+const { getStorage, UPLOADS_URL } = require('./lib/storage');
+const { getConfig } = require('./lib/config');
+const { RepositoryStore } = require('./lib/sessionStore');
+
+const config = getConfig();
+const app = express();
+// behind a proxy, req.ip / req.protocol come from X-Forwarded-* (and secure cookies work)
+app.set('trust proxy', config.trustProxy);
+
+// comments, follows, moderation and publishing land in people's inboxes (see lib/notifications.js)
+registerNotificationHandlers();
+// saving articles, books and shelves makes "More like this" stale (see lib/recommendations.js)
+registerRecommendationHandlers();
+
+// /healthz and /readyz, before anything that would start a session (see routes/health.js)
+app.use(require('./routes/health'));
+
+// ====== Middleware ======
+app.use(express.urlencoded({ extended: true })); // for form POSTs
+app.use(express.json());                         // for JSON APIs
+// the forms with an image upload are multipart (see middleware/upload.js)
+app.post(['/write', '/write/:id'], imageUploads(['coverUpload']));
+app.post(['/admin/books', '/admin/books/:id/edit'], imageUploads(['imageUpload']));
+
+// Serve static files (bundle.js, images, JSON, CSS)
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Uploaded images: named by content hash, so browsers may keep them for good
+const storage = getStorage();
+if (storage.dir) {
+  app.use(UPLOADS_URL, express.static(storage.dir, { immutable: true, maxAge: '1y', index: false }));
+}
+
+// ================= SESSION SETUP =================
+// Kept in storage, so restarts don't sign anyone out (see lib/sessionStore.js)
+app.use(
+  session({
+    name: 'unread.sid',
+    secret: config.sessionSecret,
+    store: new RepositoryStore(),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: config.cookieSecure,
+      maxAge: config.sessionMaxAgeDays * 24 * 60 * 60 * 1000
+    }
+  })
+);
+
+// Make logged-in user available in all EJS views
+app.use((req, res, next) => {
+  res.locals.currentUser = req.session.user || null;
+  res.locals.isEditor = isEditor(req.session.user);
+  next();
+});
+
+// Unread count for the bell in the nav bar (pages only, not API calls)
+app.use(async (req, res, next) => {
+  res.locals.unreadNotifications = 0;
+  if (req.session.user && req.method === 'GET' && !wantsJson(req)) {
+    try {
+      res.locals.unreadNotifications = await repos.notifications.unreadCount(req.session.user.id);
+    } catch (err) {
+      console.error('Could not count notifications:', err.message);
+    }
+  }
+  next();
+});
+
+// One-time messages across redirects (see middleware/flash.js)
+app.use(flash);
+
+// Every POST/PUT/DELETE must carry the session's CSRF token (see middleware/csrf.js)
+app.use(csrfProtection);
+
+// Set EJS as view engine
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+app.locals.jsonForScript = jsonForScript;
+
+// ====== Routes: pages (frontend-backend flow) ======
+app.get('/', (req, res) => {
+  res.redirect('/home');
+});
+
+// IMPORTANT: always render the layout and tell it which page to include
+app.get('/home', async (req, res) => {
+  // Featured piece: today's pick from /admin/featured, or the daily rotation
+  let featured = null;
+  try {
+    featured = await featuredOn();
+  } catch (err) {
+    console.error('Error fetching featured article:', err.message);
+  }
+
+  res.render('partials/layout', { pageTitle: 'Home', page: 'home', featured });
+});
+
+app.get('/about', (req, res) => {
+  res.render('partials/layout', { pageTitle: 'About', page: 'about' });
+});
+
+// Archive feed: every live article, curated and community,
+// with the most used tags as sidebar filters
+const ARCHIVE_SIDEBAR_TAGS = 12;
+
+app.get('/archive', async (req, res) => {
+  let articles = [];
+  let tags = [];
+  try {
+    [articles, tags] = await Promise.all([
+      repos.articles.find(Article.liveFilter()).sort({ publishedAt: -1 }),
+      tagCounts({ limit: ARCHIVE_SIDEBAR_TAGS })
+    ]);
+    articles = (await withFollowInfo(articles, req.session.user)).map(articleCard);
+  } catch (err) {
+    console.error('Error fetching articles:', err.message);
+  }
+
+  res.render('partials/layout', { pageTitle: 'Archive', page: 'archive', articles, tags });
+});
+
+// Articles page: quotes plus the first page of articles; the rest load from
+// /api/articles as the reader scrolls
+app.get('/articles', async (req, res) => {
+  let articles = [];
+  let nextCursor = null;
+  let quotes = [];
+  try {
+    let firstPage;
+    [firstPage, quotes] = await Promise.all([
+      listArticles(),
+      repos.quotes.find().sort({ createdAt: 1 })
+    ]);
+    ({ items: articles, nextCursor } = firstPage);
+    articles = (await withFollowInfo(await withCommentCounts(articles), req.session.user)).map(articleCard);
+  } catch (err) {
+    console.error('Error fetching articles:', err.message);
+  }
+
+  res.render('partials/layout', {
+    pageTitle: 'Articles',
+    page: 'articles',
+    articles,
+    nextCursor,
+    quotes
+  });
+});
+
+// Full reading view for one article.
+// Accepts either the ObjectId or the slug, so old /articles/<id> links keep working
+// and redirect to the slug permalink.
+app.get('/articles/:id', async (req, res) => {
+  const { id } = req.params;
+  const article = isObjectId(id)
+    ? await repos.articles.findById(id)
+    : await repos.articles.findOne({ slug: id });
+
+  // Drafts and archived pieces only exist for the people who can edit them
+  const isPreview = !!article && !article.isLive();
+  if (!article || (isPreview && !article.canEdit(req.session.user))) {
+    return renderNotFound(res);
+  }
+
+  if (isObjectId(id) && article.slug) {
+    return res.redirect(301, article.url);
+  }
+
+  // count reads for "most read" (not the writer's own previews); no need to wait for it
+  if (!isPreview) {
+    repos.articles.updateOne({ _id: article._id }, { $inc: { views: 1 } })
+      .catch(err => console.error('Could not count article view:', err.message));
+  }
+
+  // Older piece = previous, newer piece = next (same order as the /articles cards)
+  const [prevArticle, nextArticle] = isPreview ? [null, null] : await Promise.all([
+    repos.articles.findOne({ ...Article.liveFilter(), publishedAt: { $lt: article.publishedAt } })
+      .sort({ publishedAt: -1 }).select('title slug'),
+    repos.articles.findOne({ ...Article.liveFilter(), publishedAt: { $gt: article.publishedAt } })
+      .sort({ publishedAt: 1 }).select('title slug')
+  ]);
+
+  const comments = isPreview ? [] : await commentThread(article._id, req.session.user);
+
+  // "More like this" is a nice-to-have: the page still renders if it can't be worked out
+  let moreLikeThis = [];
+  if (!isPreview) {
+    try {
+      moreLikeThis = (await recommendationsFor('article', article._id, { limit: 4 })) || [];
+    } catch (err) {
+      console.error('Error fetching recommendations:', err.message);
+    }
+  }
+
+  // Follow buttons for the byline and each tag (no byline button for anonymous pieces)
+  const author = followableAuthor(article);
+  const [[authorFollow], tagFollows] = await Promise.all([
+    author ? followStates(req.session.user, 'author', [author]) : [null],
+    followStates(req.session.user, 'tag', article.tags)
+  ]);
+
+  res.render('partials/layout', {
+    pageTitle: article.title,
+    page: 'article',
+    article,
+    isPreview,
+    prevArticle,
+    nextArticle,
+    comments,
+    authorFollow,
+    tagFollows,
+    moreLikeThis
+  });
+});
+
+// Books page (R in CRUD)
+app.get('/books', async (req, res) => {
+  const books = await withShelfInfo(await repos.books.find().sort({ createdAt: -1 }), req.session.user);
+  let alsoShelved = new Map();
+  try {
+    alsoShelved = await alsoShelvedFor(books.map(b => b._id));
+  } catch (err) {
+    console.error('Error fetching recommendations:', err.message);
+  }
+  books.forEach(b => { b.alsoShelved = alsoShelved.get(String(b._id)) || []; });
+  res.render('partials/layout', { pageTitle: 'Books', page: 'books', books });
+});
+
+// "My Shelf" and the shelf controls' JSON API (see routes/shelf.js)
+app.use(require('./routes/shelf'));
+
+// Following authors and tags, and the /following feed (see routes/follows.js)
+app.use(require('./routes/follows'));
+
+// Tag pages, tag autocomplete and /admin/tags (see routes/tags.js)
+app.use(require('./routes/tags'));
+
+// "More like this" / "Readers also shelved" as JSON (see routes/recommendations.js)
+app.use(require('./routes/recommendations'));
+
+// Today's featured piece and /admin/featured (see routes/featured.js)
+app.use(require('./routes/featured'));
+
+// Revision history, diffs and restore for articles and books (see routes/revisions.js)
+app.use(require('./routes/revisions'));
+
+// Notifications inbox (see routes/notifications.js)
+app.use(require('./routes/notifications'));
+
+// Write page: create, autosave, edit, schedule and delete (see routes/write.js)
+app.use(require('./routes/write'));
+
+// ================= AUTH ROUTES (single /signin page) =================
+
+function renderSignin(res, locals = {}) {
+  res.render('partials/layout', {
+    pageTitle: 'Sign In / Sign Up',
+    page: 'signin',
+    returnTo: '',
+    activeTab: 'signin',
+    values: {},
+    fieldErrors: {},
+    formError: '',
+    ...locals
+  });
+}
+
+// Password guessing: per network, and per email address whichever network it comes from
+const signinIpLimit = rateLimit({
+  name: 'signin-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many sign-in attempts from your network.'
+});
+const signinEmailLimit = rateLimit({
+  name: 'signin-email',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: req => String((req.body && req.body.email) || '').toLowerCase().trim(),
+  message: 'Too many sign-in attempts for this email address.'
+});
+const signupLimit = rateLimit({
+  name: 'signup-ip',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many new accounts from your network.'
+});
+
+// Show combined Sign In / Sign Up page
+// ?returnTo=/books sends the user back there after signing in or up
+app.get('/signin', (req, res) => {
+  renderSignin(res, { returnTo: safeReturnTo(req.query.returnTo) });
+});
+
+// If someone hits /signup directly, redirect to /signin
+app.get('/signup', (req, res) => {
+  res.redirect(signinUrl(req.query.returnTo));
+});
+
+// Store minimal user info in a fresh session: a new id, so one planted in
+// the browser before sign-in (session fixation) never becomes signed in
+function signIn(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(err => {
+      if (err) return reject(err);
+      req.session.user = {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+      };
+      resolve();
+    });
+  });
+}
+
+// Handle sign up (from Sign Up tab on signin page)
+app.post('/signup', signupLimit, async (req, res) => {
+  const { name, email, password } = req.body;
+  const returnTo = safeReturnTo(req.body.returnTo);
+  const values = { name, email };
+  const showErrors = (fieldErrors, status = 400) =>
+    renderSignin(res.status(status), { returnTo, activeTab: 'signup', values, fieldErrors });
+
+  try {
+    if (email && await repos.users.exists({ email })) {
+      return showErrors({ email: 'An account with this email already exists. Sign in instead, or reset your password.' }, 409);
+    }
+
+    const user = await repos.users.create({ name, email, password });
+
+    await signIn(req, user);
+    req.flash('success', `Welcome to The Unread Archive${user.name ? ', ' + user.name : ''}!`);
+    res.redirect(returnTo || '/home');
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (errors) return showErrors(errors);
+    console.error('Signup error:', err);
+    renderSignin(res.status(500), { returnTo, activeTab: 'signup', values, formError: 'We could not create your account. Please try again.' });
+  }
+});
+
+// Handle sign in
+app.post('/signin', signinIpLimit, signinEmailLimit, async (req, res) => {
+  const { email, password } = req.body;
+  const returnTo = safeReturnTo(req.body.returnTo);
+  const values = { email };
+
+  try {
+    if (!email || !password) {
+      return renderSignin(res.status(400), {
+        returnTo,
+        values,
+        fieldErrors: {
+          ...(!email && { email: 'Enter your email address.' }),
+          ...(!password && { password: 'Enter your password.' })
+        }
+      });
+    }
+
+    // Same message for "no such account" and "wrong password"
+    const wrongCredentials = () => renderSignin(res.status(401), {
+      returnTo,
+      values,
+      formError: "That email and password don't match an account."
+    });
+
+    const user = await repos.users.findOne({ email });
+    if (!user) return wrongCredentials();
+
+    const lockedMessage = until => `Too many wrong passwords. Sign-in for this account is paused until ${until.toUTCString()}; ` +
+      'you can also reset your password to unlock it now.';
+    if (user.isLocked()) {
+      return renderSignin(res.status(429), { returnTo, values, formError: lockedMessage(user.lockedUntil) });
+    }
+
+    if (!(await user.checkPassword(password))) {
+      const updated = await repos.users.registerFailedLogin(user);
+      if (updated.isLocked()) {
+        return renderSignin(res.status(429), { returnTo, values, formError: lockedMessage(updated.lockedUntil) });
+      }
+      return wrongCredentials();
+    }
+    await repos.users.clearFailedLogins(user);
+
+    await signIn(req, user);
+    req.flash('success', `Welcome back${user.name ? ', ' + user.name : ''}.`);
+    res.redirect(returnTo || '/home');
+  } catch (err) {
+    console.error('Signin error:', err);
+    renderSignin(res.status(500), { returnTo, values, formError: 'We could not sign you in. Please try again.' });
+  }
+});
+
+// Logout: a fresh session (nothing carried over) that only holds the goodbye message
+app.post('/logout', (req, res, next) => {
+  req.session.regenerate(err => {
+    if (err) return next(err);
+    req.flash('info', 'You are signed out.');
+    res.redirect('/home');
+  });
+});
+
+// Forgot / reset password and the account page (see routes/account.js)
+app.use(require('./routes/account'));
+
+// ====== Admin: full CRUD for Books ======
+// Editors and admins only; everyone else gets 401 (signed out) or 403 (wrong role)
+app.use('/admin/books', requireRole(...EDITOR_ROLES));
+
+function renderAdminBooks(res, books, locals = {}) {
+  res.render('partials/layout', {
+    pageTitle: 'Manage Books',
+    page: 'admin-books',
+    books,
+    values: {},
+    fieldErrors: {},
+    editErrors: null,
+    ...locals
+  });
+}
+
+function bookFields(body) {
+  const { title, description, image } = body;
+  return { title, description, image, thumb: thumbUrlFor(image) };
+}
+
+// An uploaded image replaces the URL field; resolves to an error message when refused
+async function takeBookUpload(req) {
+  try {
+    const url = await storeUpload(req, 'imageUpload', 'book');
+    if (url) {
+      req.typedImage = req.body.image;
+      req.body.image = url;
+    }
+    return null;
+  } catch (err) {
+    if (err instanceof ImageError) return err.message;
+    throw err;
+  }
+}
+
+// The book wasn't saved: remove the uploaded image and put the typed URL back.
+// Resolves to the field error to show, if anything was uploaded.
+async function dropBookUpload(req) {
+  if (!(await discardUploads(req))) return {};
+  req.body.image = req.typedImage || '';
+  return { imageUpload: 'Choose the image again; it was not kept because the book was not saved.' };
+}
+
+app.get('/admin/books', async (req, res) => {
+  const books = await repos.books.find().sort({ createdAt: -1 });
+  renderAdminBooks(res, books);
+});
+
+// CREATE
+app.post('/admin/books', async (req, res) => {
+  const uploadError = await takeBookUpload(req);
+  const fields = bookFields(req.body);
+  if (uploadError) {
+    const books = await repos.books.find().sort({ createdAt: -1 });
+    return renderAdminBooks(res.status(400), books, { values: fields, fieldErrors: { imageUpload: uploadError } });
+  }
+
+  try {
+    const book = await repos.books.create(fields);
+    await recordRevision('book', book, req.session.user);
+    events.emit('book.saved', { book });
+    req.flash('success', `Added "${book.title}".`);
+    res.redirect('/admin/books');
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) {
+      await discardUploads(req);
+      throw err;
+    }
+    const uploadErrors = await dropBookUpload(req);
+    const books = await repos.books.find().sort({ createdAt: -1 });
+    renderAdminBooks(res.status(400), books, { values: bookFields(req.body), fieldErrors: { ...errors, ...uploadErrors } });
+  }
+});
+
+// UPDATE (through save() so the schema's validators run)
+app.post('/admin/books/:id/edit', async (req, res) => {
+  const book = isObjectId(req.params.id) ? await repos.books.findById(req.params.id) : null;
+  if (!book) return renderNotFound(res);
+
+  const uploadError = await takeBookUpload(req);
+  const fields = bookFields(req.body);
+  if (uploadError) {
+    const books = await repos.books.find().sort({ createdAt: -1 });
+    return renderAdminBooks(res.status(400), books, {
+      editErrors: { id: String(book._id), values: fields, fieldErrors: { imageUpload: uploadError } }
+    });
+  }
+
+  const oldImages = [book.image, book.thumb];
+  await ensureRecorded('book', book, req.session.user);
+  try {
+    book.set(fields);
+    await repos.books.save(book);
+    await recordRevision('book', book, req.session.user);
+    events.emit('book.saved', { book });
+    await releaseImages(oldImages);
+    req.flash('success', `Saved "${book.title}".`);
+    res.redirect('/admin/books');
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) {
+      await discardUploads(req);
+      throw err;
+    }
+    const uploadErrors = await dropBookUpload(req);
+    const books = await repos.books.find().sort({ createdAt: -1 });
+    renderAdminBooks(res.status(400), books, {
+      editErrors: { id: String(book._id), values: bookFields(req.body), fieldErrors: { ...errors, ...uploadErrors } }
+    });
+  }
+});
+
+// DELETE
+app.post('/admin/books/:id/delete', async (req, res) => {
+  const book = isObjectId(req.params.id) ? await repos.books.findById(req.params.id) : null;
+  if (!book) return renderNotFound(res);
+  await deleteBook(book);
+  req.flash('success', `Deleted "${book.title}".`);
+  res.redirect('/admin/books');
+});
+
+// Site-wide search page + JSON API (see routes/search.js)
+app.use(require('./routes/search'));
+
+// RSS / Atom / JSON Feed syndication (see routes/feeds.js)
+app.use(require('./routes/feeds'));
+
+// Article comments + admin moderation queue (see routes/comments.js)
+app.use(require('./routes/comments'));
+
+// Book reviews & suggestions JSON API (see routes/reviews.js)
+app.use('/api', require('./routes/reviews'));
+
+// Versioned JSON API for scripts, signed in with API tokens: books, articles,
+// quotes and /api/v1/openapi.json (see routes/apiV1.js). Its error handler goes
+// in again after it so body-parser errors (bad JSON) are answered as JSON too.
+const apiV1 = require('./routes/apiV1');
+app.use('/api/v1', apiV1, apiV1.handleErrors);
+
+// Articles JSON API: live articles only, newest first, one page at a time.
+//   ?limit=12 &cursor=<nextCursor> &sort=newest|oldest|most-read
+//   &tag=Poem &author=Jane%20Doe &from=2025-01-01 &to=2025-12-31 &source=community|curated
+// The next page is in both the body (nextCursor) and a Link: <...>; rel="next" header.
+app.get('/api/articles', async (req, res) => {
+  const options = {};
+  ['cursor', 'limit', 'sort', 'tag', 'author', 'from', 'to', 'source'].forEach(key => {
+    if (typeof req.query[key] === 'string' && req.query[key] !== '') options[key] = req.query[key];
+  });
+
+  let page;
+  try {
+    page = await listArticles(options);
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+
+  if (page.nextCursor) {
+    const params = new URLSearchParams({ ...options, cursor: page.nextCursor });
+    res.links({ next: `${req.protocol}://${req.get('host')}${req.path}?${params}` });
+  }
+
+  res.json({
+    items: (await withFollowInfo(await withCommentCounts(page.items), req.session.user)).map(articleCard),
+    nextCursor: page.nextCursor,
+    limit: page.limit,
+    sort: page.sort
+  });
+});
+
+// ====== 404 ======
+// Anything no route above matched
+app.use((req, res) => {
+  renderNotFound(res);
+});
+
+// ====== Errors ======
+// Anything a route threw: body-parser's refusals (bad JSON, too large…) keep
+// their 4xx status, the rest are logged and answered as a 500 without the
+// stack trace. Pages get the error page, fetch() calls get { error }.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const status = err.status || err.statusCode;
+  const refused = err.expose && status >= 400 && status < 500;
+  if (!refused) console.error('Unhandled error:', err);
+
+  const message = refused
+    ? (err.type === 'entity.parse.failed' ? 'The body is not valid JSON.' : err.message)
+    : 'Something went wrong on our side. Please try again.';
+  if (wantsJson(req)) {
+    return res.status(refused ? status : 500).json({ error: message });
+  }
+  renderError(res, refused ? status : 500, refused ? 'Request refused' : 'Something went wrong', message);
+});
+
+module.exports = app;
@@ -0,0 +1,188 @@
+// lib/articleQuery.js
+// Filtered, sorted, cursor-paginated lists of live articles (used by /api/articles
+// and the /articles page). Cursors are opaque base64url strings holding the sort
+// value and _id of the last item, so pages stay stable while new pieces arrive.
+const Article = require('../models/Article');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const escapeRegExp = require('./escapeRegExp');
+const { markdownToText } = require('./markdown');
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+
+// sort name -> the field we order by (ties broken by _id in the same direction)
+const SORTS = {
+  newest: { field: 'publishedAt', dir: -1 },
+  oldest: { field: 'publishedAt', dir: 1 },
+  'most-read': { field: 'views', dir: -1 }
+};
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = 400;
+  }
+}
+
+function encodeCursor(doc, sort) {
+  const value = doc[sort.field];
+  const payload = { v: value instanceof Date ? value.toISOString() : value, id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!isObjectId(id)) throw new Error('bad id');
+    const value = sort.field === 'publishedAt' ? new Date(v) : Number(v);
+    if (sort.field === 'publishedAt' ? isNaN(value) : !Number.isFinite(value)) throw new Error('bad value');
+    return { value, id };
+  } catch (err) {
+    throw new QueryError('Invalid cursor.');
+  }
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new QueryError(`"${name}" must be a date, e.g. 2025-01-31.`);
+  return date;
+}
+
+// one whole tag name, any case ("poem" matches an article tagged Poem, Nature)
+function tagPattern(tag) {
+  return new RegExp(`^${escapeRegExp(tag)}$`, 'i');
+}
+
+// whole byline, any case
+function authorPattern(author) {
+  return new RegExp(`^${escapeRegExp(author)}$`, 'i');
+}
+
+// Turn query-string options into a Mongo filter (always limited to live articles)
+function buildFilter({ tag, author, writer, from, to, source, follows }) {
+  const clauses = [Article.liveFilter()];
+
+  if (tag) {
+    clauses.push({ tags: tagPattern(tag) });
+  }
+  if (author) {
+    clauses.push({ author: authorPattern(author) });
+  }
+  // everything written under one account, whatever byline it used
+  if (writer) {
+    clauses.push({ isCommunity: true, user: writer });
+  }
+
+  // a reader's /following feed: anything written by one of the authors' accounts
+  // (whatever byline they used) or under one of the tags
+  if (follows) {
+    clauses.push({
+      $or: [
+        ...(follows.authors.length ? [{ isCommunity: true, user: { $in: follows.authors.map(a => a.id) } }] : []),
+        ...follows.tags.map(name => ({ tags: tagPattern(name) }))
+      ]
+    });
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate || toDate) {
+    clauses.push({ publishedAt: { ...(fromDate && { $gte: fromDate }), ...(toDate && { $lte: toDate }) } });
+  }
+
+  if (source) {
+    if (!['community', 'curated'].includes(source)) {
+      throw new QueryError('"source" must be "community" or "curated".');
+    }
+    clauses.push({ isCommunity: source === 'community' });
+  }
+
+  return clauses;
+}
+
+/**
+ * One page of live articles.
+ * @param {object} options  { cursor, limit, sort, tag, author, from, to, source } (all optional strings),
+ *                          writer: an account id for one writer's feed, plus follows: { authors: [{ id, name }], tags: [name] } for the /following feed
+ * @returns {Promise<{ items: Article[], nextCursor: string|null, limit: number, sort: string }>}
+ * @throws {QueryError} (status 400) for bad options
+ */
+async function listArticles(options = {}) {
+  const sortName = options.sort || 'newest';
+  const sort = SORTS[sortName];
+  if (!sort) {
+    throw new QueryError(`"sort" must be one of: ${Object.keys(SORTS).join(', ')}.`);
+  }
+
+  const limit = options.limit === undefined ? DEFAULT_LIMIT : parseInt(options.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new QueryError(`"limit" must be between 1 and ${MAX_LIMIT}.`);
+  }
+
+  // following nothing matches nothing (and Mongo refuses an empty $or)
+  if (options.follows && !options.follows.authors.length && !options.follows.tags.length) {
+    return { items: [], nextCursor: null, limit, sort: sortName };
+  }
+
+  const clauses = buildFilter(options);
+
+  if (options.cursor) {
+    const { value, id } = decodeCursor(options.cursor, sort);
+    const op = sort.dir === -1 ? '$lt' : '$gt';
+    clauses.push({
+      $or: [
+        { [sort.field]: { [op]: value } },
+        { [sort.field]: value, _id: { [op]: id } }
+      ]
+    });
+  }
+
+  // fetch one extra to know whether there is a next page
+  const docs = await repos.articles.find({ $and: clauses })
+    .sort({ [sort.field]: sort.dir, _id: sort.dir })
+    .limit(limit + 1);
+
+  const items = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? encodeCursor(items[items.length - 1], sort) : null;
+
+  return { items, nextCursor, limit, sort: sortName };
+}
+
+// Card fields that withCommentCounts / withFollowInfo add on the way out
+const CARD_EXTRAS = ['commentCount', 'followAuthor', 'authorFollowers', 'followingAuthor'];
+
+/**
+ * What a list or card shows of an article (for /api/articles and the list
+ * pages' inline JSON): never the body, its HTML, the owner or the view count;
+ * the reading view has those. Curated pieces hosted elsewhere link out.
+ * @param {Article|object} article  a document or a plain copy of one
+ */
+function articleCard(article) {
+  const a = typeof article.toJSON === 'function' ? article.toJSON() : article;
+  const card = {
+    _id: a._id,
+    slug: a.slug,
+    title: a.title,
+    author: a.author,
+    isAnonymous: !!a.isAnonymous,
+    isCommunity: a.isCommunity,
+    tag: a.tag,
+    tags: a.tags,
+    tagLinks: a.tagLinks,
+    excerpt: a.excerpt || (a.content ? markdownToText(a.content).slice(0, 120) + '...' : ''),
+    readTime: a.readTime,
+    coverImage: a.coverImage,
+    coverThumb: a.coverThumb,
+    publishedAt: a.publishedAt,
+    url: (!a.content && a.externalUrl) || a.url
+  };
+  CARD_EXTRAS.forEach(key => {
+    if (a[key] !== undefined) card[key] = a[key];
+  });
+  return card;
+}
+
+module.exports = { listArticles, articleCard, QueryError, SORTS, DEFAULT_LIMIT, MAX_LIMIT };
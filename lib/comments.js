@@ -0,0 +1,61 @@
+// lib/comments.js
+// Builds the comment thread a given reader sees, and comment counts for article cards
+const repos = require('../repositories');
+
+// Shape sent to the browser: never expose other users' ids, just what this reader may do
+function toClient(comment, sessionUser) {
+  const deleted = !!comment.deletedAt;
+  return {
+    id: comment._id,
+    parentId: comment.parent || null,
+    depth: comment.depth,
+    text: deleted ? '' : comment.text,
+    author: deleted ? null : comment.authorName,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt,
+    pending: comment.status === 'pending',
+    deleted,
+    mine: comment.isOwnedBy(sessionUser),
+    canEdit: comment.canEdit(sessionUser),
+    canDelete: comment.canDelete(sessionUser),
+    canReply: !deleted && comment.status === 'approved'
+  };
+}
+
+/**
+ * Nested comments for one article, oldest first at every level.
+ * Everyone sees approved comments; a signed-in reader also sees their own pending ones.
+ * Replies under a hidden comment go with it, and deleted placeholders with no
+ * replies left are dropped.
+ */
+async function commentThread(articleId, sessionUser) {
+  const visible = [{ status: 'approved' }];
+  if (sessionUser) visible.push({ status: 'pending', user: sessionUser.id });
+
+  const docs = await repos.comments.find({ article: articleId, $or: visible }).sort({ createdAt: 1 });
+
+  const nodes = new Map(docs.map(doc => [String(doc._id), { ...toClient(doc, sessionUser), replies: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    if (!node.parentId) return roots.push(node);
+    const parent = nodes.get(String(node.parentId));
+    if (parent) parent.replies.push(node);
+  });
+
+  const prune = list => list.filter(node => {
+    node.replies = prune(node.replies);
+    return !node.deleted || node.replies.length > 0;
+  });
+  return prune(roots);
+}
+
+// Plain article objects with a commentCount (approved comments) added
+async function withCommentCounts(articles) {
+  const counts = await repos.comments.countsFor(articles.map(a => a._id));
+  return articles.map(a => ({
+    ...(typeof a.toJSON === 'function' ? a.toJSON() : a),
+    commentCount: counts.get(String(a._id)) || 0
+  }));
+}
+
+module.exports = { commentThread, withCommentCounts, toClient };
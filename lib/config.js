@@ -0,0 +1,193 @@
+// lib/config.js
+// Every setting the site reads, checked once at startup. Each one comes from
+// its environment variable, else from the JSON file named by CONFIG_FILE
+// (keyed by the names below, e.g. { "port": 8080, "trustProxy": 1 }), else
+// its default. A bad value, or a setting production can't do without, stops
+// the server with the whole list of what to fix instead of failing later.
+//
+//   const { getConfig } = require('./config');
+//   getConfig().port
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MIN_SECRET_LENGTH = 32;
+// only ever used outside production, where nobody's session is worth stealing
+const DEVELOPMENT_SECRET = 'unread-archive-development-secret';
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Each type turns a raw value (a string from the environment, or anything
+// from the JSON file) into the setting, or throws saying what it should be
+const TYPES = {
+  string: value => String(value),
+
+  integer(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error('should be a whole number');
+    return n;
+  },
+
+  port(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n > 65535) throw new Error('should be a port number (0-65535)');
+    return n;
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (/^(1|true|yes|on)$/i.test(String(value))) return true;
+    if (/^(0|false|no|off)$/i.test(String(value))) return false;
+    throw new Error('should be true or false');
+  },
+
+  url(value) {
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch (err) {
+      throw new Error('should be an absolute URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('should be an http(s) URL');
+    return String(value).replace(/\/+$/, '');
+  },
+
+  // "a,b" or ["a", "b"]
+  list: value => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean),
+
+  // Express's "trust proxy": true/false, a number of hops, or addresses/subnets
+  trustProxy(value) {
+    if (typeof value === 'boolean' || /^(true|false)$/i.test(String(value))) return TYPES.boolean(value);
+    if (/^\d+$/.test(String(value))) return Number(value);
+    return String(value);
+  }
+};
+
+// name -> [environment variable, type, default, allowed values]; a default
+// given as a function is worked out from the settings before it
+const SETTINGS = {
+  env: ['NODE_ENV', 'string', 'development'],
+  port: ['PORT', 'port', 3000],
+  // the public address; password reset links are only ever built from it
+  siteUrl: ['SITE_URL', 'url', ''],
+  // behind a TLS-terminating proxy, set this (e.g. 1) or secure cookies never get sent
+  trustProxy: ['TRUST_PROXY', 'trustProxy', false],
+
+  dataDriver: ['DATA_DRIVER', 'string', 'mongo', ['mongo', 'memory', 'json']],
+  dataFile: ['DATA_FILE', 'string', path.join(ROOT, 'data', 'archive.json')],
+  mongoUrl: ['MONGO_URL', 'string', 'mongodb://127.0.0.1:27017/unreadArchive'],
+
+  // comma-separated to rotate: the first signs new cookies, the rest are still accepted
+  sessionSecret: ['SESSION_SECRET', 'list', config => (config.env === 'production' ? [] : [DEVELOPMENT_SECRET])],
+  sessionMaxAgeDays: ['SESSION_MAX_AGE_DAYS', 'integer', 14],
+  cookieSecure: ['COOKIE_SECURE', 'boolean', config => config.env === 'production'],
+  // how long a shutdown waits for requests in flight before cutting them off
+  shutdownTimeoutMs: ['SHUTDOWN_TIMEOUT_MS', 'integer', 10000],
+
+  storageDriver: ['STORAGE_DRIVER', 'string', 'local', ['local']],
+  uploadDir: ['UPLOAD_DIR', 'string', path.join(ROOT, 'uploads')],
+
+  mailTransport: ['MAIL_TRANSPORT', 'string', 'console', ['console', 'file']],
+  mailDir: ['MAIL_DIR', 'string', path.join(os.tmpdir(), 'unread-archive-mail')],
+  mailFrom: ['MAIL_FROM', 'string', 'The Unread Archive <no-reply@unreadarchive.com>'],
+
+  adminEmail: ['ADMIN_EMAIL', 'string', '']
+};
+
+function readFile(file, problems) {
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    problems.push(`CONFIG_FILE ${file} could not be read: ${err.message}`);
+    return {};
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    problems.push(`CONFIG_FILE ${file} should hold a JSON object`);
+    return {};
+  }
+  Object.keys(values)
+    .filter(key => !SETTINGS[key])
+    .forEach(key => problems.push(`CONFIG_FILE ${file}: unknown setting "${key}"`));
+  return values;
+}
+
+// The checks that need more than one setting
+function checkProduction(config, given, problems) {
+  if (config.env !== 'production') return;
+
+  if (!config.sessionSecret.length) {
+    problems.push('SESSION_SECRET is required in production (e.g. the output of `openssl rand -base64 48`)');
+  } else if (config.sessionSecret.some(secret => secret.length < MIN_SECRET_LENGTH)) {
+    problems.push(`SESSION_SECRET should be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (!config.siteUrl) {
+    problems.push('SITE_URL is required in production (e.g. https://unreadarchive.com)');
+  }
+  if (config.dataDriver === 'mongo' && !given.has('mongoUrl')) {
+    problems.push('MONGO_URL is required in production');
+  }
+}
+
+/**
+ * Read and check every setting.
+ * @param {object} options  { env: variables to read (default: process.env) }
+ * @returns {object} the settings, frozen
+ * @throws {ConfigError} listing every problem found
+ */
+function loadConfig({ env = process.env } = {}) {
+  const problems = [];
+  const file = env.CONFIG_FILE ? readFile(path.resolve(env.CONFIG_FILE), problems) : {};
+  const config = {};
+  const given = new Set();   // settings not left to their default
+
+  Object.entries(SETTINGS).forEach(([name, [variable, type, fallback, allowed]]) => {
+    let raw;
+    let source;
+    if (env[variable] !== undefined && env[variable] !== '') {
+      raw = env[variable];
+      source = variable;
+    } else if (file[name] !== undefined && file[name] !== null) {
+      raw = file[name];
+      source = `"${name}" in CONFIG_FILE`;
+    }
+
+    if (source === undefined) {
+      config[name] = typeof fallback === 'function' ? fallback(config) : fallback;
+      return;
+    }
+    given.add(name);
+    try {
+      config[name] = TYPES[type](raw);
+      if (allowed && !allowed.includes(config[name])) {
+        throw new Error(`should be one of: ${allowed.join(', ')}`);
+      }
+    } catch (err) {
+      problems.push(`${source} ${err.message} (got ${JSON.stringify(raw)})`);
+      config[name] = typeof fallback === 'function' ? fallback(config) : fallback;
+    }
+  });
+
+  checkProduction(config, given, problems);
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+let current = null;
+
+// The settings for this process, read on first use
+function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+module.exports = { getConfig, loadConfig, ConfigError, SETTINGS };
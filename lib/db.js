@@ -0,0 +1,14 @@
+// lib/db.js
+// The Mongo connection (MONGO_URL, see lib/config.js), shared by the server and the scripts/
+const mongoose = require('mongoose');
+const { getConfig } = require('./config');
+
+function connect() {
+  return mongoose.connect(getConfig().mongoUrl);
+}
+
+function disconnect() {
+  return mongoose.disconnect();
+}
+
+module.exports = { connect, disconnect };
@@ -0,0 +1,28 @@
+// lib/deletion.js
+// Deleting an article or a book together with what hangs off it (comments,
+// reviews, shelf entries, featured-piece schedules, revision history, images nothing
+// else uses). Shared by the write page, /admin/books and /api/v1.
+const repos = require('../repositories');
+const { releaseImages } = require('./images');
+const events = require('./events');
+
+async function deleteArticle(article) {
+  await repos.articles.remove(article);
+  await repos.comments.deleteMany({ article: article._id });
+  await repos.features.deleteMany({ article: article._id });
+  await repos.revisions.deleteMany({ kind: 'article', doc: article._id });
+  await releaseImages([article.coverImage, article.coverThumb]);
+  events.emit('article.deleted', { article });
+}
+
+async function deleteBook(book) {
+  await repos.books.remove(book);
+  await repos.shelfEntries.deleteMany({ book: book._id });
+  await repos.reviews.deleteMany({ bookId: String(book._id) });
+  await repos.features.deleteMany({ book: book._id });
+  await repos.revisions.deleteMany({ kind: 'book', doc: book._id });
+  await releaseImages([book.image, book.thumb]);
+  events.emit('book.deleted', { book });
+}
+
+module.exports = { deleteArticle, deleteBook };
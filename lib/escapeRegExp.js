@@ -0,0 +1,8 @@
+// lib/escapeRegExp.js
+
+// Text to match literally inside a RegExp: "C++ (2nd ed.)" -> "C\+\+ \(2nd ed\.\)"
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = escapeRegExp;
@@ -0,0 +1,33 @@
+// lib/events.js
+// A small in-process event bus. Routes and jobs announce what happened
+// (emit('comment.created', { comment, article })) and anything interested
+// subscribes with on(); lib/notifications.js is the first subscriber.
+// Handlers run after the current request carries on, and one that fails is
+// logged rather than surfaced to whoever triggered the event.
+const handlers = new Map();
+
+// Subscribe to one event type; returns a function that unsubscribes
+function on(type, handler) {
+  if (!handlers.has(type)) handlers.set(type, []);
+  handlers.get(type).push(handler);
+  return () => {
+    handlers.set(type, handlers.get(type).filter(h => h !== handler));
+  };
+}
+
+/**
+ * Announce an event. Callers normally don't wait; the returned promise
+ * (which never rejects) settles once every handler has finished.
+ * @param {string} type     e.g. 'comment.created'
+ * @param {object} payload  whatever that event type carries
+ */
+function emit(type, payload) {
+  const list = handlers.get(type) || [];
+  return Promise.all(list.map(handler =>
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(err => console.error(`"${type}" handler failed:`, err.message))
+  ));
+}
+
+module.exports = { on, emit };
@@ -0,0 +1,88 @@
+// lib/featured.js
+// "Today's Featured Piece": whatever editors scheduled for today in
+// /admin/featured (models/Feature.js), or, when nothing is, a daily rotation
+// through the curated articles and the books so the home page still changes.
+const Article = require('../models/Article');
+const Feature = require('../models/Feature');
+const repos = require('../repositories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Poem / Story / first tag, as the home page labels it
+function articleKind(article) {
+  const tags = article.tags || [];
+  return tags.includes('Poem') ? 'Poem' : tags.includes('Story') ? 'Story' : (tags[0] || 'Article');
+}
+
+/**
+ * The shape the home page and /api/featured/today use for a pick.
+ * @param {string} kind      'article' or 'book'
+ * @param {object} doc       the Article or Book
+ * @param {object} extra     { source: 'scheduled' | 'rotation', note, startsOn, endsOn }
+ */
+function toFeatured(kind, doc, { source, note = '', startsOn = null, endsOn = null }) {
+  const base = { kind, id: String(doc._id), source, title: doc.title, startsOn, endsOn };
+  if (kind === 'book') {
+    return {
+      ...base,
+      type: 'Book',
+      author: '',
+      summary: note || doc.description || '',
+      image: doc.thumb || doc.image || '',
+      url: `/books#review-${doc._id}`
+    };
+  }
+  return {
+    ...base,
+    type: articleKind(doc),
+    author: doc.isAnonymous ? 'Anonymous submission' : (doc.author || ''),
+    summary: note || doc.excerpt || '',
+    image: doc.coverThumb || doc.coverImage || '',
+    // the reading view, which links on to pieces hosted elsewhere
+    url: `/articles/${doc.slug || doc._id}`
+  };
+}
+
+// The first of today's schedules whose piece is still there (and still public)
+async function scheduledPick(date) {
+  const schedules = await repos.features.scheduledOn(date).populate('article').populate('book');
+  for (const feature of schedules) {
+    const doc = feature[feature.kind];
+    if (!doc || (feature.kind === 'article' && !doc.isLive(date))) continue;
+    return toFeatured(feature.kind, doc, {
+      source: 'scheduled',
+      note: feature.note,
+      startsOn: feature.startsOn,
+      endsOn: feature.endsOn
+    });
+  }
+  return null;
+}
+
+// Same pick all day, the next one tomorrow: curated articles first, then books
+async function rotationPick(date) {
+  const articleFilter = { ...Article.liveFilter(date), isCommunity: false };
+  const [articleCount, bookCount] = await Promise.all([
+    repos.articles.countDocuments(articleFilter),
+    repos.books.countDocuments()
+  ]);
+  if (!articleCount && !bookCount) return null;
+
+  const dayNumber = Math.floor(Feature.dayOf(date).getTime() / DAY_MS);
+  const n = dayNumber % (articleCount + bookCount);
+  const doc = n < articleCount
+    ? await repos.articles.findOne(articleFilter).sort({ createdAt: 1, _id: 1 }).skip(n)
+    : await repos.books.findOne().sort({ createdAt: 1, _id: 1 }).skip(n - articleCount);
+  return doc ? toFeatured(n < articleCount ? 'article' : 'book', doc, { source: 'rotation' }) : null;
+}
+
+/**
+ * The featured piece for a day.
+ * @param {Date} date  defaults to now (days are UTC, like the schedules)
+ * @returns {Promise<object|null>} null only when there is nothing at all to show
+ */
+async function featuredOn(date = new Date()) {
+  return (await scheduledPick(date)) || rotationPick(date);
+}
+
+module.exports = { featuredOn, toFeatured };
@@ -0,0 +1,176 @@
+// lib/feeds.js
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents for a list of live articles.
+// Everything here is pure string building; routes/feeds.js picks the articles
+// and handles caching headers.
+const crypto = require('crypto');
+
+const SITE_TITLE = 'The Unread Archive';
+const SITE_DESCRIPTION = 'Essays, stories and poems from The Unread Archive community.';
+
+const FORMATS = {
+  rss: { file: 'feed.xml', type: 'application/rss+xml; charset=utf-8' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml; charset=utf-8' },
+  json: { file: 'feed.json', type: 'application/feed+json; charset=utf-8' }
+};
+
+// XML 1.0 can't carry most control characters at all, escaped or not
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function absoluteUrl(siteUrl, url) {
+  if (!url) return null;
+  return /^https?:\/\//i.test(url) ? url : siteUrl + (url.startsWith('/') ? url : '/' + url);
+}
+
+function authorName(article) {
+  return article.isAnonymous ? 'Anonymous' : (article.author || 'Anonymous');
+}
+
+function lastChanged(article) {
+  return article.updatedAt && article.updatedAt > article.publishedAt ? article.updatedAt : article.publishedAt;
+}
+
+// Newest change across the feed (drives Last-Modified / <updated>)
+function feedUpdated(articles) {
+  return articles.reduce((latest, a) => {
+    const changed = lastChanged(a);
+    return changed && (!latest || changed > latest) ? changed : latest;
+  }, null);
+}
+
+// Changes whenever an item is added, removed or edited, or the feed itself changes
+function feedEtag(format, feed) {
+  const hash = crypto.createHash('sha1')
+    .update(`${format}|${feed.feedUrl}|${feed.title}`);
+  // tags too: an admin renaming or merging one doesn't touch updatedAt
+  feed.articles.forEach(a => hash.update(`|${a._id}:${lastChanged(a) ? lastChanged(a).getTime() : ''}:${(a.tags || []).join(',')}`));
+  return `W/"${hash.digest('base64url')}"`;
+}
+
+// One article in the shape every format shares
+function feedItem(article, siteUrl) {
+  const url = absoluteUrl(siteUrl, article.url);
+  return {
+    id: url,
+    url,
+    externalUrl: article.externalUrl || null,
+    title: article.title || '(untitled)',
+    author: authorName(article),
+    tags: article.tags || [],
+    summary: article.excerpt || '',
+    contentHtml: article.content ? article.contentHtml : `<p>${escapeXml(article.excerpt || '')}</p>`,
+    image: absoluteUrl(siteUrl, article.coverImage),
+    published: article.publishedAt,
+    updated: lastChanged(article)
+  };
+}
+
+function renderRss(feed, items) {
+  const updated = feedUpdated(feed.articles);
+  const entries = items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>${item.tags.map(tag => `
+      <category>${escapeXml(tag)}</category>`).join('')}
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>${updated ? `
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>` : ''}${entries}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, items) {
+  // Atom requires <updated>; an empty feed falls back to "now"
+  const updated = feedUpdated(feed.articles) || new Date();
+  const entries = items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <author><name>${escapeXml(item.author)}</name></author>${item.tags.map(tag => `
+    <category term="${escapeXml(tag)}"/>`).join('')}
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: 'en',
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      ...(item.externalUrl && { external_url: item.externalUrl }),
+      title: item.title,
+      content_html: item.contentHtml,
+      summary: item.summary,
+      ...(item.image && { image: item.image }),
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{ name: item.author }],
+      ...(item.tags.length && { tags: item.tags })
+    }))
+  }, null, 2);
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+/**
+ * Build one feed document.
+ * @param {string} format  'rss' | 'atom' | 'json'
+ * @param {object} feed    { title, description, siteUrl, homeUrl, feedUrl, articles }
+ * @returns {string}
+ */
+function renderFeed(format, feed) {
+  const items = feed.articles.map(a => feedItem(a, feed.siteUrl));
+  return RENDERERS[format](feed, items);
+}
+
+module.exports = {
+  renderFeed,
+  feedEtag,
+  feedUpdated,
+  escapeXml,
+  FORMATS,
+  SITE_TITLE,
+  SITE_DESCRIPTION
+};
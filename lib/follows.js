@@ -0,0 +1,80 @@
+// lib/follows.js
+// Follower counts and "already following?" for article cards, the reading view
+// and the /following page. What a Follow button sends to /api/follows is its
+// key: the writer's account id for an author, the name for a tag.
+const Article = require('../models/Article');
+const Follow = require('../models/Follow');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+
+// The writer a card can offer to follow, as { id, name }, or null: only pieces
+// written under an account have someone behind them (curated pieces carry the
+// byline of whoever wrote the original, not of the editor who added them)
+function followableAuthor(article) {
+  if (!article.isCommunity || !article.user || article.isAnonymous || !Follow.canFollowAuthor(article.author)) return null;
+  return { id: String(article.user), name: article.author };
+}
+
+// { id, name } for an account id that has something live to follow, else null
+async function authorToFollow(id) {
+  if (!isObjectId(id)) return null;
+  const latest = await repos.articles.findOne({ ...Article.liveFilter(), user: id, isCommunity: true })
+    .sort({ publishedAt: -1 });
+  return latest && followableAuthor(latest);
+}
+
+// authors are { id, name }, tags are names
+function targetOf(kind, target) {
+  return kind === 'author' ? { key: String(target.id), name: target.name } : { key: target, name: target };
+}
+
+/**
+ * { kind, key, name, followers, following } for each author or tag, in the given order.
+ * @param {object} sessionUser  req.session.user (may be null)
+ * @param {string} kind         'author' | 'tag'
+ * @param {Array} targets       authors as { id, name }, tags as names
+ */
+async function followStates(sessionUser, kind, targets) {
+  const list = targets.map(target => targetOf(kind, target));
+  const keys = list.map(({ key }) => Follow.keyFor(key));
+  const [counts, mine] = await Promise.all([
+    repos.follows.countsFor(kind, keys),
+    sessionUser && keys.length ? repos.follows.find({ user: sessionUser.id, kind, key: { $in: keys } }).select('key') : []
+  ]);
+  const following = new Set(mine.map(f => f.key));
+  return list.map(({ key, name }, i) => ({
+    kind,
+    key,
+    name,
+    followers: counts.get(keys[i]) || 0,
+    following: following.has(keys[i])
+  }));
+}
+
+/**
+ * Articles as plain objects with followAuthor (the writer's account id to
+ * follow, or null), authorFollowers and followingAuthor added, for the card
+ * Follow buttons.
+ * @param {Array} articles     Article documents or plain objects (e.g. from withCommentCounts)
+ * @param {object} sessionUser req.session.user (may be null)
+ */
+async function withFollowInfo(articles, sessionUser) {
+  const plain = articles.map(a => (typeof a.toJSON === 'function' ? a.toJSON() : a));
+  const authors = new Map();
+  plain.map(followableAuthor).filter(Boolean).forEach(author => authors.set(author.id, author));
+  const states = new Map((await followStates(sessionUser, 'author', [...authors.values()]))
+    .map(state => [state.key, state]));
+
+  return plain.map(a => {
+    const author = followableAuthor(a);
+    const state = author && states.get(author.id);
+    return {
+      ...a,
+      followAuthor: author ? author.id : null,
+      authorFollowers: state ? state.followers : 0,
+      followingAuthor: !!state && state.following
+    };
+  });
+}
+
+module.exports = { followStates, withFollowInfo, followableAuthor, authorToFollow };
@@ -0,0 +1,147 @@
+// lib/images.js
+// Uploaded covers: check the file really is an image, re-encode it (which also
+// drops EXIF data such as GPS positions), make a thumbnail for the cards and hand
+// both to the storage adapter. Filenames come from a hash of the uploaded bytes,
+// so the same picture uploaded twice is stored once and can be cached forever.
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const repos = require('../repositories');
+const { getStorage } = require('./storage');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Browser-reported type -> the format sharp must find in the bytes
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Full-size copies are capped; thumbnails are cropped to what the cards show
+const PRESETS = {
+  article: { full: { width: 1600, height: 1600, fit: 'inside' }, thumb: { width: 480, height: 270, fit: 'cover' } },
+  book: { full: { width: 1200, height: 1200, fit: 'inside' }, thumb: { width: 240, height: 360, fit: 'cover' } }
+};
+
+// Refuse "decompression bombs": small files that expand to enormous bitmaps
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+    this.status = 400;
+  }
+}
+
+function isAllowedType(mimetype) {
+  return Object.prototype.hasOwnProperty.call(IMAGE_TYPES, mimetype);
+}
+
+function toWebp(buffer, size) {
+  return sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate() // honour the camera's orientation before the metadata goes
+    .resize({ ...size, withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer();
+}
+
+/**
+ * Validate and store one uploaded image (a multer memory-storage file).
+ * @param {object} file    { buffer, mimetype, size }
+ * @param {string} preset  'article' | 'book'
+ * @returns {Promise<{ url: string, thumbUrl: string }>}
+ * @throws {ImageError} (status 400) when the file isn't an image we accept
+ */
+async function storeImage(file, preset) {
+  const sizes = PRESETS[preset];
+  if (!sizes) throw new Error(`Unknown image preset "${preset}"`);
+
+  if (!isAllowedType(file.mimetype)) {
+    throw new ImageError('Upload a JPEG, PNG, WebP or GIF image.');
+  }
+  if (file.size > MAX_UPLOAD_BYTES) {
+    throw new ImageError(`Images must be ${MAX_UPLOAD_BYTES / 1024 / 1024} MB or smaller.`);
+  }
+
+  // the browser only reports what the file name suggests; check the bytes agree
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw new ImageError('That file could not be read as an image.');
+  }
+  if (metadata.format !== IMAGE_TYPES[file.mimetype]) {
+    throw new ImageError('That file is not the kind of image its name says it is.');
+  }
+
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 24);
+  const fullKey = `${hash}-${preset}.webp`;
+  const thumbKey = `${hash}-${preset}-thumb.webp`;
+
+  let full;
+  let thumb;
+  try {
+    [full, thumb] = await Promise.all([toWebp(file.buffer, sizes.full), toWebp(file.buffer, sizes.thumb)]);
+  } catch (err) {
+    throw new ImageError('That image could not be processed. Try saving it as a JPEG or PNG.');
+  }
+
+  const storage = getStorage();
+  await storage.put(fullKey, full, 'image/webp');
+  await storage.put(thumbKey, thumb, 'image/webp');
+  return { url: storage.urlFor(fullKey), thumbUrl: storage.urlFor(thumbKey) };
+}
+
+// "/uploads/<hash>-book.webp" -> its thumbnail's URL; '' for images we didn't make
+// (pasted links, seed images), which the cards show at full size
+function thumbUrlFor(url) {
+  const storage = getStorage();
+  const key = url ? storage.keyFor(url) : null;
+  const match = key && /^([a-f0-9]{24})-(article|book)\.webp$/.exec(key);
+  return match ? storage.urlFor(`${match[1]}-${match[2]}-thumb.webp`) : '';
+}
+
+// In use by an article or book, or kept by a revision that could be restored
+async function isReferenced(url) {
+  const [article, book, revision] = await Promise.all([
+    repos.articles.exists({ $or: [{ coverImage: url }, { coverThumb: url }] }),
+    repos.books.exists({ $or: [{ image: url }, { thumb: url }] }),
+    repos.revisions.exists({
+      $or: [{ 'fields.coverImage': url }, { 'fields.coverThumb': url }, { 'fields.image': url }, { 'fields.thumb': url }]
+    })
+  ]);
+  return !!(article || book || revision);
+}
+
+/**
+ * Delete stored files that no article or book points at any more. Call it
+ * after the delete/update has been saved, with the URLs the document used to have.
+ * URLs outside our storage (seed images in /public, other sites) are ignored.
+ * Best effort: a file that can't be removed is logged, not thrown, since the
+ * change it follows has already been saved.
+ * @param {string[]} urls
+ */
+async function releaseImages(urls) {
+  const storage = getStorage();
+  for (const url of new Set(urls.filter(Boolean))) {
+    const key = storage.keyFor(url);
+    if (!key) continue;
+    try {
+      if (!(await isReferenced(url))) await storage.remove(key);
+    } catch (err) {
+      console.error(`Could not clean up ${url}:`, err);
+    }
+  }
+}
+
+module.exports = {
+  storeImage,
+  thumbUrlFor,
+  releaseImages,
+  isAllowedType,
+  ImageError,
+  MAX_UPLOAD_BYTES
+};
@@ -0,0 +1,65 @@
+// lib/mailer.js
+// Outgoing email goes through one transport, picked with MAIL_TRANSPORT (see lib/config.js):
+//   console (default) — prints the message to the server log
+//   file              — writes each message as JSON to MAIL_DIR (default: <tmp>/unread-archive-mail)
+// A real provider plugs in with setTransport({ name, send(message) }) at startup.
+const fs = require('fs/promises');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`📧 To: ${message.to}\n   Subject: ${message.subject}\n\n${message.text}\n`);
+  }
+};
+
+function fileTransport(dir = getConfig().mailDir) {
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      return file;
+    }
+  };
+}
+
+const TRANSPORTS = {
+  console: () => consoleTransport,
+  file: () => fileTransport()
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = getConfig().mailTransport;
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+function setTransport(next) {
+  if (!next || typeof next.send !== 'function') {
+    throw new Error('A mail transport needs a send(message) function');
+  }
+  transport = next;
+}
+
+/**
+ * Send one email.
+ * @param {object} message  { to, subject, text, html? }
+ */
+async function sendMail({ to, subject, text, html }) {
+  const message = { from: getConfig().mailFrom, to, subject, text };
+  if (html) message.html = html;
+  return getTransport().send(message);
+}
+
+module.exports = { sendMail, setTransport, getTransport, fileTransport, consoleTransport };
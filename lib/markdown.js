@@ -0,0 +1,55 @@
+// lib/markdown.js
+// Article content is stored as Markdown and turned into HTML only through here.
+// Everything marked produces goes through a strict sanitize-html allowlist, so a
+// writer can't smuggle <script>, event handlers or javascript: links into a page.
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Prose: normal Markdown paragraphs. Poems: every line break is kept, and a
+// blank line starts a new stanza (a new <p>).
+const prose = new Marked({ gfm: true, breaks: false });
+const verse = new Marked({ gfm: true, breaks: true });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'em', 'strong', 'del', 'blockquote',
+    'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'a', 'code', 'pre'
+  ],
+  allowedAttributes: { a: ['href', 'title', 'rel', 'target'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  // "# Title" inside a piece shouldn't compete with the page's own <h1>
+  transformTags: {
+    h1: 'h2',
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener', target: '_blank' })
+  }
+};
+
+function isPoem(tag) {
+  return /^\s*poem\b/i.test(tag || '');
+}
+
+/**
+ * Markdown -> safe HTML.
+ * @param {string} source   the stored Markdown
+ * @param {object} options  { tag } — the article tag; "Poem" keeps every line break
+ */
+function renderMarkdown(source, { tag } = {}) {
+  const parser = isPoem(tag) ? verse : prose;
+  return sanitizeHtml(parser.parse(String(source || '')), SANITIZE_OPTIONS);
+}
+
+// Plain text for excerpts, feeds and search snippets ("**Hi** there" -> "Hi there")
+function markdownToText(source) {
+  const html = prose.parse(String(source || ''));
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { renderMarkdown, markdownToText, isPoem };
@@ -0,0 +1,46 @@
+// lib/migrate.js
+// Versioned schema/data migrations. Each file in migrations/ runs once, in
+// file-name order (001-, 002-, ...), and is recorded in the migrations collection.
+//
+// A migration file exports:
+//   { description: 'what it does', async up({ db, mongoose }) { ... } }
+// Migrations must be safe to re-run if they fail halfway (use filters like
+// { field: { $exists: false } }), since a failed one is retried next time.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Migration = require('../models/Migration');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort()
+    .map(file => ({ name: file.replace(/\.js$/, ''), file: path.join(MIGRATIONS_DIR, file) }));
+}
+
+// Names of migrations that haven't run yet
+async function pendingMigrations() {
+  const applied = new Set((await Migration.find().select('name')).map(m => m.name));
+  return listMigrations().filter(m => !applied.has(m.name));
+}
+
+// Run everything pending; resolves to the names that ran. Stops at the first failure.
+async function runMigrations({ log = console.log } = {}) {
+  const pending = await pendingMigrations();
+  const ran = [];
+
+  for (const { name, file } of pending) {
+    const migration = require(file);
+    log(`⏫ Migrating ${name}: ${migration.description || ''}`);
+    await migration.up({ db: mongoose.connection.db, mongoose });
+    await Migration.create({ name });
+    ran.push(name);
+  }
+
+  return ran;
+}
+
+module.exports = { runMigrations, pendingMigrations, listMigrations };
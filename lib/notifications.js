@@ -0,0 +1,116 @@
+// lib/notifications.js
+// Turns events from lib/events.js into inbox notifications. Adding a new kind:
+// give it a type in models/Notification.js (so readers can switch it off),
+// emit an event where it happens, and subscribe to that event below.
+const repos = require('../repositories');
+const events = require('./events');
+
+const sameId = (a, b) => !!a && !!b && String(a) === String(b);
+
+// Following the same writer again within this long (after an unfollow) doesn't tell them twice
+const REFOLLOW_QUIET_MS = 30 * 24 * 60 * 60 * 1000;
+
+function quoted(title) {
+  const text = String(title || 'Untitled');
+  return `“${text.length > 80 ? text.slice(0, 79) + '…' : text}”`;
+}
+
+/**
+ * Add a notification to someone's inbox, unless they switched that type off.
+ * @param {ObjectId|string} userId
+ * @param {string} type               a key of Notification.TYPES
+ * @param {object} notification       { message, url, actor: the user who caused it }
+ * @returns {Promise<Notification|null>}
+ */
+async function notify(userId, type, { message, url = '', actor = null }) {
+  if (!userId) return null;
+  const user = await repos.users.findById(userId).select('notificationOptOuts');
+  if (!user || !user.wantsNotification(type)) return null;
+  return repos.notifications.create({ user: user._id, type, message, url, actor });
+}
+
+// An approved comment: tell whoever it replies to, and the article's writer
+async function onCommentCreated({ comment, article }) {
+  const url = `${article.url}#comment-${comment._id}`;
+  // comments from before replyTo was kept: the parent's writer is the best guess
+  let replyTo = comment.replyTo;
+  if (!replyTo && comment.parent) {
+    const parent = await repos.comments.findById(comment.parent).select('user');
+    replyTo = parent && parent.user;
+  }
+  const repliedTo = replyTo && !sameId(replyTo, comment.user) ? replyTo : null;
+
+  if (repliedTo) {
+    await notify(repliedTo, 'reply', {
+      message: `${comment.authorName} replied to your comment on ${quoted(article.title)}.`,
+      url
+    });
+  }
+  // someone replying on your own article hears about it once
+  if (article.user && !sameId(article.user, comment.user) && !sameId(article.user, repliedTo)) {
+    await notify(article.user, 'comment', {
+      message: `${comment.authorName} commented on ${quoted(article.title)}.`,
+      url
+    });
+  }
+}
+
+async function onCommentModerated({ comment }) {
+  if (!comment.user) return;
+  const article = await repos.articles.findById(comment.article).select('title slug');
+  const on = article ? ` on ${quoted(article.title)}` : '';
+  await notify(comment.user, 'moderation', {
+    message: comment.status === 'approved'
+      ? `A moderator approved your comment${on}.`
+      : `A moderator hid your comment${on}.`,
+    url: article ? `${article.url}#comment-${comment._id}` : ''
+  });
+}
+
+// Authors are followed by account, so exactly that writer hears about it, once
+// per reader: unfollowing and following again can't fill their inbox
+async function onFollowCreated({ follow, follower }) {
+  if (follow.kind !== 'author' || (follower && sameId(follow.author, follower.id))) return;
+  if (follower && await repos.notifications.exists({
+    user: follow.author,
+    type: 'follower',
+    actor: follower.id,
+    createdAt: { $gte: new Date(Date.now() - REFOLLOW_QUIET_MS) }
+  })) return;
+  const who = (follower && follower.name) || 'A reader';
+  await notify(follow.author, 'follower', { message: `${who} started following you.`, actor: follower && follower.id });
+}
+
+async function onArticlePublished({ article }) {
+  await notify(article.user, 'published', {
+    message: `Your scheduled piece ${quoted(article.title)} is now live.`,
+    url: article.url
+  });
+}
+
+async function onUserBanned({ user }) {
+  await notify(user._id, 'moderation', {
+    message: 'A moderator has stopped your account from commenting, and your comments are hidden.'
+  });
+}
+
+async function onUserUnbanned({ user }) {
+  await notify(user._id, 'moderation', {
+    message: 'A moderator has restored commenting on your account.'
+  });
+}
+
+// Called once when the app is built (app.js); returns a function that unsubscribes them all
+function registerNotificationHandlers() {
+  const offs = [
+    events.on('comment.created', onCommentCreated),
+    events.on('comment.moderated', onCommentModerated),
+    events.on('follow.created', onFollowCreated),
+    events.on('article.published', onArticlePublished),
+    events.on('user.banned', onUserBanned),
+    events.on('user.unbanned', onUserUnbanned)
+  ];
+  return () => offs.forEach(off => off());
+}
+
+module.exports = { registerNotificationHandlers, notify };
@@ -0,0 +1,170 @@
+// lib/openapi.js
+// Builds the OpenAPI 3 document for /api/v1 out of the endpoint list that
+// routes/apiV1.js registers its routes from, with object schemas read off the
+// Mongoose models, so the document describes what the code actually does.
+
+const ERROR_DESCRIPTIONS = {
+  400: 'The request is not valid; `fields` says what is wrong with which field',
+  401: 'No API token or session, or the token is not valid',
+  403: 'The token lacks the scope, or the account lacks the permission',
+  404: 'Not found (or not visible to the caller)',
+  409: 'Conflicts with what is already stored',
+  415: 'The body is not JSON',
+  429: 'Too many requests; see the Retry-After header'
+};
+
+const first = value => (Array.isArray(value) ? value[0] : value);
+
+// JSON schema for one Mongoose path
+function propertyFor(schemaType) {
+  const { options = {} } = schemaType;
+  let property;
+  switch (schemaType.instance) {
+    case 'Array':
+      property = { type: 'array', items: propertyFor(schemaType.embeddedSchemaType || schemaType.caster) };
+      break;
+    case 'Number':
+      property = { type: 'number' };
+      break;
+    case 'Boolean':
+      property = { type: 'boolean' };
+      break;
+    case 'Date':
+      property = { type: 'string', format: 'date-time' };
+      break;
+    case 'ObjectId':
+      property = { type: 'string', pattern: '^[a-f0-9]{24}$' };
+      break;
+    case 'String':
+      property = { type: 'string' };
+      if (options.maxlength) property.maxLength = first(options.maxlength);
+      if (schemaType.enumValues && schemaType.enumValues.length) property.enum = [...schemaType.enumValues];
+      break;
+    default:
+      property = {};
+  }
+  if (options.default === null) property.nullable = true;
+  return property;
+}
+
+/**
+ * Object schema for some of a model's fields.
+ * @param {Model} Model
+ * @param {string[]} fields     paths to include, in this order
+ * @param {object} options
+ *   extra     { name: schema } for properties that aren't schema paths (virtuals, id)
+ *   required  field names; true = whichever of `fields` the model always requires
+ *   override  { name: schema } replacing what was read off the model
+ */
+function modelSchema(Model, fields, { extra = {}, required = [], override = {} } = {}) {
+  const properties = {};
+  fields.forEach(field => {
+    properties[field] = override[field] || propertyFor(Model.schema.path(field));
+  });
+  Object.assign(properties, extra);
+
+  const requiredFields = required === true
+    ? fields.filter(field => first(Model.schema.path(field).options.required) === true)
+    : required;
+  return { type: 'object', properties, ...(requiredFields.length && { required: requiredFields }) };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// "/books/:id" -> "/books/{id}"
+const openapiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function operationFor(endpoint) {
+  const { operationId, summary, description, tag, auth, params = {}, query = [], body, responses, errors = [] } = endpoint;
+
+  const parameters = [
+    ...Object.entries(params).map(([name, text]) => ({
+      name, in: 'path', required: true, description: text, schema: { type: 'string' }
+    })),
+    ...query.map(({ name, description: text, schema }) => ({ name, in: 'query', description: text, schema }))
+  ];
+
+  const result = {};
+  Object.entries(responses).forEach(([status, response]) => {
+    result[status] = {
+      description: response.description,
+      ...(response.schema && { content: { 'application/json': { schema: response.schema } } })
+    };
+  });
+  const errorStatuses = new Set([...errors, ...(auth ? [401, 403] : []), ...(body ? [400, 415] : [])]);
+  [...errorStatuses].sort().forEach(status => {
+    result[status] = {
+      description: ERROR_DESCRIPTIONS[status],
+      content: { 'application/json': { schema: ref('Error') } }
+    };
+  });
+
+  const needs = auth ? `Needs the \`${auth}\` scope.` : 'No authentication needed.';
+  return {
+    tags: [tag],
+    summary,
+    description: [description, needs].filter(Boolean).join('\n\n'),
+    operationId,
+    // public endpoints still take a token or session (e.g. to see your own drafts)
+    security: auth ? [{ apiToken: [] }, { session: [] }] : [{}, { apiToken: [] }, { session: [] }],
+    ...(parameters.length && { parameters }),
+    ...(body && { requestBody: { required: true, content: { 'application/json': { schema: ref(body) } } } }),
+    responses: result
+  };
+}
+
+/**
+ * The whole document.
+ * @param {object} options
+ *   info       { title, version, description }
+ *   serverUrl  absolute base, e.g. https://example.com/api/v1
+ *   endpoints  [{ method, path, operationId, summary, tag, auth, params, query, body, responses, errors }]
+ *   schemas    { name: JSON schema }
+ */
+function buildSpec({ info, serverUrl, endpoints, schemas }) {
+  const paths = {};
+  endpoints.forEach(endpoint => {
+    const path = openapiPath(endpoint.path);
+    paths[path] = { ...paths[path], [endpoint.method]: operationFor(endpoint) };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info,
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(endpoints.map(e => e.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'A personal API token from your account page, scoped `read` or `read` + `write`.'
+        },
+        session: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'unread.sid',
+          description: 'The site\'s own sign-in. Writes also need the page\'s CSRF token in an X-CSRF-Token header.'
+        }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', description: 'What went wrong, fit to show a person' },
+            fields: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              description: 'For invalid input: field name -> what is wrong with it'
+            }
+          },
+          required: ['error']
+        },
+        ...schemas
+      }
+    }
+  };
+}
+
+module.exports = { buildSpec, modelSchema, ref };
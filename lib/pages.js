@@ -0,0 +1,17 @@
+// lib/pages.js
+// Shared error pages, rendered through the normal layout
+
+function renderNotFound(res) {
+  res.status(404).render('partials/layout', { pageTitle: 'Not Found', page: '404' });
+}
+
+function renderError(res, status, errorTitle, errorMessage) {
+  res.status(status).render('partials/layout', {
+    pageTitle: errorTitle,
+    page: 'error',
+    errorTitle,
+    errorMessage
+  });
+}
+
+module.exports = { renderNotFound, renderError };
@@ -0,0 +1,69 @@
+// lib/rateLimit.js
+// Fixed-window hit counters behind a pluggable store. The default keeps counts
+// in this process's memory; with several server processes, plug in a shared
+// store with setStore({ increment(key, windowMs), reset(key) }).
+
+class MemoryStore {
+  constructor({ sweepMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    // forget finished windows so the map doesn't grow forever
+    this.sweeper = setInterval(() => this.sweep(), sweepMs);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    });
+  }
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) store = new MemoryStore();
+  return store;
+}
+
+function setStore(next) {
+  if (!next || typeof next.increment !== 'function' || typeof next.reset !== 'function') {
+    throw new Error('A rate limit store needs increment(key, windowMs) and reset(key)');
+  }
+  store = next;
+}
+
+/**
+ * Count one hit against `key`.
+ * @returns {Promise<{ limited: boolean, remaining: number, retryAfter: number }>}
+ *          retryAfter is in whole seconds until the window resets
+ */
+async function hit(key, { windowMs, max }) {
+  const { count, resetAt } = await getStore().increment(key, windowMs);
+  return {
+    limited: count > max,
+    remaining: Math.max(0, max - count),
+    retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+  };
+}
+
+function reset(key) {
+  return getStore().reset(key);
+}
+
+module.exports = { hit, reset, getStore, setStore, MemoryStore };
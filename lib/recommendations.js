@@ -0,0 +1,298 @@
+// lib/recommendations.js
+// "More like this" for articles and "Readers also shelved" for books, computed
+// here from what the site already stores: TF-IDF over the text of every live
+// article and every book, shared tags and bylines, and which books the same
+// readers put on their shelves. The whole index is small enough to keep in
+// memory; it is rebuilt on first use after anything it depends on changes
+// (see registerRecommendationHandlers) and at most every CACHE_TTL_MS anyway,
+// for changes that don't announce themselves (the seeder, tag merges).
+const Article = require('../models/Article');
+const repos = require('../repositories');
+const { tokenize } = require('./search');
+const { markdownToText } = require('./markdown');
+const events = require('./events');
+
+const TYPES = ['article', 'book'];
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_TEXT_LENGTH = 20000;      // characters of body text indexed per document
+const MAX_SHELF_PER_READER = 100;   // books per reader counted for co-shelving
+const MIN_SCORE = 0.05;
+
+// how much sharing tags / a byline adds on top of text similarity (0–1)
+const TAG_WEIGHT = 0.3;
+const AUTHOR_WEIGHT = 0.2;
+
+// too common to say anything about what a piece is about
+const STOPWORDS = new Set(`
+  about after again all also and any are because been before being but can could did does doing
+  down for from had has have having her here hers him his how into its it's just like more most
+  not now off once only other our out over own same she should some such than that the their
+  them then there these they this those through too under until very was were what when where
+  which while who whom why will with would you your yours
+`.trim().split(/\s+/));
+
+const ANONYMOUS = ['', 'anonymous', 'anonymous submission'];
+
+function terms(text) {
+  return tokenize(text).filter(t => !STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+// Term counts for one document; the title counts twice
+function termCounts(title, body) {
+  const counts = new Map();
+  for (const term of [...terms(title), ...terms(title), ...terms(body)]) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+// Same link rule as search results and article cards
+function articleUrl(a) {
+  return (!a.content && a.externalUrl) || `/articles/${a.slug || a._id}`;
+}
+
+function toDocument(type, raw) {
+  if (type === 'article') {
+    const author = raw.isAnonymous ? '' : String(raw.author || '').trim();
+    return {
+      type,
+      id: String(raw._id),
+      title: raw.title,
+      author,
+      authorKey: author.toLowerCase(),
+      tags: raw.tags || [],
+      image: raw.coverThumb || raw.coverImage || '',
+      url: articleUrl(raw),
+      counts: termCounts(raw.title, `${raw.excerpt || ''} ${markdownToText(raw.content || '').slice(0, MAX_TEXT_LENGTH)}`)
+    };
+  }
+  return {
+    type,
+    id: String(raw._id),
+    title: raw.title,
+    author: '',
+    authorKey: '',
+    tags: [],
+    image: raw.thumb || raw.image || '',
+    url: `/books#review-${raw._id}`,
+    counts: termCounts(raw.title, raw.description)
+  };
+}
+
+// Turn every document's term counts into a unit-length TF-IDF vector
+function weighDocuments(docs) {
+  const df = new Map();
+  docs.forEach(doc => doc.counts.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+
+  docs.forEach(doc => {
+    const vector = new Map();
+    let norm = 0;
+    doc.counts.forEach((count, term) => {
+      const weight = (1 + Math.log(count)) * Math.log(1 + docs.length / df.get(term));
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm) || 1;
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    doc.vector = vector;
+    delete doc.counts;
+  });
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) sum += weight * other;
+  });
+  return sum;
+}
+
+// Shared tags as a share of all the tags either piece has (0–1)
+function tagOverlap(a, b) {
+  if (!a.tags.length || !b.tags.length) return 0;
+  const mine = new Set(a.tags.map(t => t.toLowerCase()));
+  const shared = b.tags.filter(t => mine.has(t.toLowerCase())).length;
+  return shared / (mine.size + b.tags.length - shared);
+}
+
+// bookId -> Map(otherBookId -> readers who shelved both)
+function coShelved(entries, bookIds) {
+  const byReader = new Map();
+  entries.forEach(({ user, book }) => {
+    const id = String(book);
+    if (!bookIds.has(id)) return;
+    const list = byReader.get(String(user)) || [];
+    if (list.length < MAX_SHELF_PER_READER) list.push(id);
+    byReader.set(String(user), list);
+  });
+
+  const pairs = new Map();
+  byReader.forEach(list => {
+    for (const a of list) {
+      for (const b of list) {
+        if (a === b) continue;
+        if (!pairs.has(a)) pairs.set(a, new Map());
+        pairs.get(a).set(b, (pairs.get(a).get(b) || 0) + 1);
+      }
+    }
+  });
+  return pairs;
+}
+
+async function buildIndex() {
+  const [articles, books, entries] = await Promise.all([
+    repos.articles.find(Article.liveFilter())
+      .select('title author isAnonymous excerpt content tags slug externalUrl coverImage coverThumb')
+      .lean(),
+    repos.books.find().select('title description image thumb').lean(),
+    repos.shelfEntries.find().select('user book').sort({ updatedAt: -1 }).lean()
+  ]);
+
+  const docs = [
+    ...articles.map(a => toDocument('article', a)),
+    ...books.map(b => toDocument('book', b))
+  ];
+  weighDocuments(docs);
+
+  const byKey = new Map(docs.map(doc => [`${doc.type}:${doc.id}`, doc]));
+  const bookIds = new Set(books.map(b => String(b._id)));
+  return { builtAt: Date.now(), docs, byKey, shelved: coShelved(entries, bookIds) };
+}
+
+// ---- Cache ----
+
+let index = null;
+let building = null;
+let generation = 0;            // bumped by invalidate(), so a build that raced a change isn't kept
+const results = new Map();     // "<type>:<id>:<limit>" -> recommendations
+
+const isFresh = () => !!index && Date.now() - index.builtAt < CACHE_TTL_MS;
+
+async function getIndex() {
+  if (isFresh()) return index;
+  if (!building) {
+    const startedAt = generation;
+    building = buildIndex()
+      .then(built => {
+        if (startedAt === generation) {
+          index = built;
+          results.clear();
+        }
+        return built;
+      })
+      .finally(() => { building = null; });
+  }
+  return building;
+}
+
+// Throw away the index and every cached answer; the next request rebuilds
+function invalidate() {
+  generation++;
+  index = null;
+  results.clear();
+}
+
+// ---- Recommending ----
+
+function toResult(doc, score, reason) {
+  return {
+    type: doc.type,
+    id: doc.id,
+    title: doc.title,
+    author: doc.author,
+    tags: doc.tags,
+    image: doc.image,
+    url: doc.url,
+    reason,   // 'shelved' | 'author' | 'tags' | 'text'
+    score: Math.round(score * 1000) / 1000
+  };
+}
+
+// Everything else in the index, most similar first
+function similarTo(idx, doc) {
+  const scored = [];
+  for (const other of idx.docs) {
+    if (other === doc) continue;
+    const text = cosine(doc.vector, other.vector);
+    const tags = TAG_WEIGHT * tagOverlap(doc, other);
+    const author = doc.authorKey && !ANONYMOUS.includes(doc.authorKey) && doc.authorKey === other.authorKey
+      ? AUTHOR_WEIGHT
+      : 0;
+    const score = text + tags + author;
+    if (score < MIN_SCORE) continue;
+    const reason = author >= tags && author > text ? 'author' : tags > text ? 'tags' : 'text';
+    scored.push({ doc: other, score, reason });
+  }
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+// Books shelved by the readers who shelved this one, most readers first
+function shelvedWith(idx, bookId) {
+  const counts = idx.shelved.get(bookId) || new Map();
+  return [...counts]
+    .map(([id, readers]) => ({ doc: idx.byKey.get(`book:${id}`), score: readers, reason: 'shelved' }))
+    .filter(({ doc }) => doc)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Recommendations for one article or book.
+ * Articles get similar articles and books; books get what the same readers
+ * shelved, topped up with similar books and articles.
+ * @param {string} type     'article' or 'book'
+ * @param {string} id       its _id
+ * @param {object} options  { limit } (default 6)
+ * @returns {Promise<Array|null>} null when there is no live article / book with that id
+ */
+async function recommendationsFor(type, id, { limit = 6 } = {}) {
+  const cacheKey = `${type}:${id}:${limit}`;
+  if (isFresh() && results.has(cacheKey)) return results.get(cacheKey);
+
+  const idx = await getIndex();
+  const doc = idx.byKey.get(`${type}:${id}`);
+  if (!doc) return null;
+
+  const picked = type === 'book' ? shelvedWith(idx, doc.id) : [];
+  const seen = new Set(picked.map(p => p.doc));
+  for (const candidate of similarTo(idx, doc)) {
+    if (picked.length >= limit) break;
+    if (!seen.has(candidate.doc)) picked.push(candidate);
+  }
+
+  const list = picked.slice(0, limit).map(({ doc: d, score, reason }) => toResult(d, score, reason));
+  if (idx === index) results.set(cacheKey, list);
+  return list;
+}
+
+/**
+ * "Readers also shelved" for a page of book cards.
+ * @param {Array} bookIds
+ * @param {object} options  { limit } per book (default 3)
+ * @returns {Promise<Map<string, Array>>} keyed by book id; books nobody co-shelved are left out
+ */
+async function alsoShelvedFor(bookIds, { limit = 3 } = {}) {
+  const idx = await getIndex();
+  const map = new Map();
+  bookIds.map(String).forEach(id => {
+    const list = shelvedWith(idx, id).slice(0, limit).map(({ doc, score, reason }) => toResult(doc, score, reason));
+    if (list.length) map.set(id, list);
+  });
+  return map;
+}
+
+// Anything that changes a live article, a book or a shelf makes the index stale
+function registerRecommendationHandlers() {
+  const offs = [
+    'article.saved',
+    'article.deleted',
+    'article.published',
+    'book.saved',
+    'book.deleted',
+    'shelf.changed'
+  ].map(type => events.on(type, invalidate));
+  return () => offs.forEach(off => off());
+}
+
+module.exports = { recommendationsFor, alsoShelvedFor, registerRecommendationHandlers, invalidate, TYPES };
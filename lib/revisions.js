@@ -0,0 +1,244 @@
+// lib/revisions.js
+// Revision history for articles and books: a snapshot after every save,
+// word-level diffs between any two snapshots, and restoring an old one (which
+// is saved, and recorded, like any other edit).
+const repos = require('../repositories');
+const { displayName } = require('./viewHelpers');
+
+// Fields a revision keeps, diffs and restores
+const TRACKED = {
+  article: ['title', 'author', 'tags', 'readTime', 'excerpt', 'content', 'coverImage', 'externalUrl'],
+  book: ['title', 'description', 'image']
+};
+// Kept and restored alongside, but never shown as a change of their own
+const COMPANIONS = {
+  article: ['coverThumb'],
+  book: ['thumb']
+};
+// Where each kind is saved
+const REPOSITORIES = { article: 'articles', book: 'books' };
+const LABELS = {
+  title: 'Title',
+  author: 'Author',
+  tags: 'Tags',
+  readTime: 'Read time',
+  excerpt: 'Excerpt',
+  content: 'Text',
+  coverImage: 'Cover image',
+  externalUrl: 'External link',
+  description: 'Description',
+  image: 'Image'
+};
+
+// Autosaves land every few seconds; keep one revision per writer per this window
+const AUTOSAVE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Longest-common-subsequence table limit (words before x words after), beyond
+// which the changed middle of a text is shown as one removal and one addition
+const MAX_DIFF_CELLS = 4000000;
+
+function snapshot(kind, doc) {
+  const fields = {};
+  [...TRACKED[kind], ...COMPANIONS[kind]].forEach(field => {
+    const value = doc[field];
+    fields[field] = Array.isArray(value) ? [...value] : (value == null ? '' : value);
+  });
+  return fields;
+}
+
+const same = (a, b) => JSON.stringify(a == null ? '' : a) === JSON.stringify(b == null ? '' : b);
+
+function changedFields(kind, before, after) {
+  return TRACKED[kind].filter(field => !before || !same(before[field], after[field]));
+}
+
+function latestRevision(kind, docId) {
+  return repos.revisions.findOne({ kind, doc: docId }).sort({ number: -1 });
+}
+
+async function createRevision(kind, docId, fields) {
+  // two saves racing for the same number: the loser takes the next one
+  for (let attempt = 0; ; attempt++) {
+    const latest = await latestRevision(kind, docId);
+    try {
+      return await repos.revisions.create({ kind, doc: docId, number: latest ? latest.number + 1 : 1, ...fields });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) throw err;
+    }
+  }
+}
+
+/**
+ * Record the document as it is now, unless nothing tracked changed since the
+ * last revision. Call after a successful save.
+ * @param {string} kind       'article' or 'book'
+ * @param {object} doc        the saved Article or Book
+ * @param {object} editor     req.session.user, or null
+ * @param {object} options    { restoredFrom, autosave }
+ * @returns {Promise<Revision|null>}
+ */
+async function recordRevision(kind, doc, editor, { restoredFrom = null, autosave = false } = {}) {
+  const latest = await latestRevision(kind, doc._id);
+  const fields = snapshot(kind, doc);
+  const changed = changedFields(kind, latest && latest.fields, fields);
+  if (latest && !changed.length && restoredFrom == null) return null;
+
+  const editorId = editor ? editor.id : null;
+  if (autosave && latest && latest.autosave && String(latest.editor) === String(editorId) &&
+      Date.now() - latest.createdAt < AUTOSAVE_INTERVAL_MS) {
+    return null;
+  }
+
+  return createRevision(kind, doc._id, {
+    fields,
+    changed,
+    editor: editorId,
+    editorName: editor ? displayName(editor) : '',
+    restoredFrom,
+    autosave
+  });
+}
+
+/**
+ * Make sure the history ends with the document as it is right now, before it
+ * changes again (or before the history is shown):
+ * - articles and books from before revision history get a first revision;
+ * - autosaves skipped by the AUTOSAVE_INTERVAL_MS throttle get recorded, as
+ *   the writer whose autosave was last recorded (nobody else's are skipped),
+ *   unless that same writer is about to save again.
+ * @param {object} editor  req.session.user making the next change, or null
+ */
+async function ensureRecorded(kind, doc, editor = null) {
+  const latest = await latestRevision(kind, doc._id);
+  const fields = snapshot(kind, doc);
+  if (!latest) {
+    return createRevision(kind, doc._id, {
+      fields,
+      changed: changedFields(kind, null, fields),
+      createdAt: doc.updatedAt || doc.createdAt || new Date()
+    });
+  }
+  const changed = changedFields(kind, latest.fields, fields);
+  if (!latest.autosave || !changed.length) return null;
+  if (editor && String(editor.id) === String(latest.editor)) return null;
+  return createRevision(kind, doc._id, {
+    fields,
+    changed,
+    editor: latest.editor,
+    editorName: latest.editorName,
+    autosave: true,
+    createdAt: doc.updatedAt || new Date()
+  });
+}
+
+// ---- Diffs ----
+
+// Words and the whitespace between them, so joining the parts gives the text back
+function words(text) {
+  return String(text == null ? '' : text).split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Word-level diff.
+ * @returns {Array<{ op: 'same'|'add'|'del', text }>}
+ */
+function wordDiff(before, after) {
+  const a = words(before);
+  const b = words(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const parts = [];
+  const push = (op, text) => {
+    if (!text) return;
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) last.text += text;
+    else parts.push({ op, text });
+  };
+
+  push('same', a.slice(0, start).join(''));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    push('del', midA.join(''));
+    push('add', midB.join(''));
+  } else {
+    // lcs[i][j]: longest common run of midA[i..] and midB[j..]
+    const cols = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push('same', midA[i]); i++; j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        push('del', midA[i++]);
+      } else {
+        push('add', midB[j++]);
+      }
+    }
+    push('del', midA.slice(i).join(''));
+    push('add', midB.slice(j).join(''));
+  }
+
+  push('same', a.slice(endA).join(''));
+  return parts;
+}
+
+const asText = value => (Array.isArray(value) ? value.join(', ') : String(value == null ? '' : value));
+
+/**
+ * Field-by-field diff between two revisions (either order).
+ * @returns {Array<{ field, label, changed, parts }>} every tracked field
+ */
+function diffRevisions(kind, from, to) {
+  return TRACKED[kind].map(field => {
+    const before = asText(from.fields[field]);
+    const after = asText(to.fields[field]);
+    return {
+      field,
+      label: LABELS[field] || field,
+      changed: before !== after,
+      parts: before === after ? [{ op: 'same', text: after }] : wordDiff(before, after)
+    };
+  });
+}
+
+/**
+ * Put an old revision's fields back and save. The result is recorded as a new
+ * revision that says where it came from.
+ * @returns {Promise<object>} the saved document (Mongoose validation errors pass through)
+ */
+async function restoreRevision(kind, doc, revision, editor) {
+  await ensureRecorded(kind, doc);
+  const fields = {};
+  [...TRACKED[kind], ...COMPANIONS[kind]].forEach(field => {
+    if (field in revision.fields) fields[field] = revision.fields[field];
+  });
+  doc.set(fields);
+  await repos[REPOSITORIES[kind]].save(doc);
+  await recordRevision(kind, doc, editor, { restoredFrom: revision.number });
+  return doc;
+}
+
+module.exports = {
+  recordRevision,
+  ensureRecorded,
+  restoreRevision,
+  diffRevisions,
+  wordDiff,
+  LABELS,
+  TRACKED
+};
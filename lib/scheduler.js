@@ -0,0 +1,28 @@
+// lib/scheduler.js
+// Publishes scheduled articles once their publishAt time has passed.
+const repos = require('../repositories');
+const events = require('./events');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+async function publishDueArticles() {
+  try {
+    const published = await repos.articles.publishDue();
+    published.forEach(article => {
+      console.log(`🗓️  Published scheduled article "${article.title}"`);
+      events.emit('article.published', { article });
+    });
+  } catch (err) {
+    console.error('Scheduled publishing failed:', err.message);
+  }
+}
+
+// Runs once right away, then every intervalMs. Returns a function that stops it.
+function startPublishScheduler(intervalMs = DEFAULT_INTERVAL_MS) {
+  publishDueArticles();
+  const timer = setInterval(publishDueArticles, intervalMs);
+  timer.unref(); // never keep the process alive just for this
+  return () => clearInterval(timer);
+}
+
+module.exports = { startPublishScheduler, publishDueArticles };
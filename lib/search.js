@@ -0,0 +1,201 @@
+// lib/search.js
+// One search over everything the site shows: articles (curated and community),
+// books and quotes. Mongo does the candidate lookup through its text indexes
+// (with the memory storage driver, a regex scan does); every hit is then scored
+// here with the same field weights so the three collections rank against each
+// other fairly.
+const Article = require('../models/Article');
+const repos = require('../repositories');
+const escapeRegExp = require('./escapeRegExp');
+const { markdownToText } = require('./markdown');
+
+// title > author > excerpt > content (kept in sync with the text index weights)
+const WEIGHTS = { title: 10, author: 5, excerpt: 3, content: 1 };
+
+const TYPES = ['article', 'book', 'poem', 'story', 'quote'];
+const TEXT_FIELDS = ['title', 'author', 'excerpt', 'content', 'description', 'text'];
+const MAX_CANDIDATES = 200; // per Mongo collection
+const SNIPPET_LENGTH = 180;
+
+function escapeHtml(unsafe) {
+  if (unsafe === undefined || unsafe === null) return '';
+  return String(unsafe)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// "The  Road, not taken" -> ['the', 'road', 'not', 'taken']
+function tokenize(q) {
+  return String(q || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(t => t.length > 1);
+}
+
+function termsRegExp(terms) {
+  return new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu');
+}
+
+// Sum of field weight x matched terms, plus a bonus when the whole query is in the title
+function scoreItem(item, terms, phrase) {
+  let score = 0;
+  for (const field of Object.keys(WEIGHTS)) {
+    const text = String(item[field] || '').toLowerCase();
+    if (!text) continue;
+    for (const term of terms) {
+      if (text.includes(term)) score += WEIGHTS[field];
+    }
+  }
+  if (phrase && String(item.title || '').toLowerCase().includes(phrase)) {
+    score += WEIGHTS.title * 2;
+  }
+  return score;
+}
+
+// Escaped excerpt around the first match, with matches wrapped in <mark>
+function highlight(text, terms) {
+  const source = String(text || '');
+  if (!terms.length) return escapeHtml(source);
+
+  const re = termsRegExp(terms);
+  let html = '';
+  let last = 0;
+  for (const match of source.matchAll(re)) {
+    html += escapeHtml(source.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(source.slice(last));
+}
+
+function makeSnippet(item, terms) {
+  const re = new RegExp(termsRegExp(terms).source, 'iu');
+
+  // Prefer the longest body text that actually contains a match
+  const field = ['content', 'excerpt', 'title'].find(f => re.test(String(item[f] || '')));
+  const text = String(field ? item[field] : (item.excerpt || item.content || ''));
+
+  const first = Math.max(0, text.search(re));
+  let start = Math.max(0, first - SNIPPET_LENGTH / 3);
+  // don't start mid-word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return (start > 0 ? '… ' : '') + highlight(text.slice(start, end), terms) + (end < text.length ? ' …' : '');
+}
+
+// $text lookup, falling back to a regex scan if the text index isn't built yet
+// (or the storage driver has no text search, like the memory one)
+async function findCandidates(collection, terms, projection, filter = {}) {
+  const q = terms.join(' ');
+  try {
+    return await collection.find({ ...filter, $text: { $search: q } }, { ...projection, score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES)
+      .lean();
+  } catch (err) {
+    const re = termsRegExp(terms);
+    const fields = Object.keys(projection).filter(f => TEXT_FIELDS.includes(f));
+    return collection.find({ $and: [filter, { $or: fields.map(f => ({ [f]: re })) }] }, projection)
+      .limit(MAX_CANDIDATES)
+      .lean();
+  }
+}
+
+async function loadFromMongo(terms) {
+  const [articles, books, quotes] = await Promise.all([
+    findCandidates(
+      repos.articles,
+      terms,
+      { title: 1, author: 1, excerpt: 1, content: 1, tags: 1, slug: 1, isCommunity: 1, externalUrl: 1 },
+      Article.liveFilter()
+    ),
+    findCandidates(repos.books, terms, { title: 1, description: 1 }),
+    findCandidates(repos.quotes, terms, { text: 1, author: 1 })
+  ]);
+
+  return [
+    ...articles.map(a => ({
+      type: (a.tags || []).includes('Poem') ? 'poem' : (a.tags || []).includes('Story') ? 'story' : 'article',
+      source: a.isCommunity === false ? 'curated' : 'community',
+      title: a.title,
+      author: a.author,
+      tag: (a.tags || [])[0] || '',
+      excerpt: a.excerpt,
+      content: markdownToText(a.content),
+      // curated pieces hosted elsewhere link straight out
+      url: (!a.content && a.externalUrl) || `/articles/${a.slug || a._id}`,
+      textScore: a.score
+    })),
+    ...books.map(b => ({
+      type: 'book',
+      source: 'curated',
+      title: b.title,
+      excerpt: b.description,
+      url: `/books#review-${b._id}`,
+      textScore: b.score
+    })),
+    ...quotes.map(q => ({
+      type: 'quote',
+      source: 'curated',
+      title: q.text,
+      author: q.author,
+      url: '/articles',
+      textScore: q.score
+    }))
+  ];
+}
+
+/**
+ * Search everything.
+ * @param {string} q        raw query from the user
+ * @param {object} options  { type, page (1-based), limit }
+ * @returns {Promise<{query, type, total, page, pages, limit, results}>}
+ */
+async function search(q, { type, page = 1, limit = 10 } = {}) {
+  const query = String(q || '').trim();
+  const terms = tokenize(query);
+  page = Math.max(1, parseInt(page, 10) || 1);
+  limit = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+  type = TYPES.includes(type) ? type : '';
+
+  if (!terms.length) {
+    return { query, type, total: 0, page, pages: 0, limit, results: [] };
+  }
+
+  let items = [];
+  try {
+    items = await loadFromMongo(terms);
+  } catch (err) {
+    console.error('Search: MongoDB lookup failed:', err.message);
+  }
+  const phrase = query.toLowerCase();
+
+  const scored = items
+    .filter(item => !type || item.type === type)
+    .map(item => ({ item, score: scoreItem(item, terms, phrase) || item.textScore || 0 }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const total = scored.length;
+  const results = scored.slice((page - 1) * limit, page * limit).map(({ item, score }) => ({
+    type: item.type,
+    source: item.source,
+    title: item.title,
+    titleHtml: highlight(item.title, terms),
+    author: item.author || '',
+    tag: item.tag || '',
+    snippet: makeSnippet(item, terms),
+    url: item.url || '',
+    score
+  }));
+
+  return { query, type, total, page, pages: Math.ceil(total / limit), limit, results };
+}
+
+module.exports = { search, tokenize, highlight, TYPES, WEIGHTS };
@@ -0,0 +1,133 @@
+// lib/seed.js
+// Loads the curated content in public/archive.json and public/articles.json into
+// the database. Every item gets a stable externalKey (e.g. "archive:book:b1"), so running
+// the seeder again never duplicates anything. Existing documents are left alone
+// (editors may have changed them in /admin) unless { force: true } is passed.
+const fs = require('fs/promises');
+const path = require('path');
+
+const Article = require('../models/Article');
+const Book = require('../models/Book');
+const Quote = require('../models/Quote');
+const Tag = require('../models/Tag');
+const repos = require('../repositories');
+const slugify = require('./slugify');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(path.join(PUBLIC_DIR, file), 'utf8'));
+}
+
+// "./the way of nagomi.jpg" only worked relative to the old static pages
+function publicPath(image) {
+  return typeof image === 'string' ? image.replace(/^\.\//, '/') : image;
+}
+
+// "3 min" -> "3 min read", matching what /write stores
+function readTimeLabel(readTime) {
+  if (!readTime) return undefined;
+  return /read$/i.test(readTime) ? readTime : `${readTime} read`;
+}
+
+// Flatten both JSON files into { Model, repository, externalKey, fields } entries
+function curatedEntries(archive, articles) {
+  const curated = { isCommunity: false, status: 'published', user: null };
+
+  return [
+    ...(archive.articles || []).map(a => ({
+      Model: Article,
+      repository: 'articles',
+      externalKey: `archive:article:${a.id}`,
+      fields: {
+        ...curated,
+        title: a.title,
+        tags: Tag.parseList(a.tag),
+        author: a.author,
+        readTime: readTimeLabel(a.readTime),
+        excerpt: a.excerpt,
+        content: a.excerpt,
+        coverImage: a.image
+      }
+    })),
+    ...(articles.poems || []).map(p => ({
+      Model: Article,
+      repository: 'articles',
+      externalKey: `articles:poem:${slugify(p.title)}`,
+      fields: {
+        ...curated,
+        title: p.title,
+        tags: ['Poem'],
+        author: p.author,
+        excerpt: `A poem by ${p.author}.`,
+        externalUrl: p.link
+      }
+    })),
+    ...(articles.stories || []).map(s => ({
+      Model: Article,
+      repository: 'articles',
+      externalKey: `articles:story:${slugify(s.title)}`,
+      fields: {
+        ...curated,
+        title: s.title,
+        tags: ['Story'],
+        author: s.author,
+        excerpt: `A short story by ${s.author}.`,
+        externalUrl: s.link
+      }
+    })),
+    ...(articles.quotes || []).map(q => ({
+      Model: Quote,
+      repository: 'quotes',
+      externalKey: `articles:quote:${slugify(`${q.author} ${q.text}`)}`,
+      fields: { text: q.text, author: q.author }
+    })),
+    ...(archive.books || []).map(b => ({
+      Model: Book,
+      repository: 'books',
+      externalKey: `archive:book:${b.id}`,
+      legacyId: b.id,
+      fields: {
+        title: b.title,
+        description: b.description,
+        image: publicPath(b.image)
+      }
+    }))
+  ];
+}
+
+/**
+ * Upsert all curated content.
+ * @param {object} options  { force: overwrite documents that already exist, log }
+ * @returns {Promise<object>} counts per model: { Article: { created, updated, skipped }, ... }
+ */
+async function seedCuratedContent({ force = false, log = () => {} } = {}) {
+  const [archive, articles] = await Promise.all([readJson('archive.json'), readJson('articles.json')]);
+  const summary = {};
+
+  for (const { Model, repository, externalKey, fields, legacyId } of curatedEntries(archive, articles)) {
+    const counts = summary[Model.modelName] || (summary[Model.modelName] = { created: 0, updated: 0, skipped: 0 });
+
+    let doc = await repos[repository].findOne({ externalKey });
+    if (doc && !force) {
+      counts.skipped++;
+    } else {
+      const isNew = !doc;
+      doc = doc || new Model({ externalKey });
+      // drop undefined so schema defaults still apply
+      doc.set(Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined)));
+      await repos[repository].save(doc);
+      counts[isNew ? 'created' : 'updated']++;
+      log(`${isNew ? '+' : '~'} ${Model.modelName} ${externalKey}`);
+    }
+
+    // Reviews written against the old JSON ids ("b1") move to the real book
+    if (legacyId) {
+      await repos.reviews.updateMany({ bookId: legacyId }, { bookId: String(doc._id) });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = { seedCuratedContent };
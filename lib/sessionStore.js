@@ -0,0 +1,53 @@
+// lib/sessionStore.js
+// express-session's store, kept in the storage layer (repos.sessions) instead
+// of express-session's MemoryStore: signing in survives a restart, several
+// server processes share sessions, and memory doesn't grow with every visitor.
+// Under Mongo a TTL index deletes expired sessions; the memory and JSON
+// drivers have no TTL, so a sweep here does the same for them.
+const session = require('express-session');
+const repos = require('../repositories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// express-session's callbacks, fed from a promise
+function settle(promise, callback = () => {}) {
+  promise.then(value => callback(null, value), err => callback(err));
+}
+
+// The cookie says when the session ends; one without an expiry still gets a day
+function expiryOf(sess) {
+  const expires = sess && sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + DAY_MS);
+}
+
+class RepositoryStore extends session.Store {
+  constructor({ sweepMs = 60 * 60 * 1000 } = {}) {
+    super();
+    this.sweeper = setInterval(() => this.sweep(), sweepMs);
+    this.sweeper.unref();
+  }
+
+  get(sid, callback) {
+    settle(repos.sessions.read(sid), callback);
+  }
+
+  set(sid, sess, callback) {
+    settle(repos.sessions.write(sid, sess, expiryOf(sess)), callback);
+  }
+
+  // rolling expiry without rewriting the session
+  touch(sid, sess, callback) {
+    settle(repos.sessions.extend(sid, expiryOf(sess)), callback);
+  }
+
+  destroy(sid, callback) {
+    settle(repos.sessions.deleteOne({ _id: sid }), callback);
+  }
+
+  sweep() {
+    if (repos.driver.name === 'mongo') return;
+    repos.sessions.deleteExpired().catch(err => console.error('Could not sweep expired sessions:', err.message));
+  }
+}
+
+module.exports = { RepositoryStore };
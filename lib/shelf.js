@@ -0,0 +1,51 @@
+// lib/shelf.js
+// Bookshelf data for the browser: a reader's own shelf entries, and the
+// per-book reader counts / ratings shown on every book card
+const repos = require('../repositories');
+
+const NO_STATS = { readers: 0, ratingCount: 0, averageRating: null };
+
+function dateOnly(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+// Shape sent to the browser (dates as YYYY-MM-DD for <input type="date">)
+function toClient(entry) {
+  return {
+    status: entry.status,
+    progress: entry.progress,
+    progressUnit: entry.progressUnit,
+    totalPages: entry.totalPages,
+    percentComplete: entry.percentComplete,
+    rating: entry.rating,
+    startedAt: dateOnly(entry.startedAt),
+    finishedAt: dateOnly(entry.finishedAt),
+    updatedAt: entry.updatedAt
+  };
+}
+
+/**
+ * Books as plain objects with `stats` (everyone's shelves) and `shelf`
+ * (this reader's entry, or null) added.
+ * @param {Array} books        Book documents or plain objects
+ * @param {object} sessionUser req.session.user (may be null)
+ */
+async function withShelfInfo(books, sessionUser) {
+  const ids = books.map(b => b._id);
+  const [stats, entries] = await Promise.all([
+    repos.shelfEntries.statsFor(ids),
+    sessionUser ? repos.shelfEntries.find({ user: sessionUser.id, book: { $in: ids } }) : []
+  ]);
+  const mine = new Map(entries.map(e => [String(e.book), e]));
+
+  return books.map(b => {
+    const entry = mine.get(String(b._id));
+    return {
+      ...(typeof b.toJSON === 'function' ? b.toJSON() : b),
+      stats: stats.get(String(b._id)) || NO_STATS,
+      shelf: entry ? toClient(entry) : null
+    };
+  });
+}
+
+module.exports = { toClient, withShelfInfo };
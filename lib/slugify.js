@@ -0,0 +1,14 @@
+// lib/slugify.js
+
+// Turn a title into a URL-friendly slug: "The Road Not Taken!" -> "the-road-not-taken"
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+module.exports = slugify;
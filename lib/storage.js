@@ -0,0 +1,81 @@
+// lib/storage.js
+// Where uploaded files live. Everything goes through one adapter, picked with
+// STORAGE_DRIVER (see lib/config.js):
+//   local (default) — files in UPLOAD_DIR (default: <repo>/uploads), served at /uploads
+// An S3-compatible bucket plugs in at startup with
+//   setStorage({ name, put(key, buffer, contentType), remove(key), urlFor(key), keyFor(url) })
+// Callers only ever see keys ("3f9c…-book-thumb.webp") and public URLs.
+const fs = require('fs/promises');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const UPLOADS_URL = '/uploads';
+
+// Keys are generated by lib/images.js, but never trust one enough to leave the directory
+const KEY_RE = /^[a-z0-9][a-z0-9._-]*$/i;
+
+function checkKey(key) {
+  if (typeof key !== 'string' || !KEY_RE.test(key)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+}
+
+function localStorage(dir = getConfig().uploadDir) {
+  return {
+    name: 'local',
+    dir,
+    urlPrefix: UPLOADS_URL,
+
+    async put(key, buffer) { // the extension already says what type it is
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, checkKey(key)), buffer);
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(path.join(dir, checkKey(key)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    urlFor(key) {
+      return `${UPLOADS_URL}/${checkKey(key)}`;
+    },
+
+    // The key behind one of our URLs, or null for anything stored elsewhere
+    keyFor(url) {
+      if (typeof url !== 'string' || !url.startsWith(`${UPLOADS_URL}/`)) return null;
+      const key = url.slice(UPLOADS_URL.length + 1);
+      return KEY_RE.test(key) ? key : null;
+    }
+  };
+}
+
+const DRIVERS = {
+  local: () => localStorage()
+};
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const name = getConfig().storageDriver;
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    storage = DRIVERS[name]();
+  }
+  return storage;
+}
+
+function setStorage(next) {
+  const missing = ['put', 'remove', 'urlFor', 'keyFor'].filter(fn => !next || typeof next[fn] !== 'function');
+  if (missing.length) {
+    throw new Error(`A storage adapter needs ${missing.join(', ')}`);
+  }
+  storage = next;
+}
+
+module.exports = { getStorage, setStorage, localStorage, UPLOADS_URL };
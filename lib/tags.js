@@ -0,0 +1,116 @@
+// lib/tags.js
+// Tag counts for the archive sidebar and /tags, and the admin tools that
+// rename and merge tags (keeping articles and tag follows pointing at them)
+const Article = require('../models/Article');
+const Follow = require('../models/Follow');
+const Tag = require('../models/Tag');
+const repos = require('../repositories');
+const slugify = require('./slugify');
+const { fieldErrors } = require('./validation');
+
+class TagError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Live articles per tag, most used first.
+ * @param {object} options  { limit } (default: every tag in use)
+ * @returns {Promise<Array<{ name, slug, url, count }>>}
+ */
+async function tagCounts({ limit } = {}) {
+  const pipeline = [
+    { $match: Article.liveFilter() },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+  const rows = await repos.articles.aggregate(pipeline);
+  return rows.map(row => ({ name: row._id, slug: slugify(row._id), url: Tag.urlFor(row._id), count: row.count }));
+}
+
+// Articles tagged `fromName` are tagged `toName` instead (once, if they already
+// had it); resolves to how many changed
+async function retagArticles(fromName, toName) {
+  const articles = await repos.articles.find({ tags: fromName }).select('tags');
+  for (const article of articles) {
+    const tags = [...new Set(article.tags.map(name => (name === fromName ? toName : name)))];
+    // straight to the collection: retagging isn't an edit by the writer
+    await repos.articles.updateOne({ _id: article._id }, { $set: { tags } });
+  }
+  return articles.length;
+}
+
+// Readers following `fromName` follow `toName` instead (once, if they already did)
+async function moveTagFollows(fromName, toName) {
+  const fromKey = Follow.keyFor(fromName);
+  const toKey = Follow.keyFor(toName);
+  const follows = await repos.follows.find({ kind: 'tag', key: fromKey });
+  for (const follow of follows) {
+    if (fromKey !== toKey && await repos.follows.exists({ user: follow.user, kind: 'tag', key: toKey })) {
+      await repos.follows.remove(follow);
+    } else {
+      follow.name = toName;
+      await repos.follows.save(follow);
+    }
+  }
+}
+
+/**
+ * Give a tag a new name; its old slug keeps working as an alias.
+ * @throws {TagError} when the name is unusable or belongs to another tag
+ */
+async function renameTag(tag, newName) {
+  const name = String(newName || '').trim().replace(/\s+/g, ' ');
+  const slug = slugify(name);
+  if (!slug) {
+    throw new TagError('Tags need at least one letter or number.');
+  }
+  const other = await repos.tags.findOne({ slug, _id: { $ne: tag._id } });
+  if (other) {
+    throw new TagError(`There is already a tag called "${other.name}". Merge into it instead.`);
+  }
+
+  const oldName = tag.name;
+  if (slug !== tag.slug) {
+    tag.aliases = [...new Set([...tag.aliases, tag.slug])].filter(alias => alias !== slug);
+  }
+  tag.name = name;
+  try {
+    await repos.tags.save(tag);
+  } catch (err) {
+    // the schema's own rules (e.g. its length limit) come back as a TagError too
+    const errors = fieldErrors(err);
+    if (!errors) throw err;
+    throw new TagError(Object.values(errors)[0]);
+  }
+
+  await retagArticles(oldName, name);
+  await moveTagFollows(oldName, name);
+  return tag;
+}
+
+/**
+ * Fold `from` into `into`: its articles and followers move over and its
+ * slugs become aliases of `into`. `from` is deleted.
+ * @returns {Promise<number>} how many articles were retagged
+ */
+async function mergeTags(from, into) {
+  if (String(from._id) === String(into._id)) {
+    throw new TagError('Pick a different tag to merge into.');
+  }
+
+  const retagged = await retagArticles(from.name, into.name);
+  await moveTagFollows(from.name, into.name);
+
+  into.aliases = [...new Set([...into.aliases, from.slug, ...from.aliases])].filter(alias => alias !== into.slug);
+  await repos.tags.save(into);
+  await repos.tags.remove(from);
+  return retagged;
+}
+
+module.exports = { tagCounts, renameTag, mergeTags, TagError };
@@ -0,0 +1,18 @@
+// lib/urls.js
+// Absolute links for things read outside the browser tab (feeds, emails).
+// SITE_URL wins when set, e.g. behind a proxy: SITE_URL=https://unreadarchive.com
+const { getConfig } = require('./config');
+
+function siteUrl(req) {
+  return getConfig().siteUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+// For links that must only ever lead here (password resets): never from the
+// Host header, which whoever sends the request picks. Production requires
+// SITE_URL (lib/config.js); in development the links go to localhost.
+function canonicalSiteUrl() {
+  const { siteUrl: configured, port } = getConfig();
+  return configured || `http://localhost:${port}`;
+}
+
+module.exports = { siteUrl, canonicalSiteUrl };
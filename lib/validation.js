@@ -0,0 +1,41 @@
+// lib/validation.js
+// Small validators shared by the Mongoose schemas, and the bridge from a
+// Mongoose ValidationError to the { field: message } map the forms display.
+
+const EMAIL_RE = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+function isEmail(value) {
+  return typeof value === 'string' && value.length <= 254 && EMAIL_RE.test(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Images may be absolute http(s) URLs or files served from /public ("/cover.jpg")
+function isImageUrl(value) {
+  if (!value) return true;
+  if (value.startsWith('/') && !value.startsWith('//')) return true;
+  return isHttpUrl(value);
+}
+
+/**
+ * { field: message } for a Mongoose ValidationError, or null for any other error.
+ * @param {Error} err
+ * @returns {object|null}
+ */
+function fieldErrors(err) {
+  if (!err || err.name !== 'ValidationError') return null;
+  const errors = {};
+  Object.values(err.errors).forEach(e => {
+    // CastErrors (e.g. a date that isn't one) have no friendly message of their own
+    errors[e.path] = e.name === 'CastError' ? `"${e.value}" is not valid here.` : e.message;
+  });
+  return errors;
+}
+
+module.exports = { isEmail, isHttpUrl, isImageUrl, fieldErrors };
@@ -0,0 +1,21 @@
+// lib/viewHelpers.js
+// Helpers for what pages show: jsonForScript is exposed to every EJS view
+// through app.locals, displayName is what routes store as a public byline
+
+// JSON that is safe to drop inside an inline <script>: a title containing
+// "</script>" (or U+2028) can't end the script tag or break the JS.
+function jsonForScript(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// The name shown publicly for a user (or session user): never the email address
+function displayName(user) {
+  return user.name || 'Anonymous';
+}
+
+module.exports = { jsonForScript, displayName };
@@ -0,0 +1,88 @@
+// middleware/apiAuth.js
+// Who is calling /api/v1: a personal API token ("Authorization: Bearer ua_…",
+// see models/ApiToken.js) or, from the site's own pages, the signed-in session.
+// A request that carries a token is judged by the token alone and never by the
+// session cookie, which is what lets it skip the CSRF check (middleware/csrf.js).
+const ApiToken = require('../models/ApiToken');
+const repos = require('../repositories');
+
+// lastUsedAt on the account page only needs to be right to the minute
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// The token from an Authorization header: null when there is no header,
+// '' when there is one but it isn't "Bearer <token>"
+function bearerToken(req) {
+  const header = req.get('Authorization');
+  if (!header) return null;
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  return match ? match[1] : '';
+}
+
+// Same shape as req.session.user, so Article#canEdit and friends work unchanged
+function callerFor(user) {
+  return { id: user._id, email: user.email, name: user.name, role: user.role };
+}
+
+/**
+ * Sets req.apiUser (null when anonymous) and req.apiScopes. Roles are read from
+ * the DB on every request, so a demotion applies to tokens straight away.
+ * Answers 401 itself when a token is sent but isn't valid.
+ */
+async function apiAuth(req, res, next) {
+  req.apiUser = null;
+  req.apiScopes = [];
+
+  const raw = bearerToken(req);
+  if (raw !== null) {
+    const token = raw ? await repos.apiTokens.findActive(raw) : null;
+    const user = token && await repos.users.findById(token.user).select('email name role');
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'That API token is not valid, or it has been revoked.' });
+    }
+
+    if (!token.lastUsedAt || Date.now() - token.lastUsedAt > TOUCH_INTERVAL_MS) {
+      repos.apiTokens.updateOne({ _id: token._id }, { lastUsedAt: new Date() })
+        .catch(err => console.error('Could not note API token use:', err.message));
+    }
+    req.apiUser = callerFor(user);
+    req.apiScopes = token.scopes;
+    return next();
+  }
+
+  // the site's own pages: a session can do whatever its account can
+  if (req.session.user) {
+    const user = await repos.users.findById(req.session.user.id).select('email name role');
+    if (user) {
+      req.apiUser = callerFor(user);
+      req.apiScopes = ApiToken.SCOPES;
+    }
+  }
+  next();
+}
+
+// 401 when nobody is calling, 403 when the token lacks `scope`
+function requireScope(scope) {
+  return function (req, res, next) {
+    if (!req.apiUser) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Send an API token as "Authorization: Bearer <token>", or sign in.' });
+    }
+    if (!req.apiScopes.includes(scope)) {
+      return res.status(403).json({ error: `This API token does not have the "${scope}" scope.` });
+    }
+    next();
+  };
+}
+
+// The caller's current role must be one of `roles` (use after requireScope)
+function requireApiRole(...roles) {
+  return function (req, res, next) {
+    if (!roles.includes(req.apiUser.role)) {
+      return res.status(403).json({ error: 'Your account does not have permission to do that.' });
+    }
+    next();
+  };
+}
+
+module.exports = { apiAuth, requireScope, requireApiRole, bearerToken };
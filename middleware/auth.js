@@ -0,0 +1,82 @@
+// middleware/auth.js
+const repos = require('../repositories');
+
+// Only allow redirects back into this site ("/books", not "//evil.com" or "https://...")
+function safeReturnTo(value) {
+  if (typeof value !== 'string') return '';
+  if (!value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) return '';
+  return value;
+}
+
+// Where to send someone who needs to sign in first
+function signinUrl(returnTo) {
+  const target = safeReturnTo(returnTo);
+  return target ? `/signin?returnTo=${encodeURIComponent(target)}` : '/signin';
+}
+
+// Requests from fetch() get JSON errors, everything else gets redirects
+function wantsJson(req) {
+  return req.originalUrl.startsWith('/api/') || req.xhr || !req.accepts('html');
+}
+
+// Any signed-in user
+function requireUser(req, res, next) {
+  if (req.session.user) return next();
+
+  if (wantsJson(req)) {
+    return res.status(401).json({ error: 'Please sign in first.' });
+  }
+  // Only GET pages are safe to come back to after signing in
+  res.redirect(signinUrl(req.method === 'GET' ? req.originalUrl : ''));
+}
+
+// Signed-in user whose *current* role (read from the DB, so demotions apply
+// immediately) is one of `roles`. 401 when signed out, 403 when the role is missing.
+function requireRole(...roles) {
+  return async function (req, res, next) {
+    const sessionUser = req.session.user;
+    const user = sessionUser ? await repos.users.findById(sessionUser.id).select('role') : null;
+
+    if (!user) {
+      if (wantsJson(req)) {
+        return res.status(401).json({ error: 'Please sign in first.' });
+      }
+      return res.status(401).render('partials/layout', {
+        pageTitle: 'Sign In Required',
+        page: 'error',
+        errorTitle: 'Sign in required',
+        errorMessage: 'You need to sign in to see this page.',
+        errorLink: signinUrl(req.method === 'GET' ? req.originalUrl : '')
+      });
+    }
+
+    // keep the nav in sync if the role changed since sign-in
+    sessionUser.role = user.role;
+    res.locals.currentUser = sessionUser;
+    res.locals.isEditor = isEditor(sessionUser);
+
+    if (!roles.includes(user.role)) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ error: 'You do not have permission to do that.' });
+      }
+      return res.status(403).render('partials/layout', {
+        pageTitle: 'Forbidden',
+        page: 'error',
+        errorTitle: 'Not allowed',
+        errorMessage: 'Your account does not have permission to see this page.',
+        errorLink: '/home'
+      });
+    }
+
+    next();
+  };
+}
+
+// Roles allowed to curate the bookshelf
+const EDITOR_ROLES = ['editor', 'admin'];
+
+function isEditor(user) {
+  return !!user && EDITOR_ROLES.includes(user.role);
+}
+
+module.exports = { safeReturnTo, signinUrl, wantsJson, requireUser, requireRole, EDITOR_ROLES, isEditor };
@@ -0,0 +1,54 @@
+// middleware/csrf.js
+// CSRF protection with one random token per session. Forms send it as a hidden
+// "_csrf" field (<%- csrfField() %>), fetch() calls as an X-CSRF-Token header
+// (read from <meta name="csrf-token">). Any POST/PUT/PATCH/DELETE without the
+// right token is refused, so another site can't submit forms as a signed-in reader.
+// /api/v1 calls that carry an API token are the exception: see middleware/apiAuth.js.
+const crypto = require('crypto');
+const { wantsJson } = require('./auth');
+const { bearerToken } = require('./apiAuth');
+const { renderError } = require('../lib/pages');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Created on first use, so visitors who never see a form don't get a session
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(sent, expected) {
+  if (typeof sent !== 'string' || typeof expected !== 'string') return false;
+  const a = Buffer.from(sent);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function csrfProtection(req, res, next) {
+  res.locals.csrfToken = () => csrfToken(req);
+  res.locals.csrfField = () => `<input type="hidden" name="_csrf" value="${csrfToken(req)}">`;
+
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  // browsers never add an Authorization header on their own, and /api/v1 ignores
+  // the session cookie on requests that have one, so there is nothing to forge
+  if (req.originalUrl.startsWith('/api/v1/') && bearerToken(req) !== null) return next();
+
+  const sent = (req.body && req.body._csrf) || req.get('X-CSRF-Token');
+  if (tokensMatch(sent, req.session.csrfToken)) return next();
+
+  const message = 'This form has expired or came from another site. Reload the page and try again.';
+  // signed-out pages have no token to send; the JSON APIs they call (reviews,
+  // shelves...) want an account anyway, so say that and the page sends them to /signin
+  if (wantsJson(req) && !req.session.user) {
+    return res.status(401).json({ error: 'Please sign in first.' });
+  }
+  if (wantsJson(req)) {
+    return res.status(403).json({ error: message });
+  }
+  renderError(res, 403, 'Form expired', message);
+}
+
+module.exports = { csrfProtection, csrfToken };
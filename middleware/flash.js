@@ -0,0 +1,23 @@
+// middleware/flash.js
+// One-time messages that survive a redirect: req.flash('success', 'Saved.') before
+// res.redirect(), and the next page the layout renders shows it once.
+const TYPES = ['success', 'error', 'info'];
+
+function flash(req, res, next) {
+  req.flash = (type, message) => {
+    if (!TYPES.includes(type)) throw new Error(`Unknown flash type "${type}"`);
+    req.session.flash = [...(req.session.flash || []), { type, message }];
+  };
+
+  // read (and clear) only when a page actually shows them, so JSON calls and
+  // redirects in between don't swallow the message
+  res.locals.flashMessages = () => {
+    const messages = req.session.flash || [];
+    if (messages.length) delete req.session.flash;
+    return messages;
+  };
+
+  next();
+}
+
+module.exports = { flash };
@@ -0,0 +1,45 @@
+// middleware/rateLimit.js
+const { hit } = require('../lib/rateLimit');
+const { wantsJson } = require('./auth');
+const { renderError } = require('../lib/pages');
+
+function waitText(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+}
+
+/**
+ * Allow at most `max` requests per `windowMs` for each key.
+ * @param {object} options
+ *   name      counter namespace, e.g. 'signin-ip'
+ *   windowMs  window length
+ *   max       number, or (req) => number
+ *   key       (req) => string; defaults to the client IP. Returning '' skips the limit.
+ *   message   what the person is told when they hit the limit
+ */
+function rateLimit({ name, windowMs, max, key = req => req.ip, message = 'Too many requests.' }) {
+  return async function (req, res, next) {
+    const id = key(req);
+    if (!id) return next();
+
+    const limit = typeof max === 'function' ? max(req) : max;
+    const result = await hit(`${name}:${id}`, { windowMs, max: limit });
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    if (!result.limited) return next();
+
+    res.set('Retry-After', String(result.retryAfter));
+    const text = `${message} Please try again in ${waitText(result.retryAfter)}.`;
+    if (wantsJson(req)) {
+      return res.status(429).json({ error: text });
+    }
+    renderError(res, 429, 'Slow down', text);
+  };
+}
+
+// Signed-in requests count per account, everyone else per IP
+function userOrIp(req) {
+  return req.session.user ? `user:${req.session.user.id}` : `ip:${req.ip}`;
+}
+
+module.exports = { rateLimit, userOrIp };
@@ -0,0 +1,78 @@
+// middleware/upload.js
+// multipart/form-data parsing for the forms that take an image upload. app.js
+// mounts it ahead of csrfProtection, like the urlencoded parser, so the form's
+// _csrf field is already in req.body when the token is checked. Files stay in
+// memory (at most MAX_UPLOAD_BYTES each) until the route stores them; a route
+// that then turns the form away calls discardUploads so nothing is left behind.
+const multer = require('multer');
+const { storeImage, releaseImages, isAllowedType, ImageError, MAX_UPLOAD_BYTES } = require('../lib/images');
+
+const TYPE_MESSAGE = 'Upload a JPEG, PNG, WebP or GIF image.';
+
+function multerMessage(err) {
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE': return `Images must be ${MAX_UPLOAD_BYTES / 1024 / 1024} MB or smaller.`;
+    case 'LIMIT_UNEXPECTED_FILE': return 'Only one image can be uploaded here.';
+    default: return err.message;
+  }
+}
+
+/**
+ * Parse multipart forms with one optional image in each of `fields`.
+ * A refused file doesn't fail the request: its message is left in
+ * req.uploadErrors[field] for the route to show next to the form.
+ * @param {string[]} fields  file input names
+ */
+function imageUploads(fields) {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: fields.length },
+    fileFilter(req, file, cb) {
+      if (isAllowedType(file.mimetype)) return cb(null, true);
+      req.uploadErrors[file.fieldname] = TYPE_MESSAGE;
+      cb(null, false);
+    }
+  }).fields(fields.map(name => ({ name, maxCount: 1 })));
+
+  return (req, res, next) => {
+    req.uploadErrors = {};
+    parse(req, res, err => {
+      if (err instanceof multer.MulterError) {
+        req.uploadErrors[fields.includes(err.field) ? err.field : fields[0]] = multerMessage(err);
+        return next();
+      }
+      next(err);
+    });
+  };
+}
+
+/**
+ * Store the image uploaded in `field`, if there is one.
+ * @param {string} preset  'article' | 'book' (see lib/images.js)
+ * @returns {Promise<string|null>} the stored image's URL, or null when nothing was uploaded
+ * @throws {ImageError} when the file was refused
+ */
+async function storeUpload(req, field, preset) {
+  if (req.uploadErrors && req.uploadErrors[field]) {
+    throw new ImageError(req.uploadErrors[field]);
+  }
+  const file = req.files && req.files[field] && req.files[field][0];
+  if (!file) return null;
+  const { url, thumbUrl } = await storeImage(file, preset);
+  req.storedUploads = [...(req.storedUploads || []), url, thumbUrl];
+  return url;
+}
+
+/**
+ * Remove what storeUpload stored for this request, when the form it came
+ * with was not saved (files another article or book uses are kept).
+ * @returns {Promise<boolean>} whether there was anything to remove
+ */
+async function discardUploads(req) {
+  const urls = req.storedUploads || [];
+  req.storedUploads = [];
+  await releaseImages(urls);
+  return urls.length > 0;
+}
+
+module.exports = { imageUploads, storeUpload, discardUploads };
@@ -0,0 +1,13 @@
+// migrations/001-article-status.js
+// Articles written before drafts existed have no status: they were all live.
+
+module.exports = {
+  description: 'Mark articles without a status as published',
+
+  async up({ db }) {
+    await db.collection('articles').updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt', updatedAt: '$createdAt' } }]
+    );
+  }
+};
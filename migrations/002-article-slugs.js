@@ -0,0 +1,18 @@
+// migrations/002-article-slugs.js
+// Articles from before slug permalinks only had /articles/<id> links.
+// Same "<title>-<last 6 of id>" rule as the Article pre-validate hook.
+const slugify = require('../lib/slugify');
+
+module.exports = {
+  description: 'Give every article a slug permalink',
+
+  async up({ db }) {
+    const articles = db.collection('articles');
+    const missing = articles.find({ slug: { $exists: false } }, { projection: { title: 1 } });
+
+    for await (const article of missing) {
+      const slug = `${slugify(article.title) || 'article'}-${article._id.toString().slice(-6)}`;
+      await articles.updateOne({ _id: article._id }, { $set: { slug } });
+    }
+  }
+};
@@ -0,0 +1,10 @@
+// migrations/003-article-views.js
+// "most-read" sorting and its cursors need a number on every article.
+
+module.exports = {
+  description: 'Start every article view count at 0',
+
+  async up({ db }) {
+    await db.collection('articles').updateMany({ views: { $exists: false } }, { $set: { views: 0 } });
+  }
+};
@@ -0,0 +1,18 @@
+// migrations/004-seed-image-names.js
+// The seed covers in public/ were renamed from "a tale of two cities.jpg" to
+// "a-tale-of-two-cities.jpg" (spaces had to be escaped in every URL that used them).
+// Books and articles seeded before that still point at the old names.
+const RENAMED = ['the way of nagomi', 'a tale of two cities', 'the alchemist', 'in cold blood', 'no hard feelings'];
+
+module.exports = {
+  description: 'Point seeded books and articles at the renamed cover images',
+
+  async up({ db }) {
+    for (const name of RENAMED) {
+      const from = `/${name}.jpg`;
+      const to = `/${name.replace(/ /g, '-')}.jpg`;
+      await db.collection('books').updateMany({ image: from }, { $set: { image: to } });
+      await db.collection('articles').updateMany({ coverImage: from }, { $set: { coverImage: to } });
+    }
+  }
+};
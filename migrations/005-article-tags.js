@@ -0,0 +1,69 @@
+// migrations/005-article-tags.js
+// Articles used to carry one free-text `tag` ("Culture • Staff pick"). Split it
+// into the `tags` array, create the matching Tag documents (first spelling wins,
+// like Tag.canonicalNames), and split tag follows on the old combined names.
+const slugify = require('../lib/slugify');
+
+const MAX_TAGS = 5;
+
+function splitTag(value) {
+  return String(value || '').split(/[,•]/).map(part => part.trim().replace(/\s+/g, ' ')).filter(Boolean);
+}
+
+module.exports = {
+  description: 'Move article tags into a Tag collection and a tags array',
+
+  async up({ db }) {
+    const articles = db.collection('articles');
+    const tags = db.collection('tags');
+    const follows = db.collection('follows');
+
+    // slug -> canonical name, for every tag this run has seen or created
+    const known = new Map();
+    for await (const tag of tags.find({}, { projection: { name: 1, slug: 1 } })) {
+      known.set(tag.slug, tag.name);
+    }
+
+    async function canonical(name) {
+      const slug = slugify(name);
+      if (!slug) return null;
+      if (!known.has(slug)) {
+        await tags.updateOne(
+          { slug },
+          { $setOnInsert: { name: name.slice(0, 40), slug, aliases: [], createdAt: new Date() } },
+          { upsert: true }
+        );
+        known.set(slug, (await tags.findOne({ slug })).name);
+      }
+      return known.get(slug);
+    }
+
+    const legacy = articles.find({ tag: { $exists: true } }, { projection: { tag: 1, tags: 1 } });
+    for await (const article of legacy) {
+      const names = [];
+      for (const name of [...(article.tags || []), ...splitTag(article.tag)]) {
+        const tag = await canonical(name);
+        if (tag && !names.includes(tag)) names.push(tag);
+      }
+      await articles.updateOne(
+        { _id: article._id },
+        { $set: { tags: names.slice(0, MAX_TAGS) }, $unset: { tag: '' } }
+      );
+    }
+
+    // Following "Culture • Staff pick" becomes following both tags
+    const combined = follows.find({ kind: 'tag', name: /[,•]/ });
+    for await (const follow of combined) {
+      for (const part of splitTag(follow.name)) {
+        const name = (await canonical(part)) || part;
+        const key = name.toLowerCase();
+        await follows.updateOne(
+          { user: follow.user, kind: 'tag', key },
+          { $setOnInsert: { user: follow.user, kind: 'tag', key, name, createdAt: follow.createdAt || new Date() } },
+          { upsert: true }
+        );
+      }
+      await follows.deleteOne({ _id: follow._id });
+    }
+  }
+};
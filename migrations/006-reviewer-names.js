@@ -0,0 +1,15 @@
+// migrations/006-reviewer-names.js
+// Reviews and book suggestions by accounts without a name were signed with the
+// account's email address, for anyone to read. Sign those "Anonymous" instead.
+module.exports = {
+  description: 'Replace email addresses shown as review and suggestion authors',
+
+  async up({ db }) {
+    const collections = [db.collection('reviews'), db.collection('booksuggestions')];
+    for await (const user of db.collection('users').find({}, { projection: { email: 1 } })) {
+      for (const collection of collections) {
+        await collection.updateMany({ user: user._id, authorName: user.email }, { $set: { authorName: 'Anonymous' } });
+      }
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// migrations/007-commenter-names.js
+// Comments by accounts without a name were signed with the account's email
+// address, for anyone to read. Sign those "Anonymous" instead.
+module.exports = {
+  description: 'Replace email addresses shown as comment authors',
+
+  async up({ db }) {
+    const comments = db.collection('comments');
+    for await (const user of db.collection('users').find({}, { projection: { email: 1 } })) {
+      await comments.updateMany({ user: user._id, authorName: user.email }, { $set: { authorName: 'Anonymous' } });
+    }
+  }
+};
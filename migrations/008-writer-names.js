@@ -0,0 +1,17 @@
+// migrations/008-writer-names.js
+// Writers without a name published, and were listed in revision history,
+// under their email address. Show "Anonymous" instead, in the revisions'
+// copies of the byline too, so restoring one doesn't bring the address back.
+module.exports = {
+  description: 'Replace email addresses shown as article bylines and revision editors',
+
+  async up({ db }) {
+    const articles = db.collection('articles');
+    const revisions = db.collection('revisions');
+    for await (const user of db.collection('users').find({}, { projection: { email: 1 } })) {
+      await articles.updateMany({ user: user._id, author: user.email }, { $set: { author: 'Anonymous' } });
+      await revisions.updateMany({ editor: user._id, editorName: user.email }, { $set: { editorName: 'Anonymous' } });
+      await revisions.updateMany({ kind: 'article', 'fields.author': user.email }, { $set: { 'fields.author': 'Anonymous' } });
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// migrations/009-author-follows-by-account.js
+// Author follows used to be keyed by the byline, which anyone could publish
+// under. Tie each one to the account that writes under it, where exactly one
+// does; a byline shared by several accounts (or by none) can't say who was
+// meant, so those follows are dropped and the reader can follow again.
+const escapeRegExp = require('../lib/escapeRegExp');
+
+module.exports = {
+  description: 'Key author follows by the writer\'s account instead of the byline',
+
+  async up({ db }) {
+    const follows = db.collection('follows');
+    const articles = db.collection('articles');
+    for await (const follow of follows.find({ kind: 'author', author: null })) {
+      const writers = await articles.distinct('user', {
+        isCommunity: true,
+        user: { $ne: null },
+        author: { $regex: `^${escapeRegExp(follow.name)}$`, $options: 'i' }
+      });
+      const key = writers.length === 1 ? String(writers[0]) : null;
+      if (!key || await follows.findOne({ user: follow.user, kind: 'author', key })) {
+        await follows.deleteOne({ _id: follow._id });
+      } else {
+        await follows.updateOne({ _id: follow._id }, { $set: { author: writers[0], key } });
+      }
+    }
+  }
+};
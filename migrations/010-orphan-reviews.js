@@ -0,0 +1,11 @@
+// migrations/010-orphan-reviews.js
+// Deleting a book used to leave its reviews behind. Remove the reviews whose
+// book is gone (Review.bookId is the book's id as a string).
+module.exports = {
+  description: 'Delete reviews of books that no longer exist',
+
+  async up({ db }) {
+    const bookIds = (await db.collection('books').distinct('_id')).map(String);
+    await db.collection('reviews').deleteMany({ bookId: { $nin: bookIds } });
+  }
+};
@@ -0,0 +1,57 @@
+// models/ApiToken.js
+// A personal API token for /api/v1 (created on the account page). Like password
+// reset links, only a SHA-256 of the token is stored: the raw token is shown
+// once when it is made and can't be recovered afterwards. Revoking keeps the
+// row (so the account page can say when) but the token stops working at once.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// read:  GET anything the account could see on the site
+// write: create, change and delete (always comes with read)
+const SCOPES = ['read', 'write'];
+const TOKEN_PREFIX = 'ua_';
+const SHOWN_CHARS = 10;          // "ua_Xy3kQ9a…" on the account page
+const MAX_ACTIVE_PER_USER = 10;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const apiTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: {
+    type: String,
+    trim: true,
+    required: [true, 'Name the token after what will use it, e.g. "Newsletter sync".'],
+    maxlength: [80, 'Keep the name under 80 characters.']
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },   // the first few characters, to tell tokens apart
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: { validator: v => v.length > 0, message: 'Pick what the token may do.' }
+  },
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Write access without read access would be a token that can't see what it changed
+apiTokenSchema.pre('validate', function (next) {
+  if (this.scopes.includes('write') && !this.scopes.includes('read')) {
+    this.scopes = ['read', ...this.scopes];
+  }
+  next();
+});
+
+apiTokenSchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+apiTokenSchema.statics.hashToken = hashToken;
+apiTokenSchema.statics.SCOPES = SCOPES;
+apiTokenSchema.statics.TOKEN_PREFIX = TOKEN_PREFIX;
+apiTokenSchema.statics.SHOWN_CHARS = SHOWN_CHARS;
+apiTokenSchema.statics.MAX_ACTIVE_PER_USER = MAX_ACTIVE_PER_USER;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -1,16 +1,199 @@
 // models/Article.js
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const slugify = require('../lib/slugify');
+const Tag = require('./Tag');
+const { renderMarkdown, markdownToText } = require('../lib/markdown');
+const { isHttpUrl, isImageUrl } = require('../lib/validation');
+
+// draft:     only the writer can see it (autosaved from /write)
+// scheduled: goes live by itself once publishAt has passed
+// published: public on /articles, /archive, search and the API
+// archived:  taken off the site but kept for the writer
+const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// The same text submitted again within this window is refused (repos.articles.isDuplicateContent)
+const DUPLICATE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Drafts may be half-written; everything else needs a title and body
+// (curated pieces that live elsewhere only need their externalUrl)
+function requiredUnlessDraft() {
+  return this.status !== 'draft';
+}
+
+function contentRequired() {
+  return this.status !== 'draft' && !this.externalUrl;
+}
 
 const articleSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  tag: { type: String, default: 'Article' },          // e.g. Poem, Story, Essay
-  author: { type: String, default: 'Anonymous' },
-  readTime: { type: String, default: '3 min read' },
-  excerpt: { type: String, default: '' },
-  content: { type: String, required: true },          // full text
-  coverImage: { type: String, default: '' },
+  title: {
+    type: String,
+    trim: true,
+    required: [requiredUnlessDraft, 'Give your piece a title.'],
+    maxlength: [200, 'Keep the title under 200 characters.'],
+    default: ''
+  },
+  slug: { type: String, unique: true, sparse: true },  // used for /articles/:slug permalinks
+  tags: { type: [{ type: String, trim: true }], default: [] }, // Tag names, e.g. Poem, Nature; the first is the card label
+  author: { type: String, trim: true, maxlength: [80, 'Keep the author name under 80 characters.'], default: 'Anonymous' }, // display / pen name
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // creator; null = anonymous
+  readTime: { type: String, trim: true, maxlength: [30, 'Keep the read time short, e.g. "5 min read".'], default: '3 min read' },
+  excerpt: { type: String, trim: true, maxlength: [500, 'Keep the excerpt under 500 characters.'], default: '' },
+  content: {                                          // full text, Markdown
+    type: String,
+    required: [contentRequired, 'Write something before publishing.'],
+    maxlength: [100000, 'That is longer than we can store (100,000 characters).'],
+    default: ''
+  },
+  coverImage: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: { validator: isImageUrl, message: 'Use an http(s) image URL, or a path like /cover.jpg.' }
+  },
+  coverThumb: { type: String, default: '' },          // card-sized copy of an uploaded cover (lib/images.js)
   isCommunity: { type: Boolean, default: true },      // mark user-written ones
-  createdAt: { type: Date, default: Date.now }
+  externalKey: { type: String, unique: true, sparse: true }, // curated pieces, set by the seeder
+  externalUrl: {                                      // where a curated piece can be read in full
+    type: String,
+    default: '',
+    validate: { validator: v => !v || isHttpUrl(v), message: 'The external link must be an http(s) URL.' }
+  },
+  status: { type: String, enum: STATUSES, default: 'published', index: true },
+  publishAt: { type: Date, default: null },           // when a scheduled piece goes live
+  publishedAt: { type: Date, default: null },         // public ordering (set on first publish)
+  views: { type: Number, default: 0 },                // reading-view hits, for "most read"
+  contentHash: { type: String, default: null },       // normalised body fingerprint (duplicate check)
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Listing / cursor pagination (lib/articleQuery.js)
+articleSchema.index({ status: 1, publishedAt: -1, _id: -1 });
+articleSchema.index({ status: 1, views: -1, _id: -1 });
+articleSchema.index({ contentHash: 1, createdAt: -1 });
+articleSchema.index({ tags: 1, status: 1, publishedAt: -1 });
+
+// Full-text index used by /api/search (weights: title > author > excerpt > content)
+articleSchema.index(
+  { title: 'text', author: 'text', excerpt: 'text', content: 'text' },
+  { name: 'article_text', weights: { title: 10, author: 5, excerpt: 3, content: 1 } }
+);
+
+// Build the slug from the title plus the tail of the id so two articles with
+// the same title never collide. It follows title changes until the piece first
+// goes public, then stays fixed so shared links keep working.
+articleSchema.pre('validate', function (next) {
+  if (this.title && (!this.slug || (!this.publishedAt && this.isModified('title')))) {
+    const base = slugify(this.title) || 'article';
+    this.slug = `${base}-${this._id.toString().slice(-6)}`;
+  }
+
+  // Cards need an excerpt; derive one from the body unless the writer gave one
+  if (!this.excerpt && this.content && this.status !== 'draft') {
+    this.excerpt = markdownToText(this.content).slice(0, 120) + '...';
+  }
+
+  if (this.status === 'scheduled') {
+    // ordered by its go-live time straight away, before the scheduler flips it
+    this.publishedAt = this.publishAt;
+  } else if (this.status === 'published' && (!this.publishedAt || this.publishedAt > new Date())) {
+    this.publishedAt = new Date();
+  } else if (this.status === 'draft' && this.isModified('status')) {
+    this.publishedAt = null;
+  }
+
+  if (this.isModified('content')) {
+    this.contentHash = this.content ? hashContent(this.content) : null;
+  }
+
+  this.updatedAt = new Date();
+  next();
+});
+
+// One entry per tag ("poem" and "Poem " are the same), at most Tag.MAX_TAGS.
+// repositories/articles.js swaps in each tag's stored spelling before saving.
+articleSchema.pre('validate', function (next) {
+  if (!this.isModified('tags')) return next();
+
+  const names = Tag.uniqueNames(this.tags);
+  this.tags = names;  // before invalidate(): setting a path clears its error
+  if (names.some(name => !slugify(name))) {
+    this.invalidate('tags', 'Tags need at least one letter or number.');
+  } else if (names.some(name => name.length > Tag.MAX_TAG_LENGTH)) {
+    this.invalidate('tags', `Keep each tag under ${Tag.MAX_TAG_LENGTH} characters.`);
+  } else if (names.length > Tag.MAX_TAGS) {
+    this.invalidate('tags', `Use at most ${Tag.MAX_TAGS} tags.`);
+  }
+  next();
+});
+
+// Same words in the same order = same hash, whatever the spacing or case
+function hashContent(content) {
+  const normalised = String(content).toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+// Query filter for what readers may see: published pieces plus scheduled ones
+// whose time has come (even if the scheduler hasn't flipped them yet)
+articleSchema.statics.liveFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { status: 'published' },
+      { status: 'scheduled', publishAt: { $lte: now } }
+    ]
+  };
+};
+
+articleSchema.methods.isLive = function (now = new Date()) {
+  return this.status === 'published' ||
+    (this.status === 'scheduled' && !!this.publishAt && this.publishAt <= now);
+};
+
+// Link used by cards and prev/next navigation (old docs may not have a slug yet)
+articleSchema.virtual('url').get(function () {
+  return `/articles/${this.slug || this._id}`;
+});
+
+// The first tag: the label on cards, and what decides poem formatting
+articleSchema.virtual('tag').get(function () {
+  return (this.tags && this.tags[0]) || '';
+});
+
+// [{ name, url }] for linking each tag to its /tags/:slug page
+articleSchema.virtual('tagLinks').get(function () {
+  return (this.tags || []).map(name => ({ name, url: Tag.urlFor(name) }));
 });
 
+// Sanitized HTML for the reading view (poems keep their line breaks)
+articleSchema.virtual('contentHtml').get(function () {
+  return renderMarkdown(this.content, { tag: this.tag });
+});
+
+// Submitted without an account: shown as such and locked after publishing
+articleSchema.virtual('isAnonymous').get(function () {
+  return this.isCommunity && !this.user;
+});
+
+// Owners can edit their own pieces; admins can edit any signed piece;
+// curated pieces belong to the editors. Anonymous pieces can't be edited by anyone.
+articleSchema.methods.canEdit = function (sessionUser) {
+  if (!sessionUser) return false;
+  if (!this.isCommunity) return ['editor', 'admin'].includes(sessionUser.role);
+  if (!this.user) return false;
+  return String(this.user) === String(sessionUser.id) || sessionUser.role === 'admin';
+};
+
+// Same as editing, except admins may also take down anonymous pieces
+articleSchema.methods.canDelete = function (sessionUser) {
+  if (!sessionUser) return false;
+  return this.canEdit(sessionUser) || sessionUser.role === 'admin';
+};
+
+articleSchema.set('toJSON', { virtuals: true });
+
+articleSchema.statics.hashContent = hashContent;
+articleSchema.statics.STATUSES = STATUSES;
+articleSchema.statics.DUPLICATE_WINDOW_MS = DUPLICATE_WINDOW_MS;
+
 module.exports = mongoose.model('Article', articleSchema);
@@ -1,11 +1,34 @@
 // models/Book.js
 const mongoose = require('mongoose');
+const { isImageUrl } = require('../lib/validation');
 
 const bookSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  description: { type: String, required: true },
-  image: { type: String },      // URL or relative path
+  title: {
+    type: String,
+    trim: true,
+    required: [true, 'A book needs a title.'],
+    maxlength: [200, 'Keep the title under 200 characters.']
+  },
+  description: {
+    type: String,
+    trim: true,
+    required: [true, 'Add a short description.'],
+    maxlength: [5000, 'Keep the description under 5,000 characters.']
+  },
+  image: {                      // URL, /public path or /uploads file
+    type: String,
+    trim: true,
+    validate: { validator: isImageUrl, message: 'Use an http(s) image URL, or a path like /cover.jpg.' }
+  },
+  thumb: { type: String, default: '' }, // card-sized copy of an uploaded image (lib/images.js)
+  externalKey: { type: String, unique: true, sparse: true },  // curated books, set by the seeder
   createdAt: { type: Date, default: Date.now }
 });
 
+// Full-text index used by /api/search
+bookSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'book_text', weights: { title: 10, description: 3 } }
+);
+
 module.exports = mongoose.model('Book', bookSchema);
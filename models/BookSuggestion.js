@@ -0,0 +1,11 @@
+// models/BookSuggestion.js
+const mongoose = require('mongoose');
+
+const bookSuggestionSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true, maxlength: 300 },  // suggested title
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorName: { type: String, default: 'Anonymous' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('BookSuggestion', bookSuggestionSchema);
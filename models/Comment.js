@@ -0,0 +1,59 @@
+// models/Comment.js
+// Reader comments under an article. Replies nest at most MAX_DEPTH levels below
+// a top-level comment; a reply to something deeper joins its parent's thread.
+const mongoose = require('mongoose');
+
+const MAX_DEPTH = 2;
+
+// pending:  waiting in the moderation queue (only the writer sees it)
+// approved: visible to everyone
+// hidden:   taken down by a moderator
+const STATUSES = ['pending', 'approved', 'hidden'];
+
+// Accounts younger than this go through the queue until one of their comments is approved
+const NEW_ACCOUNT_MS = 3 * 24 * 60 * 60 * 1000;
+
+const commentSchema = new mongoose.Schema({
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorName: { type: String, default: 'Anonymous' },  // name at time of posting
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  // who was replied to: the parent's writer, unless the thread was too deep to
+  // nest further and the reply went under the parent's parent instead
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  depth: { type: Number, default: 0, min: 0, max: MAX_DEPTH },
+  text: { type: String, trim: true, maxlength: 5000 },
+  status: { type: String, enum: STATUSES, default: 'approved' },
+  // deleting a comment that has replies keeps an empty placeholder so the thread holds together
+  deletedAt: { type: Date, default: null },
+  editedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+commentSchema.index({ article: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+commentSchema.index({ user: 1 });
+
+// Counted on cards: approved, not deleted
+commentSchema.statics.visibleFilter = function () {
+  return { status: 'approved', deletedAt: null };
+};
+
+commentSchema.methods.isOwnedBy = function (sessionUser) {
+  return !!sessionUser && String(this.user) === String(sessionUser.id);
+};
+
+commentSchema.methods.canEdit = function (sessionUser) {
+  return !this.deletedAt && this.status !== 'hidden' && this.isOwnedBy(sessionUser);
+};
+
+commentSchema.methods.canDelete = function (sessionUser) {
+  if (this.deletedAt || !sessionUser) return false;
+  return this.isOwnedBy(sessionUser) || sessionUser.role === 'admin';
+};
+
+commentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+commentSchema.statics.STATUSES = STATUSES;
+commentSchema.statics.NEW_ACCOUNT_MS = NEW_ACCOUNT_MS;
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,61 @@
+// models/Feature.js
+// An editor's pick for "Today's Featured Piece" on the home page: one article
+// (poems and stories are articles too) or one book, for a range of days.
+// Days are calendar dates in UTC, stored as midnight UTC, and both ends count.
+const mongoose = require('mongoose');
+
+const KINDS = ['article', 'book'];
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const featureSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: { values: KINDS, message: 'Feature an article or a book.' },
+    required: [true, 'Pick something to feature.']
+  },
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', default: null },
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', default: null },
+  startsOn: { type: Date, required: [true, 'Pick the first day.'] },
+  endsOn: { type: Date, required: [true, 'Pick the last day.'] },
+  note: {                       // shown instead of the piece's own excerpt when set
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [300, 'Keep the note under 300 characters.']
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+featureSchema.index({ startsOn: 1, endsOn: 1 });
+
+// Midnight UTC of the day `date` falls on
+function dayOf(date = new Date()) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+featureSchema.pre('validate', function (next) {
+  if (this.kind && !this[this.kind]) {
+    this.invalidate('item', 'Pick something to feature.');
+  }
+  // only the chosen kind keeps its reference
+  KINDS.filter(kind => kind !== this.kind).forEach(kind => { this[kind] = null; });
+
+  if (this.startsOn) this.startsOn = dayOf(this.startsOn);
+  if (this.endsOn) this.endsOn = dayOf(this.endsOn);
+  if (this.startsOn && this.endsOn) {
+    if (this.endsOn < this.startsOn) {
+      this.invalidate('endsOn', 'The last day can\'t be before the first.');
+    } else if ((this.endsOn - this.startsOn) / DAY_MS >= MAX_DAYS) {
+      this.invalidate('endsOn', 'Schedule at most a year at a time.');
+    }
+  }
+  next();
+});
+
+featureSchema.statics.KINDS = KINDS;
+featureSchema.statics.dayOf = dayOf;
+
+module.exports = mongoose.model('Feature', featureSchema);
@@ -0,0 +1,56 @@
+// models/Follow.js
+// A reader following an author or a tag. Authors are followed by account
+// (author, the writer's User id), never by byline: anyone can type any pen
+// name, so a byline can't say whose pieces are whose. name is the byline as
+// shown when followed. Tags are followed by name, ignoring case like the
+// article filters.
+const mongoose = require('mongoose');
+
+const KINDS = ['author', 'tag'];
+
+// Bylines that aren't a person anyone could follow
+const UNFOLLOWABLE_AUTHORS = ['anonymous', 'anonymous submission'];
+
+function keyFor(name) {
+  return String(name == null ? '' : name).trim().toLowerCase();
+}
+
+const followSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: KINDS, required: true },
+  name: {                                  // as shown when it was followed
+    type: String,
+    trim: true,
+    required: [true, 'Say which author or tag to follow.'],
+    maxlength: [80, 'That name is too long to follow.']
+  },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },   // author follows only
+  key: String,                             // author id or lowercased tag name, for matching and counting (set below)
+  createdAt: { type: Date, default: Date.now }
+});
+
+followSchema.index({ user: 1, kind: 1, key: 1 }, { unique: true });
+followSchema.index({ kind: 1, key: 1 });
+
+followSchema.pre('validate', function (next) {
+  if (this.kind === 'author') {
+    this.key = this.author ? String(this.author) : '';
+    if (!this.author || UNFOLLOWABLE_AUTHORS.includes(keyFor(this.name))) {
+      this.invalidate('author', 'There is no author to follow there.');
+    }
+  } else {
+    this.key = keyFor(this.name);
+  }
+  next();
+});
+
+// Could this byline be followed? (anonymous pieces have no one behind them)
+followSchema.statics.canFollowAuthor = function (name) {
+  const key = keyFor(name);
+  return !!key && !UNFOLLOWABLE_AUTHORS.includes(key);
+};
+
+followSchema.statics.KINDS = KINDS;
+followSchema.statics.keyFor = keyFor;
+
+module.exports = mongoose.model('Follow', followSchema);
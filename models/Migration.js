@@ -0,0 +1,10 @@
+// models/Migration.js
+// One document per migration in migrations/ that has already run
+const mongoose = require('mongoose');
+
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },  // file name, e.g. "001-article-status"
+  appliedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -0,0 +1,30 @@
+// models/Notification.js
+// One entry in a reader's notifications inbox (created by lib/notifications.js)
+const mongoose = require('mongoose');
+
+// Every kind of notification, with the label used for it on the account page,
+// where each can be switched off
+const TYPES = {
+  comment: 'New comments on my articles',
+  reply: 'Replies to my comments',
+  follower: 'New followers',
+  published: 'My scheduled pieces going live',
+  moderation: 'Moderator actions on my comments or account'
+};
+
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: Object.keys(TYPES), required: true },
+  message: { type: String, required: true, maxlength: 300 },
+  url: { type: String, default: '' },      // where clicking it goes
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },  // who caused it, where one person did
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
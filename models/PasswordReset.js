@@ -0,0 +1,27 @@
+// models/PasswordReset.js
+// One "forgot password" link. Only a SHA-256 of the token is stored, so a leaked
+// database can't be used to reset anyone's password; the raw token only exists
+// in the email. Mongo's TTL monitor deletes rows once they expire.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TOKEN_TTL_MS = 60 * 60 * 1000; // links work for one hour
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const passwordResetSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+passwordResetSchema.statics.hashToken = hashToken;
+passwordResetSchema.statics.TOKEN_TTL_MS = TOKEN_TTL_MS;
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
@@ -0,0 +1,17 @@
+// models/Quote.js
+const mongoose = require('mongoose');
+
+const quoteSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  author: { type: String, default: 'Unknown' },
+  externalKey: { type: String, unique: true, sparse: true },  // set by the seeder (npm run seed)
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Full-text index used by /api/search
+quoteSchema.index(
+  { text: 'text', author: 'text' },
+  { name: 'quote_text', weights: { text: 10, author: 5 } }
+);
+
+module.exports = mongoose.model('Quote', quoteSchema);
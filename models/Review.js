@@ -0,0 +1,13 @@
+// models/Review.js
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  // Curated books use ids like "b1", Mongo books use their ObjectId, so keep it a string
+  bookId: { type: String, required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorName: { type: String, default: 'Anonymous' },  // name at time of posting
+  text: { type: String, required: true, trim: true, maxlength: 2000 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,39 @@
+// models/Revision.js
+// One saved version of an article or a book: a snapshot of its editable fields
+// after a change, who made it and which fields it touched. Revisions are never
+// changed once written (a restore adds a new one); they are only deleted along
+// with the article or book they belong to.
+const mongoose = require('mongoose');
+
+const KINDS = ['article', 'book'];
+
+const revisionSchema = new mongoose.Schema({
+  kind: { type: String, enum: KINDS, required: true },
+  doc: { type: mongoose.Schema.Types.ObjectId, required: true },   // the Article or Book
+  number: { type: Number, required: true },                        // 1, 2, 3… per document
+  fields: { type: mongoose.Schema.Types.Mixed, required: true },   // lib/revisions.js snapshot()
+  changed: { type: [String], default: [] },                        // fields that differ from the one before
+  editor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  editorName: { type: String, default: '' },                       // as it was then; accounts get renamed
+  restoredFrom: { type: Number, default: null },                   // number of the revision brought back
+  autosave: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+revisionSchema.index({ kind: 1, doc: 1, number: -1 }, { unique: true });
+
+function immutable(next) {
+  next(new Error('Revisions can\'t be changed once saved.'));
+}
+
+revisionSchema.pre('save', function (next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(op => {
+  revisionSchema.pre(op, immutable);
+});
+
+revisionSchema.statics.KINDS = KINDS;
+
+module.exports = mongoose.model('Revision', revisionSchema);
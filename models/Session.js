@@ -0,0 +1,17 @@
+// models/Session.js
+// One sign-in session, kept by lib/sessionStore.js. _id is the session id from
+// the cookie; data is the session exactly as express-session hands it over,
+// as JSON text; user is who is signed in, so a password change can end their
+// other sessions. Mongo's TTL monitor deletes rows once they expire.
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  data: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  expiresAt: { type: Date, required: true }
+}, { versionKey: false });
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,79 @@
+// models/ShelfEntry.js
+// One reader's relationship with one book: which shelf it is on, how far they
+// have got, when they started and finished, and their star rating.
+const mongoose = require('mongoose');
+
+// want-to-read: saved for later
+// reading:      in progress (progress is tracked)
+// finished:     read to the end
+const SHELVES = ['want-to-read', 'reading', 'finished'];
+
+// Progress is either a percentage or a page number (out of totalPages, when the reader gave it)
+const PROGRESS_UNITS = ['percent', 'page'];
+
+const shelfEntrySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  status: {
+    type: String,
+    enum: { values: SHELVES, message: 'Pick a shelf: want to read, reading or finished.' },
+    required: true
+  },
+  progress: { type: Number, min: [0, 'Progress can\'t be negative.'], default: 0 },
+  progressUnit: { type: String, enum: PROGRESS_UNITS, default: 'percent' },
+  totalPages: { type: Number, min: [1, 'A book has at least one page.'], max: 100000, default: null },
+  rating: {
+    type: Number,
+    default: null,
+    min: [1, 'Ratings go from 1 to 5 stars.'],
+    max: [5, 'Ratings go from 1 to 5 stars.'],
+    validate: { validator: v => v == null || Number.isInteger(v), message: 'Ratings are whole stars.' }
+  },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+shelfEntrySchema.index({ user: 1, book: 1 }, { unique: true });
+shelfEntrySchema.index({ book: 1 });
+
+shelfEntrySchema.pre('validate', function (next) {
+  // moving a book along the shelves fills in the dates the reader didn't
+  if (this.isModified('status')) {
+    const now = new Date();
+    if (this.status === 'reading' && !this.startedAt) this.startedAt = now;
+    if (this.status === 'finished' && !this.finishedAt) this.finishedAt = now;
+  }
+  if (this.status === 'finished') {
+    this.progress = this.progressUnit === 'page' && this.totalPages ? this.totalPages : 100;
+    if (this.progressUnit === 'page' && !this.totalPages) this.progressUnit = 'percent';
+  }
+
+  if (this.progressUnit === 'percent' && this.progress > 100) {
+    this.invalidate('progress', 'Progress goes up to 100%.');
+  }
+  if (this.progressUnit === 'page' && this.totalPages && this.progress > this.totalPages) {
+    this.invalidate('progress', `This edition only has ${this.totalPages} pages.`);
+  }
+  if (this.startedAt && this.finishedAt && this.finishedAt < this.startedAt) {
+    this.invalidate('finishedAt', 'You can\'t finish a book before starting it.');
+  }
+
+  this.updatedAt = new Date();
+  next();
+});
+
+// 0–100, or null when progress is in pages of an unknown total
+shelfEntrySchema.virtual('percentComplete').get(function () {
+  if (this.progressUnit === 'percent') return this.progress;
+  if (!this.totalPages) return null;
+  return Math.min(100, Math.round((this.progress / this.totalPages) * 100));
+});
+
+shelfEntrySchema.set('toJSON', { virtuals: true });
+
+shelfEntrySchema.statics.SHELVES = SHELVES;
+shelfEntrySchema.statics.PROGRESS_UNITS = PROGRESS_UNITS;
+
+module.exports = mongoose.model('ShelfEntry', shelfEntrySchema);
@@ -0,0 +1,61 @@
+// models/Tag.js
+// The tag vocabulary. Articles store tag names (Article.tags); this collection
+// gives each name one canonical spelling and a slug for /tags/:slug, so
+// "poem", "Poem " and "POEM" all end up as the same tag. Renamed and merged
+// tags keep their old slugs as aliases so existing links still resolve.
+const mongoose = require('mongoose');
+const slugify = require('../lib/slugify');
+
+const MAX_TAGS = 5;             // per article
+const MAX_TAG_LENGTH = 40;
+
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: [true, 'Give the tag a name.'],
+    maxlength: [MAX_TAG_LENGTH, `Keep tags under ${MAX_TAG_LENGTH} characters.`]
+  },
+  slug: { type: String, required: true, unique: true },
+  aliases: { type: [String], default: [], index: true },  // slugs it used to have
+  createdAt: { type: Date, default: Date.now }
+});
+
+tagSchema.pre('validate', function (next) {
+  this.slug = slugify(this.name);
+  if (this.name && !this.slug) {
+    this.invalidate('name', 'Tags need at least one letter or number.');
+  }
+  next();
+});
+
+// "Poem, Nature • Staff pick" (or an array) -> ['Poem', 'Nature', 'Staff pick'], as typed
+function parseList(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[,•]/);
+  return parts.map(part => String(part).trim().replace(/\s+/g, ' ')).filter(Boolean);
+}
+
+// One name per tag, as first typed ("Poem, poem, Nature" -> ['Poem', 'Nature']).
+// repositories/tags.js canonicalNames() then swaps in the stored spellings.
+function uniqueNames(names) {
+  const bySlug = new Map();
+  parseList(names).forEach(name => {
+    const slug = slugify(name);
+    if (!bySlug.has(slug)) bySlug.set(slug, name);
+  });
+  return [...bySlug.values()];
+}
+
+tagSchema.virtual('url').get(function () {
+  return `/tags/${this.slug}`;
+});
+
+tagSchema.set('toJSON', { virtuals: true });
+
+tagSchema.statics.parseList = parseList;
+tagSchema.statics.uniqueNames = uniqueNames;
+tagSchema.statics.urlFor = name => `/tags/${slugify(name)}`;
+tagSchema.statics.MAX_TAGS = MAX_TAGS;
+tagSchema.statics.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+
+module.exports = mongoose.model('Tag', tagSchema);
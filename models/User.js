@@ -1,11 +1,91 @@
 // models/User.js
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { isEmail } = require('../lib/validation');
+
+// reader: default for every sign-up
+// editor: can manage books (and later curated content)
+// admin:  everything editors can do, plus managing users
+const ROLES = ['reader', 'editor', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// null when the password is acceptable, otherwise what to tell the person
+function passwordProblem(password, email) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Use at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Use at most ${MAX_PASSWORD_LENGTH} characters.`;
+  }
+  if (!/\p{L}/u.test(password) || !/[^\p{L}]/u.test(password)) {
+    return 'Mix letters with at least one number or symbol.';
+  }
+  if (email && password.toLowerCase() === String(email).toLowerCase()) {
+    return "Don't use your email address as your password.";
+  }
+  return null;
+}
 
 const userSchema = new mongoose.Schema({
-  name: { type: String, trim: true },
-  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
-  passwordHash: { type: String, required: true },
+  name: { type: String, trim: true, maxlength: [80, 'Keep your name under 80 characters.'] },
+  email: {
+    type: String,
+    required: [true, 'Enter your email address.'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: { validator: isEmail, message: 'Enter a valid email address, like name@example.com.' }
+  },
+  // not required while a new plain-text `password` is waiting to be checked and hashed
+  passwordHash: { type: String, required: [function () { return this._password === undefined; }, 'Choose a password.'] },
+  role: { type: String, enum: ROLES, default: 'reader' },
+  bannedAt: { type: Date, default: null },  // set by an admin: can no longer comment
+  failedLogins: { type: Number, default: 0 },  // wrong passwords in a row
+  lockedUntil: { type: Date, default: null },  // sign-in refused until then
+  notificationOptOuts: { type: [String], default: [] },  // Notification.TYPES they don't want
   createdAt: { type: Date, default: Date.now }
 });
 
+// Set user.password = '...' and save(): it is checked against passwordProblem()
+// and only ever stored as a bcrypt hash
+userSchema.virtual('password').set(function (password) {
+  this._password = password;
+});
+
+userSchema.pre('validate', async function () {
+  if (this._password === undefined) return;
+
+  const problem = passwordProblem(this._password, this.email);
+  if (problem) {
+    this.invalidate('password', problem);
+    return;
+  }
+  this.passwordHash = await bcrypt.hash(this._password, 10);
+  this._password = undefined;
+});
+
+userSchema.methods.checkPassword = function (password) {
+  return typeof password === 'string' && bcrypt.compare(password, this.passwordHash);
+};
+
+// Too many wrong passwords in a row locks the account for a while
+const MAX_FAILED_LOGINS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+
+userSchema.methods.isLocked = function (now = new Date()) {
+  return !!this.lockedUntil && this.lockedUntil > now;
+};
+
+userSchema.methods.wantsNotification = function (type) {
+  return !(this.notificationOptOuts || []).includes(type);
+};
+
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.MAX_FAILED_LOGINS = MAX_FAILED_LOGINS;
+userSchema.statics.LOCK_MS = LOCK_MS;
+userSchema.statics.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+userSchema.statics.passwordProblem = passwordProblem;
+
 module.exports = mongoose.model('User', userSchema);
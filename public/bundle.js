@@ -76,33 +76,157 @@
     }
   };
 
-  /* Book suggestions & reviews */
+  /* Book suggestions & reviews (stored server-side, see routes/reviews.js) */
+  /* CSRF token for fetch() calls: the layout's <meta> (signed in) or a form on the page */
+  function csrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    if (meta) return meta.getAttribute('content');
+    const field = document.querySelector('input[name="_csrf"]');
+    return field ? field.value : '';
+  }
+
+  /* fetch() wrapper for our JSON APIs: non-2xx throws an Error with .status */
+  async function apiRequest(url, options = {}) {
+    const res = await fetch(url, Object.assign({
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-CSRF-Token': csrfToken() }
+    }, options));
+    if (!res.ok) {
+      let message = 'Something went wrong. Please try again.';
+      try { message = (await res.json()).error || message; } catch (e) { /* not JSON */ }
+      const err = new Error(message);
+      err.status = res.status;
+      throw err;
+    }
+    return res.status === 204 ? null : res.json();
+  }
+
   const BookData = {
-    suggestionsKey: 'unread_book_suggestions_v1',
-    reviewsPrefix: 'unread_book_reviews_', // + bookId
+    request: apiRequest,
     fetchSuggestions() {
-      try {
-        return JSON.parse(localStorage.getItem(this.suggestionsKey) || '[]');
-      } catch (e) { return []; }
+      return this.request('/api/suggestions');
     },
-    addSuggestion(s) {
-      const arr = this.fetchSuggestions();
-      arr.unshift({ id: 's' + Date.now(), text: s, author: (Auth.getCurrentUser() || {}).email || 'Anonymous', createdAt: new Date().toISOString() });
-      localStorage.setItem(this.suggestionsKey, JSON.stringify(arr));
+    addSuggestion(text) {
+      return this.request('/api/suggestions', { method: 'POST', body: JSON.stringify({ text }) });
+    },
+    deleteSuggestion(id) {
+      return this.request('/api/suggestions/' + encodeURIComponent(id), { method: 'DELETE' });
     },
     fetchReviews(bookId) {
-      try {
-        return JSON.parse(localStorage.getItem(this.reviewsPrefix + bookId) || '[]');
-      } catch (e) { return []; }
+      return this.request('/api/books/' + encodeURIComponent(bookId) + '/reviews');
+    },
+    addReview(bookId, text) {
+      return this.request('/api/books/' + encodeURIComponent(bookId) + '/reviews', { method: 'POST', body: JSON.stringify({ text }) });
     },
-    addReview(bookId, reviewText) {
-      const key = this.reviewsPrefix + bookId;
-      const arr = this.fetchReviews(bookId);
-      arr.unshift({ id: 'r' + Date.now(), text: reviewText, author: (Auth.getCurrentUser() || {}).email || 'Anonymous', createdAt: new Date().toISOString() });
-      localStorage.setItem(key, JSON.stringify(arr));
+    deleteReview(id) {
+      return this.request('/api/reviews/' + encodeURIComponent(id), { method: 'DELETE' });
     }
   };
 
+  /* Article comments (server: routes/comments.js) */
+  const CommentData = {
+    fetch(articleId) {
+      return apiRequest('/api/articles/' + encodeURIComponent(articleId) + '/comments');
+    },
+    add(articleId, text, parentId) {
+      return apiRequest('/api/articles/' + encodeURIComponent(articleId) + '/comments', {
+        method: 'POST',
+        body: JSON.stringify({ text, parentId: parentId || null })
+      });
+    },
+    update(id, text) {
+      return apiRequest('/api/comments/' + encodeURIComponent(id), { method: 'PUT', body: JSON.stringify({ text }) });
+    },
+    remove(id) {
+      return apiRequest('/api/comments/' + encodeURIComponent(id), { method: 'DELETE' });
+    }
+  };
+
+  /* Bookshelves (server: routes/shelf.js) */
+  const ShelfData = {
+    fetch() {
+      return apiRequest('/api/shelf');
+    },
+    save(bookId, fields) {
+      return apiRequest('/api/books/' + encodeURIComponent(bookId) + '/shelf', { method: 'PUT', body: JSON.stringify(fields) });
+    },
+    remove(bookId) {
+      return apiRequest('/api/books/' + encodeURIComponent(bookId) + '/shelf', { method: 'DELETE' });
+    }
+  };
+
+  /* Following authors and tags (server: routes/follows.js) */
+  const FollowData = {
+    list() {
+      return apiRequest('/api/follows');
+    },
+    // key: the writer's account id for an author, the name for a tag
+    follow(kind, key) {
+      return apiRequest('/api/follows', { method: 'POST', body: JSON.stringify({ kind, key }) });
+    },
+    unfollow(kind, key) {
+      return apiRequest('/api/follows/' + encodeURIComponent(kind) + '/' + encodeURIComponent(key), { method: 'DELETE' });
+    }
+  };
+
+  /* Follow buttons and follower counts; every copy of the same author/tag on the page stays in sync */
+  function followerCountText(count) {
+    return `${count || 0} follower${count === 1 ? '' : 's'}`;
+  }
+
+  function followButtonHtml(kind, key, name, following) {
+    const label = kind === 'tag' ? `Follow the ${name} tag` : `Follow ${name}`;
+    return `<button type="button" class="subscribe follow-btn${following ? ' following' : ''}" data-follow-kind="${escapeHtml(kind)}" data-follow-key="${escapeHtml(key)}" aria-pressed="${!!following}" title="${escapeHtml(label)}">${following ? 'Following' : 'Follow'}</button>`;
+  }
+
+  function followerCountHtml(kind, key, count) {
+    return `<span class="follower-count" data-count-kind="${escapeHtml(kind)}" data-count-key="${escapeHtml(key)}">${followerCountText(count)}</span>`;
+  }
+
+  function showFollowState(state) {
+    // keys match case-insensitively, like the server
+    const same = (kind, key) => kind === state.kind && String(key).toLowerCase() === String(state.key).toLowerCase();
+    document.querySelectorAll('.follow-btn').forEach(btn => {
+      if (!same(btn.dataset.followKind, btn.dataset.followKey)) return;
+      btn.classList.toggle('following', state.following);
+      btn.setAttribute('aria-pressed', String(state.following));
+      btn.textContent = state.following ? 'Following' : 'Follow';
+    });
+    document.querySelectorAll('.follower-count').forEach(el => {
+      if (same(el.dataset.countKind, el.dataset.countKey)) el.textContent = followerCountText(state.followers);
+    });
+  }
+
+  /* one listener for every Follow button, including cards rendered later */
+  function wireFollowButtons() {
+    document.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.follow-btn');
+      if (!btn || btn.disabled) return;
+      const { followKind: kind, followKey: key } = btn.dataset;
+      const following = btn.getAttribute('aria-pressed') === 'true';
+      btn.disabled = true;
+      try {
+        showFollowState(following ? await FollowData.unfollow(kind, key) : await FollowData.follow(kind, key));
+      } catch (err) {
+        if (err.status === 401) return redirectToSignin(window.location.pathname);
+        alert(err.message);
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  }
+
+  /* a card's tags, each linking to its /tags/:slug page (plain text without tagLinks) */
+  function tagLabelHtml(item) {
+    if (!item.tagLinks || !item.tagLinks.length) return escapeHtml(item.tag || '');
+    return item.tagLinks.map(t => `<a href="${escapeHtml(t.url)}">${escapeHtml(t.name)}</a>`).join(' • ');
+  }
+
+  /* send the reader to /signin and bring them back to returnTo afterwards */
+  function redirectToSignin(returnTo) {
+    window.location.href = '/signin?returnTo=' + encodeURIComponent(returnTo);
+  }
+
   /* ArchiveManager unchanged core, but we ensure highlight usage & minor hooks */
   class ArchiveManager {
     constructor(options = {}) {
@@ -111,13 +235,15 @@
       this.books = Array.isArray(options.data?.books) ? options.data.books.slice() : [];
       this.searchInput = document.querySelector(options.searchInputSelector);
       this.clearBtn = options.clearBtnSelector ? document.querySelector(options.clearBtnSelector) : null;
+      // tag filter buttons (data-tag="" means All), rendered by the page
+      this.categoryButtons = Array.from(document.querySelectorAll(options.categorySelector || '.categories .cat'));
 
       this.query = '';
       this.activeCategory = 'All';
 
       this.onSearch = this.onSearch.bind(this);
       this.onClear = this.onClear.bind(this);
-      this.onContainerClick = this.onContainerClick.bind(this);
+      this.onCategoryClick = this.onCategoryClick.bind(this);
 
       this.init();
     }
@@ -126,42 +252,41 @@
       this.renderFeed(this.articles);
       if (this.searchInput) this.searchInput.addEventListener('input', this.onSearch);
       if (this.clearBtn) this.clearBtn.addEventListener('click', this.onClear);
-      if (this.container) this.container.addEventListener('click', this.onContainerClick);
+      this.categoryButtons.forEach(btn => btn.addEventListener('click', this.onCategoryClick));
     }
 
     onSearch(e) {
       this.query = (e.target.value || '').trim();
-      const lower = this.query.toLowerCase();
-      if (['all', 'culture', 'food', 'business', 'technology'].includes(lower)) {
-        this.activeCategory = this.query ? (this.query.charAt(0).toUpperCase() + this.query.slice(1)) : 'All';
-      } else {
-        this.activeCategory = 'All';
-      }
       this.renderFeed(this.articles);
     }
 
     onClear() {
       if (this.searchInput) this.searchInput.value = '';
       this.query = '';
-      this.activeCategory = 'All';
-      this.renderFeed(this.articles);
+      this.setCategory('All');
+    }
+
+    onCategoryClick(e) {
+      this.setCategory(e.currentTarget.dataset.tag || 'All');
     }
 
-    onContainerClick(e) {
-      const btn = e.target.closest('.subscribe');
-      if (!btn) return;
-      const id = btn.dataset.id;
-      if (!id) return;
-      this.toggleSubscribe(id, btn);
+    setCategory(tag) {
+      this.activeCategory = tag;
+      this.categoryButtons.forEach(btn => {
+        const active = (btn.dataset.tag || 'All') === tag;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+      });
+      this.renderFeed(this.articles);
     }
 
     filterItems(items) {
       const q = (this.query || '').trim().toLowerCase();
       return items.filter(item => {
         if (this.activeCategory && this.activeCategory !== 'All') {
-          if (!item.tag || !item.tag.toLowerCase().includes(this.activeCategory.toLowerCase())) {
-            return false;
-          }
+          const wanted = this.activeCategory.toLowerCase();
+          const tags = (item.tags && item.tags.length ? item.tags : [item.tag || '']).map(t => String(t).toLowerCase());
+          if (!tags.includes(wanted)) return false;
         }
         if (!q) return true;
         const combined = `${item.title || ''} ${item.excerpt || ''} ${item.author || ''}`.toLowerCase();
@@ -181,57 +306,62 @@
         const title = highlightMatches(escapeHtml(item.title), q);
         const excerpt = highlightMatches(escapeHtml(item.excerpt || ''), q);
         const image = escapeHtml(item.image || '');
-        const tag = escapeHtml(item.tag || '');
+        const tag = tagLabelHtml(item);
         const author = escapeHtml(item.author || '');
-        const subscribers = escapeHtml(item.subscribers || '');
         const readTime = escapeHtml(item.readTime || '');
+        const titleHtml = item.url ? `<a href="${escapeHtml(item.url)}">${title}</a>` : title;
         return `
           <article class="card">
             <div class="media" style="background-image:url('${image}')"></div>
             <div class="body">
               <div class="tag">${tag}</div>
-              <h3 class="title">${title}</h3>
-              <div class="meta">by ${author} — ${subscribers}</div>
+              <h3 class="title">${titleHtml}</h3>
+              <div class="meta">by ${author}${item.followAuthor ? ` — ${followerCountHtml('author', item.followAuthor, item.followers)}` : ''}</div>
               <p class="excerpt">${excerpt}</p>
               <div class="cta">
                 <div class="flex muted">Read • ${readTime}</div>
-                <button class="subscribe" data-id="${escapeHtml(item.id)}">Subscribe</button>
+                ${item.followAuthor ? followButtonHtml('author', item.followAuthor, item.author, item.following) : ''}
               </div>
             </div>
           </article>
         `;
       }).join('\n');
       this.container.innerHTML = html;
-
-      this.container.querySelectorAll('.subscribe').forEach(btn => {
-        const id = btn.dataset.id;
-        if (localStorage.getItem(`subscribed_${id}`)) {
-          btn.textContent = 'Subscribed';
-          btn.style.background = '#ffda79';
-          btn.style.color = '#111';
-        } else {
-          btn.textContent = 'Subscribe';
-          btn.style.background = '';
-          btn.style.color = '';
-        }
-      });
     }
+  }
 
-    toggleSubscribe(id, button) {
-      const key = `subscribed_${id}`;
-      const now = !!localStorage.getItem(key);
-      if (now) {
-        localStorage.removeItem(key);
-        button.textContent = 'Subscribe';
-        button.style.background = '';
-        button.style.color = '';
-      } else {
-        localStorage.setItem(key, '1');
-        button.textContent = 'Subscribed';
-        button.style.background = '#ffda79';
-        button.style.color = '#111';
-      }
-    }
+  /* one article card for the /articles grid */
+  function articleCard(article) {
+    const card = document.createElement('article');
+    card.className = 'content-card';
+    card.setAttribute('data-search-item', 'true');
+    const title = article.url
+      ? `<a href="${escapeHtml(article.url)}">${escapeHtml(article.title)}</a>`
+      : escapeHtml(article.title);
+    // curated pieces hosted elsewhere have no comment section here
+    const comments = typeof article.commentCount === 'number' && article.url && article.url.startsWith('/')
+      ? `<a class="comment-count" href="${escapeHtml(article.url)}#comments">💬 ${article.commentCount} comment${article.commentCount === 1 ? '' : 's'}</a>`
+      : '';
+    card.innerHTML = `
+      <header><h2>${title}</h2></header>
+      <div style="display:flex;flex-direction:column;gap:8px">
+        <div class="meta">${tagLabelHtml(article)} — by ${escapeHtml(article.author || '')}</div>
+        ${comments}
+        <p>${escapeHtml(article.excerpt || '')}</p>
+        <div style="margin-top:auto;display:flex;justify-content:space-between;align-items:center">
+          <small class="muted">${article.followAuthor ? followerCountHtml('author', article.followAuthor, article.followers) : ''}</small>
+          ${article.followAuthor ? followButtonHtml('author', article.followAuthor, article.author, article.following) : ''}
+        </div>
+      </div>
+    `;
+    return card;
+  }
+
+  /* appendArticles: add another page of cards below the ones already shown */
+  function appendArticles(articles = [], containerSelector = '.right-grid') {
+    const container = document.querySelector(containerSelector);
+    if (!container) return;
+    articles.forEach(article => container.appendChild(articleCard(article)));
   }
 
   /* renderArticlesPage: also injects posts into feed & post UI */
@@ -242,22 +372,7 @@
 
     // Left column posts (if containerSelector is .right-grid we render cards)
     // Render articles from JSON
-    articles.forEach(article => {
-      const card = document.createElement('article');
-      card.className = 'content-card';
-      card.innerHTML = `
-        <header><h2>${escapeHtml(article.title)}</h2></header>
-        <div style="display:flex;flex-direction:column;gap:8px">
-          <div class="meta">${escapeHtml(article.tag || '')} — by ${escapeHtml(article.author || '')}</div>
-          <p>${escapeHtml(article.excerpt || '')}</p>
-          <div style="margin-top:auto;display:flex;justify-content:space-between;align-items:center">
-            <small class="muted">${escapeHtml(article.subscribers || '')}</small>
-            <button class="subscribe" data-id="${escapeHtml(article.id)}">Subscribe</button>
-          </div>
-        </div>
-      `;
-      container.appendChild(card);
-    });
+    articles.forEach(article => container.appendChild(articleCard(article)));
 
     // Render user-submitted posts above/beside (if any)
     const posts = Posts.fetch();
@@ -283,21 +398,156 @@
       // insert at top
       container.insertBefore(postWrapper, container.firstChild);
     }
+  }
+
+  /* Shelf controls on a book card: which shelf, progress, stars and dates, plus everyone's stats */
+  const SHELF_LABELS = { 'want-to-read': 'Want to read', reading: 'Reading', finished: 'Finished' };
+
+  function shelfStatsText(stats) {
+    const s = stats || {};
+    const parts = [];
+    if (s.ratingCount) parts.push(`★ ${s.averageRating} (${s.ratingCount} rating${s.ratingCount === 1 ? '' : 's'})`);
+    parts.push(`${s.readers || 0} reader${s.readers === 1 ? '' : 's'}`);
+    return parts.join(' · ');
+  }
+
+  function shelfControlsHtml(shelf, stats) {
+    const entry = shelf || {};
+    const options = [`<option value="">Not on my shelf</option>`].concat(Object.keys(SHELF_LABELS).map(value =>
+      `<option value="${value}"${entry.status === value ? ' selected' : ''}>${SHELF_LABELS[value]}</option>`
+    )).join('');
+
+    let details = '';
+    if (shelf) {
+      const stars = [1, 2, 3, 4, 5].map(n =>
+        `<button type="button" class="shelf-star${entry.rating >= n ? ' on' : ''}" data-rating="${n}" aria-pressed="${entry.rating === n}" aria-label="${n} star${n === 1 ? '' : 's'}">★</button>`
+      ).join('');
+      const progress = entry.status !== 'reading' ? '' : `
+        <label class="shelf-progress">
+          Progress
+          <input type="number" name="progress" min="0" value="${escapeHtml(entry.progress)}">
+          <select name="progressUnit" aria-label="Progress in">
+            <option value="percent"${entry.progressUnit === 'percent' ? ' selected' : ''}>%</option>
+            <option value="page"${entry.progressUnit === 'page' ? ' selected' : ''}>page</option>
+          </select>
+          ${entry.progressUnit === 'page' ? `of <input type="number" name="totalPages" min="1" value="${escapeHtml(entry.totalPages || '')}" placeholder="?" aria-label="Total pages">` : ''}
+        </label>
+        ${entry.percentComplete !== null ? `<progress max="100" value="${escapeHtml(entry.percentComplete)}">${escapeHtml(entry.percentComplete)}%</progress>` : ''}`;
+      details = `
+        ${progress}
+        <div class="shelf-rating" role="group" aria-label="Your rating">${stars}</div>
+        <div class="shelf-dates">
+          <label>Started <input type="date" name="startedAt" value="${escapeHtml(entry.startedAt || '')}"></label>
+          <label>Finished <input type="date" name="finishedAt" value="${escapeHtml(entry.finishedAt || '')}"></label>
+        </div>`;
+    }
+
+    return `
+      <div class="shelf-stats">${escapeHtml(shelfStatsText(stats))}</div>
+      <select name="status" aria-label="Shelf">${options}</select>
+      ${details}
+      <div class="shelf-error" role="alert"></div>`;
+  }
+
+  // Every change is saved straight away. onChange(shelf, stats) runs after each save.
+  function mountShelfControls(el, book, { returnTo = '/books', onChange } = {}) {
+    let shelf = book.shelf || null;
+    let stats = book.stats || null;
+
+    function draw() {
+      el.innerHTML = shelfControlsHtml(shelf, stats);
+    }
+
+    async function save(fields) {
+      try {
+        const data = fields ? await ShelfData.save(book.id, fields) : await ShelfData.remove(book.id);
+        shelf = data.shelf;
+        stats = data.stats;
+        draw();
+        if (onChange) onChange(shelf, stats);
+      } catch (err) {
+        if (err.status === 401) return redirectToSignin(returnTo);
+        draw(); // back to what is saved
+        el.querySelector('.shelf-error').textContent = err.message;
+      }
+    }
 
-    // subscribe button behavior (localStorage toggles)
-    container.addEventListener('click', (e) => {
-      const btn = e.target.closest('.subscribe');
-      if (!btn) return;
-      const id = btn.dataset.id;
-      const key = `subscribed_${id}`;
-      if (localStorage.getItem(key)) {
-        localStorage.removeItem(key);
-        btn.textContent = 'Subscribe';
-      } else {
-        localStorage.setItem(key, '1');
-        btn.textContent = 'Subscribed';
+    el.addEventListener('change', e => {
+      const name = e.target.name;
+      if (!name) return;
+      if (name === 'status' && !e.target.value) {
+        if (shelf && shelf.rating && !confirm('Take this book off your shelf? Your rating goes with it.')) return draw();
+        return save(null);
       }
+      save({ [name]: e.target.value });
     });
+
+    el.addEventListener('click', e => {
+      const star = e.target.closest('.shelf-star');
+      if (!star) return;
+      const rating = Number(star.dataset.rating);
+      save({ rating: shelf && shelf.rating === rating ? null : rating }); // same star again clears it
+    });
+
+    draw();
+  }
+
+  /* renderShelf: the reader's books grouped by shelf ("My Shelf" page) */
+  function renderShelf(books = [], containerId = 'shelfContainer') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    let current = books.filter(b => b.shelf);
+
+    function draw() {
+      container.innerHTML = '';
+      if (!current.length) {
+        container.innerHTML = `<p class="muted">Your shelf is empty. Pick a shelf for any book on the <a href="/books" style="color:#ffda79;">Books</a> page.</p>`;
+        return;
+      }
+
+      Object.keys(SHELF_LABELS).forEach(status => {
+        const onShelf = current.filter(b => b.shelf.status === status);
+        if (!onShelf.length) return;
+
+        const heading = document.createElement('h3');
+        heading.className = 'shelf-heading';
+        heading.textContent = `${SHELF_LABELS[status]} (${onShelf.length})`;
+        container.appendChild(heading);
+
+        onShelf.forEach(book => {
+          const card = document.createElement('div');
+          card.className = 'book-card';
+          card.innerHTML = `
+            ${book.image ? `<img src="${escapeHtml(book.image)}" alt="${escapeHtml(book.title)}">` : ''}
+            <div class="book-info" style="flex:1">
+              <h3>${escapeHtml(book.title)}</h3>
+              <div class="shelf-controls"></div>
+            </div>
+          `;
+          container.appendChild(card);
+          mountShelfControls(card.querySelector('.shelf-controls'), book, {
+            returnTo: '/shelf',
+            onChange(shelf, stats) {
+              const moved = !shelf || shelf.status !== book.shelf.status;
+              book.shelf = shelf;
+              book.stats = stats;
+              if (!moved) return;
+              current = current.filter(b => b.shelf);
+              draw();
+            }
+          });
+        });
+      });
+    }
+
+    draw();
+  }
+
+  // "Readers also shelved: A, B" under a book card (nothing when nobody co-shelved it)
+  function alsoShelvedHtml(items) {
+    if (!items || !items.length) return '';
+    const links = items.map(item => `<a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a>`).join(', ');
+    return `<div class="also-shelved">Readers also shelved: ${links}</div>`;
   }
 
   /* renderBooksPage: books + suggestions + reviews UI */
@@ -318,11 +568,14 @@
       card.className = 'book-card';
       const imgSrc = book.image || '';
       const bookId = book.id || book.title.replace(/\s+/g, '_').toLowerCase();
+      card.id = 'review-' + bookId; // lets /signin?returnTo=/books#review-<id> land back here
       card.innerHTML = `
         <img src="${escapeHtml(imgSrc)}" alt="${escapeHtml(book.title)}">
         <div class="book-info" style="flex:1">
           <h3><a href="#" onclick="return false;">${escapeHtml(book.title)}</a></h3>
           <p>${escapeHtml(book.description || '')}</p>
+          ${book.id ? `<div class="shelf-controls"></div>` : ''}
+          ${alsoShelvedHtml(book.alsoShelved)}
           <div class="book-reviews" data-bookid="${escapeHtml(bookId)}" style="margin-top:12px"></div>
           <div style="margin-top:10px;display:flex;gap:8px;align-items:center">
             <textarea class="review-input" placeholder="Write a short review..." rows="2" style="flex:1;border-radius:8px;padding:8px;border:none;background:rgba(255,255,255,0.06);color:#fff"></textarea>
@@ -331,11 +584,15 @@
         </div>
       `;
       container.appendChild(card);
+      if (book.id) {
+        mountShelfControls(card.querySelector('.shelf-controls'), book, { returnTo: '/books#review-' + bookId });
+      }
     });
 
     // Suggestions box
     const suggCard = document.createElement('div');
     suggCard.className = 'book-card';
+    suggCard.id = 'suggest';
     suggCard.style.flexDirection = 'column';
     suggCard.style.alignItems = 'stretch';
     suggCard.innerHTML = `
@@ -350,10 +607,15 @@
     container.appendChild(suggCard);
 
     // Render existing suggestions
-    function renderSuggestions() {
+    async function renderSuggestions() {
       const list = document.getElementById('bookSuggestionsList');
+      let suggestions = [];
+      try {
+        suggestions = await BookData.fetchSuggestions();
+      } catch (err) {
+        console.warn('Could not load suggestions', err);
+      }
       list.innerHTML = '';
-      const suggestions = BookData.fetchSuggestions();
       if (!suggestions.length) {
         list.innerHTML = `<div style="color:#ddd">No suggestions yet — be the first!</div>`;
         return;
@@ -363,69 +625,244 @@
         el.style.background = 'rgba(0,0,0,0.03)';
         el.style.padding = '8px';
         el.style.borderRadius = '6px';
-        el.innerHTML = `<div style="font-weight:700">${escapeHtml(s.text)}</div><div style="font-size:0.9rem;color:#ccc">${escapeHtml(s.author)} • ${new Date(s.createdAt).toLocaleString()}</div>`;
+        el.innerHTML = `<div style="font-weight:700">${escapeHtml(s.text)}</div><div style="font-size:0.9rem;color:#ccc">${escapeHtml(s.author)} • ${new Date(s.createdAt).toLocaleString()}</div>` +
+          (s.mine ? `<button class="suggestion-delete" data-id="${escapeHtml(s.id)}" style="margin-top:6px">Delete</button>` : '');
         list.appendChild(el);
       });
     }
     renderSuggestions();
 
     // wire suggestion button
-    container.querySelector('#bookSuggestionBtn').addEventListener('click', () => {
-      const val = document.getElementById('bookSuggestionInput').value.trim();
+    container.querySelector('#bookSuggestionBtn').addEventListener('click', async () => {
+      const input = document.getElementById('bookSuggestionInput');
+      const val = input.value.trim();
       if (!val) return alert('Please type a book title to suggest.');
-      if (!Auth.isSignedIn()) {
-        // redirect to signin with returnTo=book.html#suggest
-        window.location.href = 'signin.html?returnTo=book.html#suggest';
-        return;
+      try {
+        await BookData.addSuggestion(val);
+      } catch (err) {
+        if (err.status === 401) return redirectToSignin('/books#suggest');
+        return alert(err.message);
       }
-      BookData.addSuggestion(val);
-      document.getElementById('bookSuggestionInput').value = '';
+      input.value = '';
       renderSuggestions();
     });
 
-    // render reviews per book
-    function renderAllReviews() {
-      const reviewWrappers = container.querySelectorAll('.book-reviews');
-      reviewWrappers.forEach(wrapper => {
-        const bookId = wrapper.dataset.bookid;
-        const arr = BookData.fetchReviews(bookId);
-        wrapper.innerHTML = '';
-        if (!arr || !arr.length) {
-          wrapper.innerHTML = `<div style="color:#ddd">No reviews yet.</div>`;
-          return;
-        }
-        arr.forEach(r => {
-          const div = document.createElement('div');
-          div.style.padding = '8px';
-          div.style.borderRadius = '6px';
-          div.style.background = 'rgba(0,0,0,0.03)';
-          div.style.marginBottom = '8px';
-          div.innerHTML = `<div style="font-weight:700">${escapeHtml(r.author)}</div><div style="font-size:0.95rem;margin-top:6px">${escapeHtml(r.text)}</div><div style="font-size:0.8rem;color:#999;margin-top:6px">${new Date(r.createdAt).toLocaleString()}</div>`;
-          wrapper.appendChild(div);
-        });
+    // render reviews for one book wrapper
+    async function renderReviews(wrapper) {
+      const bookId = wrapper.dataset.bookid;
+      let arr = [];
+      try {
+        arr = await BookData.fetchReviews(bookId);
+      } catch (err) {
+        console.warn('Could not load reviews for', bookId, err);
+      }
+      wrapper.innerHTML = '';
+      if (!arr || !arr.length) {
+        wrapper.innerHTML = `<div style="color:#ddd">No reviews yet.</div>`;
+        return;
+      }
+      arr.forEach(r => {
+        const div = document.createElement('div');
+        div.style.padding = '8px';
+        div.style.borderRadius = '6px';
+        div.style.background = 'rgba(0,0,0,0.03)';
+        div.style.marginBottom = '8px';
+        div.innerHTML = `<div style="font-weight:700">${escapeHtml(r.author)}</div><div style="font-size:0.95rem;margin-top:6px">${escapeHtml(r.text)}</div><div style="font-size:0.8rem;color:#999;margin-top:6px">${new Date(r.createdAt).toLocaleString()}</div>` +
+          (r.mine ? `<button class="review-delete" data-id="${escapeHtml(r.id)}" style="margin-top:6px">Delete</button>` : '');
+        wrapper.appendChild(div);
       });
     }
-    renderAllReviews();
-
-    // review posting handler
-    container.addEventListener('click', (e) => {
-      const btn = e.target.closest('.review-btn');
-      if (!btn) return;
-      const bookId = btn.dataset.bookid;
-      const textarea = btn.parentNode.querySelector('.review-input');
-      const val = textarea.value.trim();
-      if (!val) return alert('Please write a short review before posting.');
-      if (!Auth.isSignedIn()) {
-        // redirect to signin and return to book page fragment for focus
-        window.location.href = 'signin.html?returnTo=book.html#review-' + encodeURIComponent(bookId);
+    container.querySelectorAll('.book-reviews').forEach(renderReviews);
+
+    // review posting + deleting handler
+    container.addEventListener('click', async (e) => {
+      const postBtn = e.target.closest('.review-btn');
+      if (postBtn) {
+        const bookId = postBtn.dataset.bookid;
+        const textarea = postBtn.parentNode.querySelector('.review-input');
+        const val = textarea.value.trim();
+        if (!val) return alert('Please write a short review before posting.');
+        try {
+          await BookData.addReview(bookId, val);
+        } catch (err) {
+          // come back to the same book card after signing in
+          if (err.status === 401) return redirectToSignin('/books#review-' + bookId);
+          return alert(err.message);
+        }
+        textarea.value = '';
+        renderReviews(postBtn.closest('.book-info').querySelector('.book-reviews'));
+        return;
+      }
+
+      const reviewDel = e.target.closest('.review-delete');
+      if (reviewDel) {
+        if (!confirm('Delete this review?')) return;
+        try {
+          await BookData.deleteReview(reviewDel.dataset.id);
+        } catch (err) {
+          return alert(err.message);
+        }
+        renderReviews(reviewDel.closest('.book-reviews'));
         return;
       }
-      BookData.addReview(bookId, val);
-      textarea.value = '';
-      renderAllReviews();
+
+      const suggestionDel = e.target.closest('.suggestion-delete');
+      if (suggestionDel) {
+        if (!confirm('Delete this suggestion?')) return;
+        try {
+          await BookData.deleteSuggestion(suggestionDel.dataset.id);
+        } catch (err) {
+          return alert(err.message);
+        }
+        renderSuggestions();
+      }
     });
   }
 
+  /* renderComments: threaded comments under an article, with reply / edit / delete */
+  function renderComments(articleId, comments = [], containerId = 'commentsList') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    const returnTo = window.location.pathname + '#comments';
+
+    function commentHtml(c) {
+      const body = c.deleted
+        ? `<p class="comment-text muted">[deleted]</p>`
+        : `<div class="comment-meta">
+             <strong>${escapeHtml(c.author)}</strong>
+             • ${new Date(c.createdAt).toLocaleString()}${c.editedAt ? ' • edited' : ''}
+             ${c.pending ? '<span class="comment-pending">awaiting approval</span>' : ''}
+           </div>
+           <p class="comment-text">${escapeHtml(c.text)}</p>`;
+      const actions = [
+        c.canReply ? `<button class="comment-reply" data-id="${escapeHtml(c.id)}">Reply</button>` : '',
+        c.canEdit ? `<button class="comment-edit" data-id="${escapeHtml(c.id)}">Edit</button>` : '',
+        c.canDelete ? `<button class="comment-delete" data-id="${escapeHtml(c.id)}">Delete</button>` : ''
+      ].join('');
+      const replies = (c.replies || []).map(commentHtml).join('');
+      return `
+        <li class="comment" id="comment-${escapeHtml(c.id)}" data-id="${escapeHtml(c.id)}">
+          ${body}
+          ${actions ? `<div class="comment-actions">${actions}</div>` : ''}
+          <div class="comment-form-slot"></div>
+          ${replies ? `<ol class="comment-replies">${replies}</ol>` : ''}
+        </li>`;
+    }
+
+    function countAll(list) {
+      return list.reduce((n, c) => n + (c.deleted ? 0 : 1) + countAll(c.replies || []), 0);
+    }
+
+    let current = comments;
+
+    function draw(list) {
+      current = list;
+      container.innerHTML = list.length
+        ? `<ol class="comment-list">${list.map(commentHtml).join('')}</ol>`
+        : `<p class="muted">No comments yet — start the conversation.</p>`;
+      const countEl = document.getElementById('commentCount');
+      if (countEl) countEl.textContent = countAll(list);
+      // /articles/x#comment-<id> links (e.g. from moderation) land on the comment
+      if (window.location.hash.startsWith('#comment-')) {
+        const target = document.getElementById(window.location.hash.slice(1));
+        if (target) target.scrollIntoView();
+      }
+    }
+
+    async function reload() {
+      try {
+        draw(await CommentData.fetch(articleId));
+      } catch (err) {
+        console.warn('Could not load comments', err);
+      }
+    }
+
+    // one small inline form for replying or editing, shown under the comment
+    function openForm(slot, { value = '', label, onSubmit }) {
+      container.querySelectorAll('.comment-form-slot').forEach(el => { el.innerHTML = ''; });
+      slot.innerHTML = `
+        <form class="comment-form">
+          <textarea rows="3" required>${escapeHtml(value)}</textarea>
+          <div class="comment-actions">
+            <button type="submit">${escapeHtml(label)}</button>
+            <button type="button" class="comment-cancel">Cancel</button>
+          </div>
+        </form>`;
+      const form = slot.querySelector('form');
+      form.querySelector('textarea').focus();
+      form.querySelector('.comment-cancel').addEventListener('click', () => { slot.innerHTML = ''; });
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const text = form.querySelector('textarea').value.trim();
+        if (!text) return;
+        try {
+          await onSubmit(text);
+        } catch (err) {
+          if (err.status === 401) return redirectToSignin(returnTo);
+          return alert(err.message);
+        }
+        reload();
+      });
+    }
+
+    function findComment(list, id) {
+      for (const c of list) {
+        if (String(c.id) === String(id)) return c;
+        const found = findComment(c.replies || [], id);
+        if (found) return found;
+      }
+      return null;
+    }
+
+    container.addEventListener('click', async (e) => {
+      const replyBtn = e.target.closest('.comment-reply');
+      if (replyBtn) {
+        const slot = replyBtn.closest('.comment').querySelector('.comment-form-slot');
+        return openForm(slot, { label: 'Reply', onSubmit: text => CommentData.add(articleId, text, replyBtn.dataset.id) });
+      }
+
+      const editBtn = e.target.closest('.comment-edit');
+      if (editBtn) {
+        const comment = findComment(current, editBtn.dataset.id);
+        const slot = editBtn.closest('.comment').querySelector('.comment-form-slot');
+        return openForm(slot, { value: comment ? comment.text : '', label: 'Save', onSubmit: text => CommentData.update(editBtn.dataset.id, text) });
+      }
+
+      const deleteBtn = e.target.closest('.comment-delete');
+      if (deleteBtn) {
+        if (!confirm('Delete this comment?')) return;
+        try {
+          await CommentData.remove(deleteBtn.dataset.id);
+        } catch (err) {
+          return alert(err.message);
+        }
+        reload();
+      }
+    });
+
+    const newForm = document.getElementById('newCommentForm');
+    if (newForm) {
+      newForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const textarea = newForm.querySelector('textarea');
+        const text = textarea.value.trim();
+        if (!text) return;
+        let created;
+        try {
+          created = await CommentData.add(articleId, text);
+        } catch (err) {
+          if (err.status === 401) return redirectToSignin(returnTo);
+          return alert(err.message);
+        }
+        textarea.value = '';
+        if (created.pending) alert('Thanks! Your comment will appear once a moderator approves it.');
+        reload();
+      });
+    }
+
+    draw(comments);
+  }
+
   /* small function to attach clear button to search across pages if not wired */
   function wireGlobalSearch() {
     const searchInput = document.querySelector('#searchInput');
@@ -439,33 +876,24 @@
     });
   }
 
-  /* Home featured rendering (unchanged) */
-  function renderHomeFeatured(feature = {}) {
-    const container = document.getElementById('homeFeatured') || document.querySelector('.book-page.right-page') || null;
-    if (!container) return;
-    const wrapper = document.createElement('div');
-    wrapper.className = 'home-feature';
-    wrapper.style.marginTop = '18px';
-    wrapper.innerHTML = `
-      <div style="background: rgba(0,0,0,0.03); padding:14px; border-radius:8px;">
-        <h3 style="margin:0 0 8px 0;">${escapeHtml(feature.title || '')}</h3>
-        <div style="font-size:0.9rem;color:#555;margin-bottom:8px">${escapeHtml(feature.type || '')} — ${escapeHtml(feature.author || '')}</div>
-        <p style="margin:0">${escapeHtml(feature.summary || '')}</p>
-      </div>
-    `;
-    container.appendChild(wrapper);
-  }
-
   /* Expose to window for page scripts */
   if (!window.UnreadArchive) window.UnreadArchive = {};
   window.UnreadArchive.ArchiveManager = ArchiveManager;
   window.UnreadArchive.renderArticlesPage = renderArticlesPage;
+  window.UnreadArchive.appendArticles = appendArticles;
   window.UnreadArchive.renderBooksPage = renderBooksPage;
-  window.UnreadArchive.renderHomeFeatured = renderHomeFeatured;
   window.UnreadArchive.Auth = Auth;
   window.UnreadArchive.Posts = Posts;
   window.UnreadArchive.BookData = BookData;
+  window.UnreadArchive.CommentData = CommentData;
+  window.UnreadArchive.ShelfData = ShelfData;
+  window.UnreadArchive.FollowData = FollowData;
+  window.UnreadArchive.renderShelf = renderShelf;
+  window.UnreadArchive.renderComments = renderComments;
   window.UnreadArchive.wireGlobalSearch = wireGlobalSearch;
+  window.UnreadArchive.csrfToken = csrfToken;
+
+  wireFollowButtons();
 
 })();
 1
\ No newline at end of file
@@ -0,0 +1,40 @@
+// repositories/apiTokens.js
+// Personal API tokens (models/ApiToken.js). As with password resets, only the
+// hash of a token is stored.
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+
+const { hashToken, TOKEN_PREFIX, SHOWN_CHARS } = ApiToken;
+
+module.exports = function apiTokensRepository(apiTokens) {
+  /**
+   * New token for a user. Resolves to { token, apiToken }: hand `token` to the
+   * person now, it is never stored. Mongoose validation errors pass through.
+   * @param {ObjectId|string} userId
+   * @param {object} options  { name, scopes }
+   */
+  async function issue(userId, { name, scopes }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const apiToken = await apiTokens.create({
+      user: userId,
+      name,
+      scopes: [].concat(scopes || []),
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, SHOWN_CHARS)
+    });
+    return { token, apiToken };
+  }
+
+  // The unrevoked token for a raw "ua_…" string, or null
+  async function findActive(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    return apiTokens.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  }
+
+  // A user's tokens for the account page: working ones first, newest first
+  function listFor(userId) {
+    return apiTokens.find({ user: userId }).sort({ revokedAt: 1, createdAt: -1 });
+  }
+
+  return { ...apiTokens, issue, findActive, listFor };
+};
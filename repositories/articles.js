@@ -0,0 +1,39 @@
+// repositories/articles.js
+// Articles (models/Article.js). Saving keeps the tag vocabulary in step: each
+// tag is stored in its canonical spelling, and tags nobody used before join
+// the vocabulary once a piece using them is saved.
+const Article = require('../models/Article');
+
+module.exports = function articlesRepository(articles, repos) {
+  async function save(article) {
+    const retagged = article.isModified('tags');
+    if (retagged) article.tags = await repos.tags.canonicalNames(article.tags);
+    await articles.save(article);
+    if (retagged) await repos.tags.ensure(article.tags);
+    return article;
+  }
+
+  // Has this body already been submitted since `since`? (spam resubmissions)
+  async function isDuplicateContent(content, since) {
+    if (!content || !String(content).trim()) return false;
+    return !!(await articles.exists({ contentHash: Article.hashContent(content), createdAt: { $gte: since } }));
+  }
+
+  // Flip due scheduled pieces to published; resolves to the articles it published
+  async function publishDue(now = new Date()) {
+    const due = await articles.find({ status: 'scheduled', publishAt: { $lte: now } });
+    for (const article of due) {
+      article.status = 'published';
+      await save(article);
+    }
+    return due;
+  }
+
+  return {
+    ...articles,
+    create: fields => save(new Article(fields)),
+    save,
+    isDuplicateContent,
+    publishDue
+  };
+};
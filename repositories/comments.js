@@ -0,0 +1,26 @@
+// repositories/comments.js
+// Reader comments (models/Comment.js): counts for article cards, and whether
+// a new comment has to wait in the moderation queue.
+const Comment = require('../models/Comment');
+
+module.exports = function commentsRepository(comments) {
+  // Map of articleId -> visible comment count
+  async function countsFor(articleIds) {
+    if (!articleIds.length) return new Map();
+    const rows = await comments.aggregate([
+      { $match: { article: { $in: articleIds }, ...Comment.visibleFilter() } },
+      { $group: { _id: '$article', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [String(row._id), row.count]));
+  }
+
+  // Should a new (or edited) comment by this (full) user wait for a moderator?
+  // `except` leaves the comment being edited out of the user's approved ones.
+  async function needsReview(user, { except } = {}) {
+    if (['editor', 'admin'].includes(user.role)) return false;
+    if (Date.now() - user.createdAt.getTime() >= Comment.NEW_ACCOUNT_MS) return false;
+    return !(await comments.exists({ user: user._id, status: 'approved', ...(except && { _id: { $ne: except } }) }));
+  }
+
+  return { ...comments, countsFor, needsReview };
+};
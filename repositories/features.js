@@ -0,0 +1,18 @@
+// repositories/features.js
+// Featured-piece schedules (models/Feature.js)
+const Feature = require('../models/Feature');
+
+module.exports = function featuresRepository(features) {
+  /**
+   * Schedules covering `date`, the one to show first: the latest start wins
+   * (a short special inside a long run), then the most recently made.
+   * @param {Date} date
+   */
+  function scheduledOn(date = new Date()) {
+    const day = Feature.dayOf(date);
+    return features.find({ startsOn: { $lte: day }, endsOn: { $gte: day } })
+      .sort({ startsOn: -1, createdAt: -1 });
+  }
+
+  return { ...features, scheduledOn };
+};
@@ -0,0 +1,32 @@
+// repositories/follows.js
+// Readers following authors and tags (models/Follow.js)
+const Follow = require('../models/Follow');
+
+module.exports = function followsRepository(follows) {
+  /**
+   * Follower counts for some authors or tags.
+   * @param {string} kind   'author' | 'tag'
+   * @param {string[]} keys author ids or tag names
+   * @returns {Promise<Map<string, number>>} keyed by Follow.keyFor(key)
+   */
+  async function countsFor(kind, keys) {
+    keys = [...new Set(keys.map(Follow.keyFor).filter(Boolean))];
+    if (!keys.length) return new Map();
+    const rows = await follows.aggregate([
+      { $match: { kind, key: { $in: keys } } },
+      { $group: { _id: '$key', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id, row.count]));
+  }
+
+  // { authors: [{ id, name }], tags: [name] } this user follows, oldest first
+  async function followedBy(userId) {
+    const list = await follows.find({ user: userId }).sort({ createdAt: 1 });
+    return {
+      authors: list.filter(f => f.kind === 'author').map(f => ({ id: String(f.author), name: f.name })),
+      tags: list.filter(f => f.kind === 'tag').map(f => f.name)
+    };
+  }
+
+  return { ...follows, countsFor, followedBy };
+};
@@ -0,0 +1,110 @@
+// repositories/index.js
+// Every read and write of stored data goes through here: one repository per
+// collection (repos.articles, repos.users, …) on top of a storage driver,
+// picked with DATA_DRIVER (see lib/config.js):
+//   mongo (default) — MongoDB at MONGO_URL (see lib/db.js)
+//   memory          — in this process only, empty at every start (the tests use it)
+//   json            — in memory, kept in DATA_FILE (default: <repo>/data/archive.json)
+//
+// Every repository has the same collection methods whatever the driver:
+//   find / findOne / findById (chain .sort .skip .limit .select .populate .lean, then await),
+//   exists, countDocuments, distinct, aggregate, create, updateOne, updateMany,
+//   findOneAndUpdate, deleteOne, deleteMany, and save(doc) / remove(doc) for
+//   documents. Queries that mean something to the app (Article "publish what's
+//   due", Tag "canonical spelling", …) live in the repository files next to this one.
+//
+//   const repos = require('../repositories');
+//   const article = await repos.articles.findOne({ slug });
+//
+// isObjectId checks an id from a URL or body before it reaches findById, so a
+// malformed one is answered like a missing document instead of a CastError.
+const ApiToken = require('../models/ApiToken');
+const Article = require('../models/Article');
+const Book = require('../models/Book');
+const BookSuggestion = require('../models/BookSuggestion');
+const Comment = require('../models/Comment');
+const Feature = require('../models/Feature');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const PasswordReset = require('../models/PasswordReset');
+const Quote = require('../models/Quote');
+const Review = require('../models/Review');
+const Revision = require('../models/Revision');
+const Session = require('../models/Session');
+const ShelfEntry = require('../models/ShelfEntry');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { mongoDriver } = require('./mongo');
+const { memoryDriver } = require('./memory');
+const { getConfig } = require('../lib/config');
+
+// name -> [Model, repository factory (collection, repos) => repository]; plain collections have none
+const REPOSITORIES = {
+  apiTokens: [ApiToken, require('./apiTokens')],
+  articles: [Article, require('./articles')],
+  books: [Book],
+  bookSuggestions: [BookSuggestion],
+  comments: [Comment, require('./comments')],
+  features: [Feature, require('./features')],
+  follows: [Follow, require('./follows')],
+  notifications: [Notification, require('./notifications')],
+  passwordResets: [PasswordReset, require('./passwordResets')],
+  quotes: [Quote],
+  reviews: [Review],
+  revisions: [Revision, require('./revisions')],
+  sessions: [Session, require('./sessions')],
+  shelfEntries: [ShelfEntry, require('./shelfEntries')],
+  tags: [Tag, require('./tags')],
+  users: [User, require('./users')]
+};
+
+const DRIVERS = {
+  mongo: () => mongoDriver(),
+  memory: () => memoryDriver(),
+  json: () => memoryDriver({ file: getConfig().dataFile })
+};
+
+// One repository per collection, over `driver`
+function createRepositories(driver) {
+  const repos = { driver };
+  Object.entries(REPOSITORIES).forEach(([name, [Model, repository]]) => {
+    const collection = driver.collection(Model);
+    repos[name] = repository ? repository(collection, repos) : collection;
+  });
+  return repos;
+}
+
+let current = null;
+
+function getRepositories() {
+  if (!current) {
+    const name = getConfig().dataDriver;
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown DATA_DRIVER "${name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    current = createRepositories(DRIVERS[name]());
+  }
+  return current;
+}
+
+// Swap the storage driver (before anything has been stored through the old one)
+function setDriver(driver) {
+  const missing = ['collection', 'connect', 'disconnect', 'isConnected'].filter(fn => !driver || typeof driver[fn] !== 'function');
+  if (missing.length) {
+    throw new Error(`A storage driver needs ${missing.join(', ')}`);
+  }
+  current = createRepositories(driver);
+}
+
+// A document id as text: 24 hex digits
+const isObjectId = id => /^[a-f0-9]{24}$/i.test(String(id));
+
+const connect = () => getRepositories().driver.connect();
+const disconnect = () => getRepositories().driver.disconnect();
+
+module.exports = { getRepositories, setDriver, createRepositories, connect, disconnect, isObjectId, DRIVERS };
+
+// repos.articles etc. always mean the current driver's
+['driver', ...Object.keys(REPOSITORIES)].forEach(name => {
+  Object.defineProperty(module.exports, name, { enumerable: true, get: () => getRepositories()[name] });
+});
@@ -0,0 +1,354 @@
+// repositories/memory.js
+// A storage driver that keeps every collection in this process: for running
+// the site without MongoDB (local development, demos) and for the test suite.
+// Given a file, it loads from and writes back to one JSON file, so data
+// survives a restart; without one it starts empty every time.
+//
+// Documents are still Mongoose documents: filters are cast by the model's
+// schema, saving runs validation (and pre('validate') hooks), and reads come
+// back hydrated or, with .lean(), as plain objects. What it doesn't do:
+// pre('save') and update hooks, $text search (lib/search.js falls back to a
+// regex scan) and projections (.select() returns every field).
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { matches, sortRows, applyUpdate, equalityFields, aggregate, clone, keyOf, getPath, isObjectId } = require('./query');
+
+// Bursts of writes go to the file together
+const PERSIST_DELAY_MS = 200;
+
+function duplicateKeyError(collectionName, fields, row) {
+  const keyValue = Object.fromEntries(fields.map(field => [field, getPath(row, field)]));
+  const err = new Error(`E11000 duplicate key error collection: ${collectionName} dup key: ${JSON.stringify(keyValue)}`);
+  err.name = 'MongoServerError';
+  err.code = 11000;
+  err.keyPattern = Object.fromEntries(fields.map(field => [field, 1]));
+  err.keyValue = keyValue;
+  return err;
+}
+
+// The chainable, awaitable result of find()/findOne(), like a Mongoose Query
+class MemoryQuery {
+  constructor(run, filter, { one = false } = {}) {
+    this.run = run;
+    this.filter = filter || {};
+    this.options = { one, sort: null, skip: 0, limit: 0, populate: [], lean: false };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(n) {
+    this.options.skip = n;
+    return this;
+  }
+
+  limit(n) {
+    this.options.limit = n;
+    return this;
+  }
+
+  // every field always comes back (see the top of this file)
+  select() {
+    return this;
+  }
+
+  populate(paths) {
+    const list = typeof paths === 'string' ? paths.split(/\s+/).filter(Boolean) : [].concat(paths).map(p => p.path || p);
+    this.options.populate.push(...list);
+    return this;
+  }
+
+  lean(lean = true) {
+    this.options.lean = lean;
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.filter, this.options));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+// ---- JSON file ----
+
+// ObjectIds and dates survive the round trip as { $oid } / { $date }, like Extended JSON
+function encode(value) {
+  if (isObjectId(value)) return { $oid: value.toHexString() };
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (Array.isArray(value)) return value.map(encode);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encode(v)]));
+  }
+  return value;
+}
+
+function decode(value) {
+  if (Array.isArray(value)) return value.map(decode);
+  if (value && typeof value === 'object') {
+    if (typeof value.$oid === 'string') return new mongoose.Types.ObjectId(value.$oid);
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decode(v)]));
+  }
+  return value;
+}
+
+/**
+ * @param {object} options  { file: JSON file to load from and save to (optional) }
+ */
+function memoryDriver({ file = null } = {}) {
+  const tables = new Map();       // model name -> Map(id hex -> plain document)
+  const collections = new Map();  // model name -> collection
+  let persistTimer = null;
+  let connected = false;
+
+  function table(modelName) {
+    if (!tables.has(modelName)) tables.set(modelName, new Map());
+    return tables.get(modelName);
+  }
+
+  function flush() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    if (!file) return;
+    const data = {};
+    tables.forEach((rows, name) => { data[name] = [...rows.values()].map(encode); });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // write-then-rename, so a crash mid-write never leaves half a file
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  function persist() {
+    if (!file || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        console.error(`Could not write ${file}:`, err.message);
+      }
+    }, PERSIST_DELAY_MS);
+  }
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // into the existing tables: collections made before connect() hold on to them
+    Object.entries(data).forEach(([name, rows]) => {
+      const loaded = table(name);
+      loaded.clear();
+      rows.map(decode).forEach(row => loaded.set(String(row._id), row));
+    });
+  }
+
+  function collection(Model) {
+    if (!collections.has(Model.modelName)) collections.set(Model.modelName, memoryCollection(Model));
+    return collections.get(Model.modelName);
+  }
+
+  function memoryCollection(Model) {
+    const rows = table(Model.modelName);
+    const uniqueIndexes = Model.schema.indexes()
+      .filter(([, options]) => options.unique)
+      .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: !!options.sparse }));
+
+    // Cast the way Mongoose casts a query for this model (CastErrors included)
+    const castFilter = filter => Model.find(filter || {}).cast(Model);
+
+    // Casting a stored object through the schema (e.g. after an update)
+    const normalize = row => clone(Model.hydrate(row).toObject({ depopulate: true, transform: false }));
+
+    function checkUnique(row) {
+      uniqueIndexes.forEach(({ fields, sparse }) => {
+        const values = fields.map(field => getPath(row, field));
+        if (sparse && values.every(value => value == null)) return;
+        const key = keyOf(values);
+        for (const other of rows.values()) {
+          if (String(other._id) !== String(row._id) && keyOf(fields.map(f => getPath(other, f))) === key) {
+            throw duplicateKeyError(Model.collection.collectionName, fields, row);
+          }
+        }
+      });
+    }
+
+    function store(row) {
+      checkUnique(row);
+      rows.set(String(row._id), row);
+      persist();
+    }
+
+    function matching(filter) {
+      const cast = castFilter(filter);
+      return [...rows.values()].filter(row => matches(row, cast));
+    }
+
+    // Swap populated ids for the documents they point at (null when gone)
+    function populateRow(row, paths, lean) {
+      paths.forEach(field => {
+        const schemaType = Model.schema.path(field);
+        const ref = schemaType && schemaType.options.ref;
+        if (!ref) throw new Error(`Can't populate ${Model.modelName}.${field}: it isn't a reference`);
+        const id = row[field];
+        if (id == null) return;
+        const target = collection(mongoose.model(ref));
+        const found = target.rows.get(String(id));
+        row[field] = found ? (lean ? clone(found) : target.Model.hydrate(clone(found))) : null;
+      });
+      return row;
+    }
+
+    function runFind(filter, { one, sort, skip, limit, populate, lean }) {
+      let found = matching(filter);
+      if (sort) sortRows(found, sort);
+      found = found.slice(skip, one ? skip + 1 : (limit ? skip + limit : undefined));
+      const docs = found.map(row => {
+        const copy = populateRow(clone(row), populate, lean);
+        return lean ? copy : Model.hydrate(copy, null, { hydratedPopulatedDocs: true });
+      });
+      return one ? docs[0] || null : docs;
+    }
+
+    // Rows changed by an update (cast through the schema afterwards), plus a new one for upserts
+    function update(filter, changes, { upsert = false, many = false, sort = null } = {}) {
+      let targets = matching(filter);
+      if (sort) sortRows(targets, sort);
+      if (!many) targets = targets.slice(0, 1);
+
+      const result = { matchedCount: targets.length, modifiedCount: 0, upsertedCount: 0, before: null, after: null };
+      targets.forEach(row => {
+        const before = keyOf(row);
+        const after = normalize(applyUpdate(clone(row), changes));
+        if (keyOf(after) !== before) {
+          store(after);
+          result.modifiedCount++;
+        }
+        result.before = row;
+        result.after = after;
+      });
+
+      if (!targets.length && upsert) {
+        const doc = new Model(applyUpdate(equalityFields(castFilter(filter)), changes, true));
+        const row = clone(doc.toObject({ depopulate: true, transform: false }));
+        store(row);
+        result.upsertedCount = 1;
+        result.upsertedId = row._id;
+        result.after = row;
+      }
+      return result;
+    }
+
+    async function save(doc) {
+      await doc.validate();
+      store(clone(doc.toObject({ depopulate: true, transform: false })));
+      doc.$__reset();   // nothing is "modified" any more, as after a Mongo save
+      doc.isNew = false;
+      return doc;
+    }
+
+    const hydrate = row => (row ? Model.hydrate(clone(row)) : null);
+    const summary = ({ matchedCount, modifiedCount, upsertedCount, upsertedId }) =>
+      ({ acknowledged: true, matchedCount, modifiedCount, upsertedCount, upsertedId: upsertedId || null });
+
+    return {
+      Model,
+      rows,
+
+      find: filter => new MemoryQuery(runFind, filter),
+      findOne: filter => new MemoryQuery(runFind, filter, { one: true }),
+      findById: id => new MemoryQuery(runFind, { _id: id === undefined ? null : id }, { one: true }),
+
+      async exists(filter) {
+        const [row] = matching(filter);
+        return row ? { _id: row._id } : null;
+      },
+
+      async countDocuments(filter) {
+        return matching(filter).length;
+      },
+
+      async distinct(field, filter) {
+        const values = new Map();
+        matching(filter).forEach(row => {
+          [].concat(getPath(row, field)).forEach(value => {
+            if (value !== undefined) values.set(keyOf(value), clone(value));
+          });
+        });
+        return [...values.values()];
+      },
+
+      // Like Mongo, pipelines see stored values as they are (nothing is cast)
+      async aggregate(pipeline) {
+        return aggregate([...rows.values()].map(clone), pipeline);
+      },
+
+      save,
+
+      async remove(doc) {
+        const deleted = rows.delete(String(doc._id));
+        if (deleted) persist();
+        return { acknowledged: true, deletedCount: deleted ? 1 : 0 };
+      },
+
+      create: fields => save(new Model(fields)),
+
+      async updateOne(filter, changes, options = {}) {
+        return summary(update(filter, changes, options));
+      },
+
+      async updateMany(filter, changes, options = {}) {
+        return summary(update(filter, changes, { ...options, many: true }));
+      },
+
+      async findOneAndUpdate(filter, changes, options = {}) {
+        const result = update(filter, changes, options);
+        return hydrate(options.new ? result.after : result.before);
+      },
+
+      async deleteOne(filter) {
+        const [row] = matching(filter);
+        if (row) {
+          rows.delete(String(row._id));
+          persist();
+        }
+        return { acknowledged: true, deletedCount: row ? 1 : 0 };
+      },
+
+      async deleteMany(filter) {
+        const found = matching(filter);
+        found.forEach(row => rows.delete(String(row._id)));
+        if (found.length) persist();
+        return { acknowledged: true, deletedCount: found.length };
+      }
+    };
+  }
+
+  return {
+    name: file ? 'json' : 'memory',
+    file,
+    collection,
+
+    async connect() {
+      load();
+      connected = true;
+    },
+
+    async disconnect() {
+      if (persistTimer) flush();
+      connected = false;
+    },
+
+    isConnected: () => connected
+  };
+}
+
+module.exports = { memoryDriver, MemoryQuery };
@@ -0,0 +1,39 @@
+// repositories/mongo.js
+// The MongoDB storage driver: each collection is its Mongoose model, with
+// save() / remove() for documents read from it. Connection settings are in
+// lib/db.js.
+const mongoose = require('mongoose');
+const db = require('../lib/db');
+
+function mongoCollection(Model) {
+  return {
+    Model,
+    find: (filter, projection) => Model.find(filter, projection),
+    findOne: (filter, projection) => Model.findOne(filter, projection),
+    findById: id => Model.findById(id),
+    exists: filter => Model.exists(filter),
+    countDocuments: filter => Model.countDocuments(filter),
+    distinct: (field, filter) => Model.distinct(field, filter),
+    aggregate: pipeline => Model.aggregate(pipeline),
+    create: fields => Model.create(fields),
+    updateOne: (filter, update, options) => Model.updateOne(filter, update, options),
+    updateMany: (filter, update, options) => Model.updateMany(filter, update, options),
+    findOneAndUpdate: (filter, update, options) => Model.findOneAndUpdate(filter, update, options),
+    deleteOne: filter => Model.deleteOne(filter),
+    deleteMany: filter => Model.deleteMany(filter),
+    save: doc => doc.save(),
+    remove: doc => doc.deleteOne()
+  };
+}
+
+function mongoDriver() {
+  return {
+    name: 'mongo',
+    collection: mongoCollection,
+    connect: () => db.connect(),
+    disconnect: () => db.disconnect(),
+    isConnected: () => mongoose.connection.readyState === 1
+  };
+}
+
+module.exports = { mongoDriver };
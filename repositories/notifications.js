@@ -0,0 +1,18 @@
+// repositories/notifications.js
+// Readers' notification inboxes (models/Notification.js)
+
+module.exports = function notificationsRepository(notifications) {
+  function unreadCount(userId) {
+    return notifications.countDocuments({ user: userId, readAt: null });
+  }
+
+  // Mark some (ids) or all of a user's notifications read; resolves to how many changed
+  async function markRead(userId, ids) {
+    const filter = { user: userId, readAt: null };
+    if (ids) filter._id = { $in: ids };
+    const { modifiedCount } = await notifications.updateMany(filter, { readAt: new Date() });
+    return modifiedCount;
+  }
+
+  return { ...notifications, unreadCount, markRead };
+};
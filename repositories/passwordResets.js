@@ -0,0 +1,43 @@
+// repositories/passwordResets.js
+// "Forgot password" links (models/PasswordReset.js). Only the hash of a token
+// is ever stored; the raw token goes in the email.
+const crypto = require('crypto');
+const PasswordReset = require('../models/PasswordReset');
+
+const { hashToken } = PasswordReset;
+
+module.exports = function passwordResetsRepository(passwordResets) {
+  // New reset link for a user; resolves to the raw token (put it in the email, never store it)
+  async function issue(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await passwordResets.create({
+      user: userId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PasswordReset.TOKEN_TTL_MS)
+    });
+    return token;
+  }
+
+  // The unused, unexpired reset for a raw token, or null
+  async function findValid(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return passwordResets.findOne({ tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+  }
+
+  // Mark a token used (atomically, so two tabs can't both use it) and drop every
+  // other outstanding link for the same user. Resolves to the reset or null.
+  async function consume(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const reset = await passwordResets.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (reset) {
+      await passwordResets.deleteMany({ user: reset.user, _id: { $ne: reset._id } });
+    }
+    return reset;
+  }
+
+  return { ...passwordResets, issue, findValid, consume };
+};
@@ -0,0 +1,354 @@
+// repositories/query.js
+// Just enough of MongoDB's query language, run over plain objects, for the
+// memory driver (repositories/memory.js): the filters, sorts, updates and
+// aggregation stages this app uses. Anything else throws rather than quietly
+// matching the wrong documents. Values compare the way Mongo compares them:
+// ObjectIds by their hex, dates by time, and a missing field equals null.
+
+const isObjectId = value => !!value && value._bsontype === 'ObjectId';
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const isOperatorObject = value =>
+  isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+class UnsupportedQueryError extends Error {
+  constructor(what) {
+    super(`The memory store does not support ${what}`);
+    this.name = 'UnsupportedQueryError';
+  }
+}
+
+// Deep copy that keeps ObjectIds and Dates what they are
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value; // primitives, ObjectIds (never changed in place), RegExps
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (!isPlainObject(obj[key]) && !Array.isArray(obj[key])) obj[key] = {};
+    return obj[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) || (keys.length ? null : doc);
+  if (parent) delete parent[last];
+}
+
+// ---- Comparing ----
+
+// BSON's order across types: null < numbers < strings < objects < arrays < ObjectIds < booleans < dates
+function typeRank(value) {
+  if (value == null) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 5;
+  if (isObjectId(value)) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  return 4;
+}
+
+function compare(a, b) {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank) return Math.sign(rank);
+  if (a == null) return 0;
+  if (typeof a === 'number' || typeof a === 'boolean') return Math.sign(a - b);
+  if (a instanceof Date) return Math.sign(a.getTime() - b.getTime());
+  if (isObjectId(a)) return compareStrings(a.toHexString(), b.toHexString());
+  if (typeof a === 'string') return compareStrings(a, b);
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compare(a[i], b[i]);
+      if (c) return c;
+    }
+    return Math.sign(a.length - b.length);
+  }
+  return compareStrings(JSON.stringify(a), JSON.stringify(b));
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const equals = (a, b) => compare(a, b) === 0;
+
+// A string that is the same for equal values (Map keys, unique indexes, $group)
+function keyOf(value) {
+  if (value == null) return 'null';
+  if (isObjectId(value)) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (Array.isArray(value)) return `[${value.map(keyOf).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}:${keyOf(v)}`).join(',')}}`;
+  }
+  return `${typeof value}:${String(value)}`;
+}
+
+// ---- Filters ----
+
+// Mongo ignores the g flag, and a global RegExp's test() would remember where it stopped
+const withoutGlobal = re => (re.global ? new RegExp(re.source, re.flags.replace('g', '')) : re);
+
+// Array fields match when any element does (or, for equality, the whole array)
+function matchesEquality(value, expected) {
+  if (expected instanceof RegExp) {
+    const re = withoutGlobal(expected);
+    const test = v => typeof v === 'string' && re.test(v);
+    return Array.isArray(value) ? value.some(test) : test(value);
+  }
+  if (Array.isArray(value) && value.some(v => equals(v, expected))) return true;
+  return equals(value, expected);
+}
+
+// $gt and friends only compare values of the same type, like Mongo
+function matchesRange(value, arg, test) {
+  const check = v => v != null && arg != null && typeRank(v) === typeRank(arg) && test(compare(v, arg));
+  return Array.isArray(value) ? value.some(check) : check(value);
+}
+
+const OPERATORS = {
+  $eq: (value, arg) => matchesEquality(value, arg),
+  $ne: (value, arg) => !matchesEquality(value, arg),
+  $in: (value, arg) => arg.some(expected => matchesEquality(value, expected)),
+  $nin: (value, arg) => !arg.some(expected => matchesEquality(value, expected)),
+  $gt: (value, arg) => matchesRange(value, arg, c => c > 0),
+  $gte: (value, arg) => matchesRange(value, arg, c => c >= 0),
+  $lt: (value, arg) => matchesRange(value, arg, c => c < 0),
+  $lte: (value, arg) => matchesRange(value, arg, c => c <= 0),
+  $exists: (value, arg) => (value !== undefined) === !!arg,
+  $regex: (value, arg, condition) => matchesEquality(value, new RegExp(arg, condition.$options || '')),
+  $options: () => true, // read by $regex
+  $all: (value, arg) => Array.isArray(value) && arg.every(expected => matchesEquality(value, expected)),
+  $size: (value, arg) => Array.isArray(value) && value.length === arg
+};
+
+function matchesCondition(value, condition) {
+  if (!isOperatorObject(condition)) return matchesEquality(value, condition);
+  return Object.entries(condition).every(([op, arg]) => {
+    if (!OPERATORS[op]) throw new UnsupportedQueryError(`the ${op} operator`);
+    return OPERATORS[op](value, arg, condition);
+  });
+}
+
+/**
+ * Does a document match a (cast) Mongo filter?
+ * @param {object} doc     plain object
+ * @param {object} filter  e.g. { status: 'published', publishedAt: { $lt: date } }
+ */
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and': return condition.every(clause => matches(doc, clause));
+      case '$or': return condition.some(clause => matches(doc, clause));
+      case '$nor': return !condition.some(clause => matches(doc, clause));
+      default:
+        if (key.startsWith('$')) throw new UnsupportedQueryError(key);
+        return matchesCondition(getPath(doc, key), condition);
+    }
+  });
+}
+
+// ---- Sorting ----
+
+// { createdAt: -1 } or '-createdAt title' -> [['createdAt', -1], ['title', 1]]
+function sortKeys(sort) {
+  if (typeof sort === 'string') {
+    return sort.split(/\s+/).filter(Boolean).map(key => (key.startsWith('-') ? [key.slice(1), -1] : [key, 1]));
+  }
+  return Object.entries(sort).map(([key, dir]) => {
+    if (isPlainObject(dir)) throw new UnsupportedQueryError(`sorting by ${JSON.stringify(dir)}`);
+    return [key, ['desc', 'descending', -1, '-1'].includes(dir) ? -1 : 1];
+  });
+}
+
+// Sorts in place (and returns) the rows
+function sortRows(rows, sort) {
+  const keys = sortKeys(sort);
+  return rows.sort((a, b) => {
+    for (const [key, dir] of keys) {
+      const c = compare(getPath(a, key), getPath(b, key));
+      if (c) return c * dir;
+    }
+    return 0;
+  });
+}
+
+// ---- Updates ----
+
+/**
+ * Apply a Mongo update to a plain object, in place.
+ * @param {object} doc
+ * @param {object} update    { $set, $unset, $inc, $push, $addToSet, $pull } or plain fields
+ * @param {boolean} inserting  whether $setOnInsert applies
+ */
+function applyUpdate(doc, update, inserting = false) {
+  Object.entries(update).forEach(([key, arg]) => {
+    if (!key.startsWith('$')) return setPath(doc, key, clone(arg));
+    const fields = Object.entries(arg);
+    switch (key) {
+      case '$set':
+        return fields.forEach(([path, value]) => setPath(doc, path, clone(value)));
+      case '$setOnInsert':
+        if (inserting) fields.forEach(([path, value]) => setPath(doc, path, clone(value)));
+        return;
+      case '$unset':
+        return fields.forEach(([path]) => unsetPath(doc, path));
+      case '$inc':
+        return fields.forEach(([path, by]) => setPath(doc, path, (getPath(doc, path) || 0) + by));
+      case '$push':
+        return fields.forEach(([path, value]) => setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]));
+      case '$addToSet':
+        return fields.forEach(([path, value]) => {
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.some(v => equals(v, value)) ? list : [...list, clone(value)]);
+        });
+      case '$pull':
+        return fields.forEach(([path, value]) => {
+          setPath(doc, path, (getPath(doc, path) || []).filter(v => !matchesCondition(v, value)));
+        });
+      default:
+        throw new UnsupportedQueryError(`the ${key} update operator`);
+    }
+  });
+  return doc;
+}
+
+// The fields a filter pins to one value, for upserts: { user: id, kind: 'tag' }
+function equalityFields(filter) {
+  const fields = {};
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (key === '$and') return condition.forEach(clause => Object.assign(fields, equalityFields(clause)));
+    if (key.startsWith('$')) return;
+    if (isOperatorObject(condition)) {
+      if ('$eq' in condition) fields[key] = clone(condition.$eq);
+    } else if (!(condition instanceof RegExp)) {
+      fields[key] = clone(condition);
+    }
+  });
+  return fields;
+}
+
+// ---- Aggregation ----
+
+function evaluate(expr, row) {
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(row, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, row));
+  if (!isOperatorObject(expr)) return expr;
+
+  const [[op, arg]] = Object.entries(expr);
+  const args = Array.isArray(arg) ? arg.map(e => evaluate(e, row)) : null;
+  switch (op) {
+    case '$cond': {
+      const [test, then, otherwise] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+      return evaluate(test, row) ? evaluate(then, row) : evaluate(otherwise, row);
+    }
+    case '$eq': return compare(args[0], args[1]) === 0;
+    case '$ne': return compare(args[0], args[1]) !== 0;
+    case '$gt': return compare(args[0], args[1]) > 0;
+    case '$gte': return compare(args[0], args[1]) >= 0;
+    case '$lt': return compare(args[0], args[1]) < 0;
+    case '$lte': return compare(args[0], args[1]) <= 0;
+    case '$ifNull': return args.find(v => v != null) ?? null;
+    default:
+      throw new UnsupportedQueryError(`the ${op} expression`);
+  }
+}
+
+const ACCUMULATORS = {
+  $sum: values => values.reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0),
+  $avg: values => {
+    const numbers = values.filter(v => typeof v === 'number'); // skips nulls, like Mongo
+    return numbers.length ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null;
+  },
+  $min: values => values.filter(v => v != null).sort(compare)[0] ?? null,
+  $max: values => values.filter(v => v != null).sort(compare).pop() ?? null,
+  $first: values => (values.length ? values[0] : null),
+  $last: values => (values.length ? values[values.length - 1] : null),
+  $push: values => values
+};
+
+function group(rows, { _id: idExpr, ...fields }) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const id = evaluate(idExpr, row);
+    const key = keyOf(id);
+    if (!groups.has(key)) groups.set(key, { _id: clone(id), rows: [] });
+    groups.get(key).rows.push(row);
+  });
+
+  return [...groups.values()].map(({ _id, rows: members }) => {
+    const out = { _id };
+    Object.entries(fields).forEach(([name, accumulator]) => {
+      const [[op, expr]] = Object.entries(accumulator);
+      if (!ACCUMULATORS[op]) throw new UnsupportedQueryError(`the ${op} accumulator`);
+      out[name] = ACCUMULATORS[op](members.map(row => evaluate(expr, row)));
+    });
+    return out;
+  });
+}
+
+function unwind(rows, arg) {
+  const path = (typeof arg === 'string' ? arg : arg.path).slice(1);
+  return rows.flatMap(row => {
+    const value = getPath(row, path);
+    if (!Array.isArray(value)) return value == null ? [] : [row];
+    return value.map(item => {
+      const copy = { ...row };
+      setPath(copy, path, item);
+      return copy;
+    });
+  });
+}
+
+/**
+ * Run an aggregation pipeline over plain objects.
+ * Stages: $match, $unwind, $group, $sort, $skip, $limit.
+ */
+function aggregate(rows, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const [[name, arg]] = Object.entries(stage);
+    switch (name) {
+      case '$match': return current.filter(row => matches(row, arg));
+      case '$unwind': return unwind(current, arg);
+      case '$group': return group(current, arg);
+      case '$sort': return sortRows([...current], arg);
+      case '$skip': return current.slice(arg);
+      case '$limit': return current.slice(0, arg);
+      default:
+        throw new UnsupportedQueryError(`the ${name} stage`);
+    }
+  }, rows);
+}
+
+module.exports = {
+  matches,
+  sortRows,
+  applyUpdate,
+  equalityFields,
+  aggregate,
+  compare,
+  keyOf,
+  clone,
+  getPath,
+  isObjectId,
+  UnsupportedQueryError
+};
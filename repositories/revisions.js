@@ -0,0 +1,12 @@
+// repositories/revisions.js
+// Revision history of articles and books (models/Revision.js; diffs and
+// restoring are in lib/revisions.js)
+
+module.exports = function revisionsRepository(revisions) {
+  // Newest first
+  function historyOf(kind, docId) {
+    return revisions.find({ kind, doc: docId }).sort({ number: -1 });
+  }
+
+  return { ...revisions, historyOf };
+};
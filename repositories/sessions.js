@@ -0,0 +1,35 @@
+// repositories/sessions.js
+// Sign-in sessions (models/Session.js) for lib/sessionStore.js. Expired rows
+// are never returned, whether or not anything has deleted them yet.
+module.exports = function sessionsRepository(sessions) {
+  // The stored session for an id, or null when there is none or it has expired
+  async function read(sid) {
+    const row = await sessions.findOne({ _id: sid, expiresAt: { $gt: new Date() } }).lean();
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async function write(sid, data, expiresAt) {
+    const user = (data.user && data.user.id) || null;
+    await sessions.updateOne({ _id: sid }, { $set: { data: JSON.stringify(data), user, expiresAt } }, { upsert: true });
+  }
+
+  // Push back the expiry of a session that is still in use
+  async function extend(sid, expiresAt) {
+    await sessions.updateOne({ _id: sid }, { $set: { expiresAt } });
+  }
+
+  // Sign a user out everywhere (but for the session `except`, when given)
+  async function endAllFor(userId, { except = null } = {}) {
+    const filter = { user: userId };
+    if (except) filter._id = { $ne: except };
+    const { deletedCount } = await sessions.deleteMany(filter);
+    return deletedCount;
+  }
+
+  async function deleteExpired(now = new Date()) {
+    const { deletedCount } = await sessions.deleteMany({ expiresAt: { $lte: now } });
+    return deletedCount;
+  }
+
+  return { ...sessions, read, write, extend, endAllFor, deleteExpired };
+};
@@ -0,0 +1,32 @@
+// repositories/shelfEntries.js
+// Readers' bookshelves (models/ShelfEntry.js)
+const mongoose = require('mongoose');
+
+module.exports = function shelfEntriesRepository(shelfEntries) {
+  /**
+   * Reader counts and average ratings per book.
+   * @param {Array} bookIds
+   * @returns {Promise<Map<string, { readers: number, ratingCount: number, averageRating: number|null }>>}
+   */
+  async function statsFor(bookIds) {
+    if (!bookIds.length) return new Map();
+    const rows = await shelfEntries.aggregate([
+      { $match: { book: { $in: bookIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+      {
+        $group: {
+          _id: '$book',
+          readers: { $sum: 1 },
+          ratingCount: { $sum: { $cond: [{ $gt: ['$rating', null] }, 1, 0] } },
+          averageRating: { $avg: '$rating' } // $avg skips the nulls
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [String(row._id), {
+      readers: row.readers,
+      ratingCount: row.ratingCount,
+      averageRating: row.averageRating == null ? null : Math.round(row.averageRating * 10) / 10
+    }]));
+  }
+
+  return { ...shelfEntries, statsFor };
+};
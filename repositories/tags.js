@@ -0,0 +1,40 @@
+// repositories/tags.js
+// The tag vocabulary (models/Tag.js): one stored spelling per tag, created the
+// first time an article uses it, found by its slug or by a slug it used to have.
+const Tag = require('../models/Tag');
+const slugify = require('../lib/slugify');
+
+module.exports = function tagsRepository(tags) {
+  /**
+   * The canonical spelling of each name, one per tag (first mention wins),
+   * without creating anything. Names with no tag yet come back as typed.
+   * @param {string[]} names
+   * @returns {Promise<string[]>}
+   */
+  async function canonicalNames(names) {
+    const bySlug = new Map(Tag.uniqueNames(names).map(name => [slugify(name), name]));
+    const existing = await tags.find({ slug: { $in: [...bySlug.keys()] } }).select('name slug');
+    existing.forEach(tag => bySlug.set(tag.slug, tag.name));
+    return [...bySlug.values()];
+  }
+
+  // Create the tags that don't exist yet (a race with another writer is harmless)
+  async function ensure(names) {
+    for (const name of names) {
+      const slug = slugify(name);
+      if (!slug || await tags.exists({ slug })) continue;
+      try {
+        await tags.create({ name });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+  }
+
+  // By current slug, or by one it had before a rename or merge
+  async function findBySlug(slug) {
+    return (await tags.findOne({ slug })) || tags.findOne({ aliases: slug });
+  }
+
+  return { ...tags, canonicalNames, ensure, findBySlug };
+};
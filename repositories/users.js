@@ -0,0 +1,41 @@
+// repositories/users.js
+// Accounts (models/User.js): role changes and the wrong-password lockout.
+const User = require('../models/User');
+
+module.exports = function usersRepository(users) {
+  // Change someone's role by email; resolves to the updated user or null if not found
+  async function setRole(email, role) {
+    if (!User.ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}" (expected one of: ${User.ROLES.join(', ')})`);
+    }
+    return users.findOneAndUpdate(
+      { email: String(email).toLowerCase().trim() },
+      { role },
+      { new: true }
+    );
+  }
+
+  // Count a wrong password; resolves to the updated user (locked once the limit is reached)
+  async function registerFailedLogin(user) {
+    const updated = await users.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLogins: 1 } },
+      { new: true }
+    );
+    if (updated && updated.failedLogins >= User.MAX_FAILED_LOGINS) {
+      updated.failedLogins = 0;
+      updated.lockedUntil = new Date(Date.now() + User.LOCK_MS);
+      await users.save(updated);
+    }
+    return updated || user;
+  }
+
+  async function clearFailedLogins(user) {
+    if (!user.failedLogins && !user.lockedUntil) return user;
+    user.failedLogins = 0;
+    user.lockedUntil = null;
+    return users.save(user);
+  }
+
+  return { ...users, setRole, registerFailedLogin, clearFailedLogins };
+};
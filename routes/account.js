@@ -0,0 +1,254 @@
+// routes/account.js
+// Forgot / reset password (signed out) and the account page with password change,
+// notification settings and API tokens (signed in)
+const express = require('express');
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const PasswordReset = require('../models/PasswordReset');
+const ApiToken = require('../models/ApiToken');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { sendMail } = require('../lib/mailer');
+const { fieldErrors } = require('../lib/validation');
+const { renderNotFound } = require('../lib/pages');
+const { canonicalSiteUrl } = require('../lib/urls');
+const { requireUser } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Reset emails per IP, so the form can't be used to flood someone's inbox
+const forgotLimit = rateLimit({
+  name: 'forgot-password',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many reset requests from your network.'
+});
+
+// Guessing the current password on the account page
+const changePasswordLimit = rateLimit({
+  name: 'change-password',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: req => req.session.user && req.session.user.id,
+  message: 'Too many password change attempts.'
+});
+
+// Field errors for a new password + its confirmation (empty object when fine)
+function newPasswordErrors(password, confirm, email) {
+  const problem = User.passwordProblem(password, email);
+  if (problem) return { password: problem };
+  if (password !== confirm) return { confirmPassword: 'The two passwords do not match.' };
+  return {};
+}
+
+async function emailResetLink(email) {
+  const user = await repos.users.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user) return;
+
+  const token = await repos.passwordResets.issue(user._id);
+  const link = `${canonicalSiteUrl()}/reset-password/${token}`;
+  const minutes = PasswordReset.TOKEN_TTL_MS / 60000;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Unread Archive password',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'Someone (hopefully you) asked to reset the password for your Unread Archive account.',
+      `Open this link within ${minutes} minutes to choose a new one:`,
+      '',
+      link,
+      '',
+      "If you didn't ask for this, ignore this email; your password stays the same."
+    ].join('\n')
+  });
+}
+
+function renderForgot(res, locals = {}) {
+  res.render('partials/layout', { pageTitle: 'Forgot Password', page: 'forgot-password', sent: false, fieldErrors: {}, ...locals });
+}
+
+function renderReset(res, locals) {
+  // keep the token out of Referer headers sent to anything the page links to
+  res.set('Referrer-Policy', 'no-referrer');
+  res.render('partials/layout', { pageTitle: 'Reset Password', page: 'reset-password', fieldErrors: {}, ...locals });
+}
+
+async function renderAccount(res, locals = {}) {
+  res.render('partials/layout', {
+    pageTitle: 'Your Account',
+    page: 'account',
+    fieldErrors: {},
+    notificationTypes: Notification.TYPES,
+    apiTokens: await repos.apiTokens.listFor(locals.account._id),
+    tokenValues: {},
+    newToken: null,
+    ...locals
+  });
+}
+
+router.get('/forgot-password', (req, res) => {
+  renderForgot(res);
+});
+
+// Same answer whether or not the address has an account, and the lookup and
+// email happen after the response so the timing doesn't tell either
+router.post('/forgot-password', forgotLimit, (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+  if (!email) {
+    return renderForgot(res.status(400), { fieldErrors: { email: 'Enter the email address you signed up with.' } });
+  }
+
+  emailResetLink(email)
+    .catch(err => console.error('Password reset email failed:', err));
+
+  renderForgot(res, { sent: true });
+});
+
+router.get('/reset-password/:token', async (req, res) => {
+  const reset = await repos.passwordResets.findValid(req.params.token);
+  renderReset(res, { token: req.params.token, valid: !!reset });
+});
+
+router.post('/reset-password/:token', async (req, res) => {
+  const { token } = req.params;
+  const reset = await repos.passwordResets.findValid(token);
+  const user = reset && await repos.users.findById(reset.user);
+  if (!user) {
+    return renderReset(res.status(400), { token, valid: false });
+  }
+
+  const errors = newPasswordErrors(req.body.password, req.body.confirmPassword, user.email);
+  if (Object.keys(errors).length) {
+    return renderReset(res.status(400), { token, valid: true, fieldErrors: errors });
+  }
+
+  // claim the token only now, so a typo in the form doesn't burn the link
+  if (!(await repos.passwordResets.consume(token))) {
+    return renderReset(res.status(400), { token, valid: false });
+  }
+
+  user.password = req.body.password;
+  // a fresh password also lifts any sign-in lockout
+  user.failedLogins = 0;
+  user.lockedUntil = null;
+  await repos.users.save(user);
+  // whoever knew the old password is signed out everywhere
+  await repos.sessions.endAllFor(user._id);
+
+  req.flash('success', 'Your password has been reset. Sign in with the new one.');
+  res.redirect('/signin');
+});
+
+router.get('/account', requireUser, async (req, res) => {
+  const user = await repos.users.findById(req.session.user.id);
+  if (!user) {
+    return req.session.destroy(() => res.redirect('/signin'));
+  }
+  await renderAccount(res, { account: user });
+});
+
+router.post('/account/password', requireUser, changePasswordLimit, async (req, res) => {
+  const user = await repos.users.findById(req.session.user.id);
+  if (!user) {
+    return req.session.destroy(() => res.redirect('/signin'));
+  }
+
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+  if (!(await user.checkPassword(currentPassword))) {
+    return renderAccount(res.status(400), {
+      account: user,
+      fieldErrors: { currentPassword: 'Your current password is not right.' }
+    });
+  }
+
+  const errors = newPasswordErrors(newPassword, confirmPassword, user.email);
+  if (Object.keys(errors).length) {
+    return renderAccount(res.status(400), { account: user, fieldErrors: errors });
+  }
+
+  user.password = newPassword;
+  await repos.users.save(user);
+  // any reset link still sitting in an inbox would undo this change
+  await repos.passwordResets.deleteMany({ user: user._id });
+  // and so would a session left signed in on some other device
+  await repos.sessions.endAllFor(user._id, { except: req.sessionID });
+
+  req.flash('success', 'Password changed.');
+  res.redirect('/account');
+});
+
+// Checked boxes are the types they want; everything else is switched off
+router.post('/account/notifications', requireUser, async (req, res) => {
+  const user = await repos.users.findById(req.session.user.id);
+  if (!user) {
+    return req.session.destroy(() => res.redirect('/signin'));
+  }
+
+  const wanted = [].concat(req.body.notify || []);
+  user.notificationOptOuts = Object.keys(Notification.TYPES).filter(type => !wanted.includes(type));
+  await repos.users.save(user);
+
+  req.flash('success', 'Notification settings saved.');
+  res.redirect('/account#notifications');
+});
+
+// ---- API tokens for /api/v1 (see models/ApiToken.js) ----
+
+// The raw token is on this one response and nowhere else, so show it here
+// rather than redirecting, and keep the page out of every cache
+router.post('/account/tokens', requireUser, async (req, res) => {
+  const user = await repos.users.findById(req.session.user.id);
+  if (!user) {
+    return req.session.destroy(() => res.redirect('/signin'));
+  }
+
+  const { name } = req.body;
+  const access = req.body.access === 'write' ? 'write' : 'read';
+  const tokenValues = { name, access };
+
+  const active = await repos.apiTokens.countDocuments({ user: user._id, revokedAt: null });
+  if (active >= ApiToken.MAX_ACTIVE_PER_USER) {
+    return renderAccount(res.status(400), {
+      account: user,
+      tokenValues,
+      fieldErrors: { name: `You already have ${active} tokens. Revoke one you no longer use first.` }
+    });
+  }
+
+  let issued;
+  try {
+    issued = await repos.apiTokens.issue(user._id, { name, scopes: access === 'write' ? ['read', 'write'] : ['read'] });
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) throw err;
+    return renderAccount(res.status(400), { account: user, tokenValues, fieldErrors: errors });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  await renderAccount(res, {
+    account: user,
+    newToken: { name: issued.apiToken.name, token: issued.token }
+  });
+});
+
+router.post('/account/tokens/:id/revoke', requireUser, async (req, res) => {
+  const token = isObjectId(req.params.id)
+    ? await repos.apiTokens.findOneAndUpdate(
+      { _id: req.params.id, user: req.session.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    )
+    : null;
+  if (!token) {
+    return renderNotFound(res);
+  }
+
+  req.flash('success', `Revoked "${token.name}". Anything still using it will be turned away from now on.`);
+  res.redirect('/account#api-tokens');
+});
+
+module.exports = router;
@@ -0,0 +1,611 @@
+// routes/apiV1.js
+// Versioned JSON API for scripts and other tools, mounted at /api/v1:
+//   /books     list, read, create, change, delete (editors change books)
+//   /articles  list, read, create, change, delete (same rules as the write page)
+//   /quotes    list, read
+//   /openapi.json  the OpenAPI 3 document, generated from the endpoints below
+// Callers use a personal API token (Authorization: Bearer …) or the site session
+// (see middleware/apiAuth.js). Every error is JSON { error, fields? } with a
+// status code that says what kind of error it is.
+const express = require('express');
+
+const Article = require('../models/Article');
+const Book = require('../models/Book');
+const Quote = require('../models/Quote');
+const Tag = require('../models/Tag');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { listArticles, QueryError, SORTS, DEFAULT_LIMIT, MAX_LIMIT } = require('../lib/articleQuery');
+const { recordRevision, ensureRecorded } = require('../lib/revisions');
+const { deleteArticle, deleteBook } = require('../lib/deletion');
+const { thumbUrlFor, releaseImages } = require('../lib/images');
+const { fieldErrors } = require('../lib/validation');
+const { buildSpec, modelSchema, ref } = require('../lib/openapi');
+const { siteUrl } = require('../lib/urls');
+const { displayName } = require('../lib/viewHelpers');
+const { apiAuth, requireScope, requireApiRole } = require('../middleware/apiAuth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { EDITOR_ROLES } = require('../middleware/auth');
+const events = require('../lib/events');
+
+const router = express.Router();
+
+const API_VERSION = '1.0.0';
+const PAGE_DEFAULT = 50;   // books and quotes per page
+const PAGE_MAX = 100;
+
+class ApiError extends Error {
+  constructor(status, message, fields = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+// Scripts get far more room than the write page, but a runaway loop still stops
+const apiWriteLimit = rateLimit({
+  name: 'api-write',
+  windowMs: 60 * 60 * 1000,
+  max: 600,
+  key: req => `user:${req.apiUser.id}`,
+  message: 'That is a lot of changes in one hour.'
+});
+
+// ---- Registering endpoints (and describing them for openapi.json) ----
+
+const endpoints = [];
+
+// `doc.auth` is the scope the endpoint needs ('write'), or nothing for public reads
+function endpoint(method, path, doc, ...handlers) {
+  endpoints.push({ method, path, ...doc });
+  const guards = doc.auth ? [requireScope(doc.auth)] : [];
+  router[method](path, ...guards, ...handlers);
+}
+
+router.use(apiAuth);
+
+// ---- Reading request input ----
+
+const FIELD_TYPES = {
+  string: {
+    ok: value => typeof value === 'string',
+    message: 'Must be a string.'
+  },
+  tags: {
+    ok: value => typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string')),
+    message: 'Must be a list of tag names (or one comma-separated string).'
+  },
+  date: {
+    ok: value => value === null || (typeof value === 'string' && !isNaN(new Date(value))),
+    message: 'Must be an ISO 8601 date and time, or null.'
+  }
+};
+
+const BOOK_INPUT = { title: 'string', description: 'string', image: 'string' };
+const ARTICLE_INPUT = {
+  title: 'string',
+  tags: 'tags',
+  author: 'string',
+  readTime: 'string',
+  excerpt: 'string',
+  content: 'string',
+  coverImage: 'string',
+  status: 'string',
+  publishAt: 'date'
+};
+
+// The JSON body's fields, checked against `shape` ({ name: type }); unknown
+// fields are refused rather than ignored, so a typo doesn't go unnoticed
+function readInput(req, shape) {
+  if (!req.is('application/json')) {
+    throw new ApiError(415, 'Send the body as JSON, with Content-Type: application/json.');
+  }
+  const body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'The body must be a JSON object.');
+  }
+
+  const input = {};
+  const errors = {};
+  Object.entries(body).forEach(([name, value]) => {
+    const type = FIELD_TYPES[shape[name]];
+    if (!type) errors[name] = 'Not a field you can set.';
+    else if (!type.ok(value)) errors[name] = type.message;
+    else input[name] = value;
+  });
+  if (Object.keys(errors).length) {
+    throw new ApiError(400, Object.values(errors)[0], errors);
+  }
+  return input;
+}
+
+// ?limit=&offset= for the plain (non-cursor) lists
+function readPaging(query) {
+  const limit = query.limit === undefined ? PAGE_DEFAULT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > PAGE_MAX) {
+    throw new ApiError(400, `"limit" must be between 1 and ${PAGE_MAX}.`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, '"offset" must be 0 or more.');
+  }
+  return { limit, offset };
+}
+
+async function pageOf(collection, sort, query) {
+  const { limit, offset } = readPaging(query);
+  const [items, total] = await Promise.all([
+    collection.find().sort(sort).skip(offset).limit(limit),
+    collection.countDocuments()
+  ]);
+  return { items, total, limit, offset };
+}
+
+// ---- What goes out ----
+
+const iso = date => (date ? date.toISOString() : null);
+
+function bookJson(book) {
+  return {
+    id: String(book._id),
+    title: book.title,
+    description: book.description,
+    image: book.image || '',
+    thumb: book.thumb || '',
+    createdAt: iso(book.createdAt)
+  };
+}
+
+function articleJson(article, base) {
+  return {
+    id: String(article._id),
+    slug: article.slug || null,
+    url: `${base}${article.url}`,
+    title: article.title,
+    author: article.author,
+    isAnonymous: article.isAnonymous,
+    tags: [...article.tags],
+    readTime: article.readTime,
+    excerpt: article.excerpt,
+    content: article.content,
+    contentHtml: article.contentHtml,
+    coverImage: article.coverImage,
+    coverThumb: article.coverThumb,
+    externalUrl: article.externalUrl,
+    isCommunity: article.isCommunity,
+    status: article.status,
+    publishAt: iso(article.publishAt),
+    publishedAt: iso(article.publishedAt),
+    views: article.views,
+    createdAt: iso(article.createdAt),
+    updatedAt: iso(article.updatedAt)
+  };
+}
+
+function quoteJson(quote) {
+  return {
+    id: String(quote._id),
+    text: quote.text,
+    author: quote.author,
+    createdAt: iso(quote.createdAt)
+  };
+}
+
+// ---- Books ----
+
+async function findBook(id) {
+  const book = isObjectId(id) ? await repos.books.findById(id) : null;
+  if (!book) throw new ApiError(404, 'Book not found.');
+  return book;
+}
+
+endpoint('get', '/books', {
+  operationId: 'listBooks',
+  tag: 'Books',
+  summary: 'List books, newest first',
+  query: [
+    { name: 'limit', description: `1–${PAGE_MAX}, default ${PAGE_DEFAULT}`, schema: { type: 'integer' } },
+    { name: 'offset', description: 'How many to skip', schema: { type: 'integer' } }
+  ],
+  responses: { 200: { description: 'One page of books', schema: ref('BookPage') } },
+  errors: [400]
+}, async (req, res) => {
+  const page = await pageOf(repos.books, { createdAt: -1, _id: -1 }, req.query);
+  res.json({ ...page, items: page.items.map(bookJson) });
+});
+
+endpoint('get', '/books/:id', {
+  operationId: 'getBook',
+  tag: 'Books',
+  summary: 'One book',
+  params: { id: 'Book id' },
+  responses: { 200: { description: 'The book', schema: ref('Book') } },
+  errors: [404]
+}, async (req, res) => {
+  res.json(bookJson(await findBook(req.params.id)));
+});
+
+endpoint('post', '/books', {
+  operationId: 'createBook',
+  tag: 'Books',
+  summary: 'Add a book',
+  description: 'Editors and admins only. Images are given as URLs; uploads go through the admin page.',
+  auth: 'write',
+  body: 'BookInput',
+  responses: { 201: { description: 'Created; Location has its URL', schema: ref('Book') } },
+  errors: [429]
+}, requireApiRole(...EDITOR_ROLES), apiWriteLimit, async (req, res) => {
+  const input = readInput(req, BOOK_INPUT);
+  const book = await repos.books.create({ ...input, thumb: thumbUrlFor(input.image) });
+  await recordRevision('book', book, req.apiUser);
+  events.emit('book.saved', { book });
+  res.status(201).location(`${req.baseUrl}/books/${book._id}`).json(bookJson(book));
+});
+
+endpoint('patch', '/books/:id', {
+  operationId: 'updateBook',
+  tag: 'Books',
+  summary: 'Change a book',
+  description: 'Editors and admins only. Send just the fields to change.',
+  auth: 'write',
+  params: { id: 'Book id' },
+  body: 'BookPatch',
+  responses: { 200: { description: 'The book as saved', schema: ref('Book') } },
+  errors: [404, 429]
+}, requireApiRole(...EDITOR_ROLES), apiWriteLimit, async (req, res) => {
+  const book = await findBook(req.params.id);
+  const input = readInput(req, BOOK_INPUT);
+
+  const oldImages = [book.image, book.thumb];
+  await ensureRecorded('book', book, req.apiUser);
+  book.set(input);
+  if ('image' in input) book.thumb = thumbUrlFor(input.image);
+  await repos.books.save(book);
+
+  await recordRevision('book', book, req.apiUser);
+  events.emit('book.saved', { book });
+  await releaseImages(oldImages);
+  res.json(bookJson(book));
+});
+
+endpoint('delete', '/books/:id', {
+  operationId: 'deleteBook',
+  tag: 'Books',
+  summary: 'Delete a book',
+  description: 'Editors and admins only. Also takes it off every shelf.',
+  auth: 'write',
+  params: { id: 'Book id' },
+  responses: { 204: { description: 'Deleted' } },
+  errors: [404, 429]
+}, requireApiRole(...EDITOR_ROLES), apiWriteLimit, async (req, res) => {
+  await deleteBook(await findBook(req.params.id));
+  res.status(204).end();
+});
+
+// ---- Articles ----
+
+// By id or slug. Drafts, scheduled and archived pieces only exist for whoever
+// may edit them, exactly as on the site.
+async function findArticle(req) {
+  const { id } = req.params;
+  const article = isObjectId(id) ? await repos.articles.findById(id) : await repos.articles.findOne({ slug: id });
+  if (!article || (!article.isLive() && !article.canEdit(req.apiUser))) {
+    throw new ApiError(404, 'Article not found.');
+  }
+  return article;
+}
+
+function checkAllowed(article, apiUser, permission) {
+  if (!article[permission](apiUser)) {
+    throw new ApiError(403, article.isAnonymous
+      ? 'Anonymous submissions can\'t be changed after publishing.'
+      : 'Only the writer of this piece (or an admin) can change it.');
+  }
+}
+
+// The editable fields present in the input (for a change, only those sent)
+function articleFields(input) {
+  const fields = {};
+  ['title', 'readTime', 'excerpt', 'content', 'coverImage'].forEach(name => {
+    if (name in input) fields[name] = input[name];
+  });
+  if ('tags' in input) fields.tags = Tag.parseList(input.tags);
+  if ('coverImage' in input) fields.coverThumb = thumbUrlFor(input.coverImage);
+  return fields;
+}
+
+// status/publishAt, as the write page's buttons would set them: publishing
+// clears publishAt, scheduling needs one in the future. Only when either is sent.
+function lifecycleFields(input, current = null) {
+  if (!('status' in input) && !('publishAt' in input)) {
+    return current ? {} : { status: 'published', publishAt: null };
+  }
+
+  const status = 'status' in input ? input.status : (current ? current.status : 'published');
+  if (!Article.STATUSES.includes(status)) {
+    const message = `Must be one of: ${Article.STATUSES.join(', ')}.`;
+    throw new ApiError(400, message, { status: message });
+  }
+  const publishAt = 'publishAt' in input
+    ? (input.publishAt && new Date(input.publishAt))
+    : (current ? current.publishAt : null);
+
+  if (status === 'scheduled') {
+    if (!publishAt || publishAt <= new Date()) {
+      const message = 'A scheduled piece needs a publishAt in the future.';
+      throw new ApiError(400, message, { publishAt: message });
+    }
+    return { status, publishAt };
+  }
+  if (status === 'published') return { status, publishAt: null };
+  if (status === 'archived') return { status };
+  return { status, publishAt: publishAt || null };
+}
+
+const ARTICLE_QUERY = ['cursor', 'limit', 'sort', 'tag', 'author', 'from', 'to', 'source'];
+
+endpoint('get', '/articles', {
+  operationId: 'listArticles',
+  tag: 'Articles',
+  summary: 'List live articles',
+  description: 'One page at a time; pass nextCursor back as `cursor` for the next (also in the Link header).',
+  query: [
+    { name: 'limit', description: `1–${MAX_LIMIT}, default ${DEFAULT_LIMIT}`, schema: { type: 'integer' } },
+    { name: 'cursor', description: 'nextCursor from the previous page', schema: { type: 'string' } },
+    { name: 'sort', description: 'Order', schema: { type: 'string', enum: Object.keys(SORTS) } },
+    { name: 'tag', description: 'Only pieces with this tag', schema: { type: 'string' } },
+    { name: 'author', description: 'Only pieces by this author', schema: { type: 'string' } },
+    { name: 'from', description: 'Published on or after (YYYY-MM-DD)', schema: { type: 'string', format: 'date' } },
+    { name: 'to', description: 'Published on or before (YYYY-MM-DD)', schema: { type: 'string', format: 'date' } },
+    { name: 'source', description: 'Who wrote it', schema: { type: 'string', enum: ['community', 'curated'] } }
+  ],
+  responses: { 200: { description: 'One page of articles', schema: ref('ArticlePage') } },
+  errors: [400]
+}, async (req, res) => {
+  const options = {};
+  ARTICLE_QUERY.forEach(key => {
+    if (typeof req.query[key] === 'string' && req.query[key] !== '') options[key] = req.query[key];
+  });
+
+  const page = await listArticles(options);
+  if (page.nextCursor) {
+    const params = new URLSearchParams({ ...options, cursor: page.nextCursor });
+    res.links({ next: `${siteUrl(req)}${req.baseUrl}/articles?${params}` });
+  }
+  const base = siteUrl(req);
+  res.json({
+    items: page.items.map(article => articleJson(article, base)),
+    nextCursor: page.nextCursor,
+    limit: page.limit,
+    sort: page.sort
+  });
+});
+
+endpoint('get', '/articles/:id', {
+  operationId: 'getArticle',
+  tag: 'Articles',
+  summary: 'One article',
+  description: 'Drafts, scheduled and archived pieces are only found for whoever may edit them.',
+  params: { id: 'Article id or slug' },
+  responses: { 200: { description: 'The article', schema: ref('Article') } },
+  errors: [404]
+}, async (req, res) => {
+  res.json(articleJson(await findArticle(req), siteUrl(req)));
+});
+
+endpoint('post', '/articles', {
+  operationId: 'createArticle',
+  tag: 'Articles',
+  summary: 'Write a piece',
+  description: 'Published under your account (author is your pen name, defaulting to your name). ' +
+    'Without a status it is published straight away.',
+  auth: 'write',
+  body: 'ArticleInput',
+  responses: { 201: { description: 'Created; Location has its URL', schema: ref('Article') } },
+  errors: [409, 429]
+}, apiWriteLimit, async (req, res) => {
+  const input = readInput(req, ARTICLE_INPUT);
+  const fields = {
+    ...articleFields(input),
+    ...lifecycleFields(input),
+    author: (input.author || '').trim() || displayName(req.apiUser),
+    user: req.apiUser.id
+  };
+
+  const since = new Date(Date.now() - Article.DUPLICATE_WINDOW_MS);
+  if (fields.status !== 'draft' && await repos.articles.isDuplicateContent(fields.content, since)) {
+    throw new ApiError(409, 'A piece with exactly this text was already submitted recently.');
+  }
+
+  const article = await repos.articles.create(fields);
+  await recordRevision('article', article, req.apiUser);
+  events.emit('article.saved', { article });
+  res.status(201).location(`${req.baseUrl}/articles/${article._id}`).json(articleJson(article, siteUrl(req)));
+});
+
+endpoint('patch', '/articles/:id', {
+  operationId: 'updateArticle',
+  tag: 'Articles',
+  summary: 'Change a piece',
+  description: 'The writer or an admin (editors for curated pieces). Send just the fields to change; ' +
+    'only the writer can change the author name.',
+  auth: 'write',
+  params: { id: 'Article id or slug' },
+  body: 'ArticlePatch',
+  responses: { 200: { description: 'The article as saved', schema: ref('Article') } },
+  errors: [404, 429]
+}, apiWriteLimit, async (req, res) => {
+  const article = await findArticle(req);
+  checkAllowed(article, req.apiUser, 'canEdit');
+  const input = readInput(req, ARTICLE_INPUT);
+
+  const oldImages = [article.coverImage, article.coverThumb];
+  await ensureRecorded('article', article, req.apiUser);
+  article.set({ ...articleFields(input), ...lifecycleFields(input, article) });
+  // an admin fixing someone else's piece must not take over its byline
+  if ('author' in input && String(article.user) === String(req.apiUser.id)) {
+    article.author = input.author.trim() || article.author;
+  }
+  await repos.articles.save(article);
+
+  await recordRevision('article', article, req.apiUser);
+  await releaseImages(oldImages);
+  events.emit('article.saved', { article });
+  res.json(articleJson(article, siteUrl(req)));
+});
+
+endpoint('delete', '/articles/:id', {
+  operationId: 'deleteArticle',
+  tag: 'Articles',
+  summary: 'Delete a piece',
+  description: 'The writer or an admin; with it go its comments and history.',
+  auth: 'write',
+  params: { id: 'Article id or slug' },
+  responses: { 204: { description: 'Deleted' } },
+  errors: [404, 429]
+}, apiWriteLimit, async (req, res) => {
+  const article = await findArticle(req);
+  checkAllowed(article, req.apiUser, 'canDelete');
+  await deleteArticle(article);
+  res.status(204).end();
+});
+
+// ---- Quotes ----
+
+endpoint('get', '/quotes', {
+  operationId: 'listQuotes',
+  tag: 'Quotes',
+  summary: 'List quotes, in the order the Articles page shows them',
+  query: [
+    { name: 'limit', description: `1–${PAGE_MAX}, default ${PAGE_DEFAULT}`, schema: { type: 'integer' } },
+    { name: 'offset', description: 'How many to skip', schema: { type: 'integer' } }
+  ],
+  responses: { 200: { description: 'One page of quotes', schema: ref('QuotePage') } },
+  errors: [400]
+}, async (req, res) => {
+  const page = await pageOf(repos.quotes, { createdAt: 1, _id: 1 }, req.query);
+  res.json({ ...page, items: page.items.map(quoteJson) });
+});
+
+endpoint('get', '/quotes/:id', {
+  operationId: 'getQuote',
+  tag: 'Quotes',
+  summary: 'One quote',
+  params: { id: 'Quote id' },
+  responses: { 200: { description: 'The quote', schema: ref('Quote') } },
+  errors: [404]
+}, async (req, res) => {
+  const quote = isObjectId(req.params.id) ? await repos.quotes.findById(req.params.id) : null;
+  if (!quote) throw new ApiError(404, 'Quote not found.');
+  res.json(quoteJson(quote));
+});
+
+// ---- The OpenAPI document ----
+
+const idProperty = { id: { type: 'string', pattern: '^[a-f0-9]{24}$' } };
+const pageOfItems = (item, paging) => ({
+  type: 'object',
+  properties: {
+    items: { type: 'array', items: ref(item) },
+    ...(paging === 'cursor'
+      ? { nextCursor: { type: 'string', nullable: true }, limit: { type: 'integer' }, sort: { type: 'string' } }
+      : { total: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' } })
+  }
+});
+const articleInputOverrides = {
+  tags: { type: 'array', items: { type: 'string' }, description: 'Tag names; the first is the card label' },
+  publishAt: { type: 'string', format: 'date-time', nullable: true, description: 'When a scheduled piece goes live' }
+};
+
+function schemas() {
+  const bookFields = Object.keys(BOOK_INPUT);
+  const articleFieldNames = Object.keys(ARTICLE_INPUT);
+  return {
+    Book: modelSchema(Book, [...bookFields, 'thumb', 'createdAt'], { extra: idProperty }),
+    BookInput: modelSchema(Book, bookFields, { required: true }),
+    BookPatch: modelSchema(Book, bookFields),
+    BookPage: pageOfItems('Book'),
+    Article: modelSchema(Article, [
+      'slug', 'title', 'author', 'tags', 'readTime', 'excerpt', 'content', 'coverImage', 'coverThumb',
+      'externalUrl', 'isCommunity', 'status', 'publishAt', 'publishedAt', 'views', 'createdAt', 'updatedAt'
+    ], {
+      override: { slug: { type: 'string', nullable: true, description: 'The /articles/:slug permalink' } },
+      extra: {
+        ...idProperty,
+        url: { type: 'string', format: 'uri' },
+        contentHtml: { type: 'string', description: 'The content rendered and sanitized, as on the site' },
+        isAnonymous: { type: 'boolean' }
+      }
+    }),
+    ArticleInput: modelSchema(Article, articleFieldNames, { override: articleInputOverrides }),
+    ArticlePatch: modelSchema(Article, articleFieldNames, { override: articleInputOverrides }),
+    ArticlePage: pageOfItems('Article', 'cursor'),
+    Quote: modelSchema(Quote, ['text', 'author', 'createdAt'], { extra: idProperty }),
+    QuotePage: pageOfItems('Quote')
+  };
+}
+
+router.get('/openapi.json', (req, res) => {
+  res.json(buildSpec({
+    info: {
+      title: 'The Unread Archive API',
+      version: API_VERSION,
+      description: 'Books, articles and quotes. Create a personal API token on your account page and send it as ' +
+        '"Authorization: Bearer <token>". Errors are JSON: { "error": "…", "fields": { … } }.'
+    },
+    serverUrl: `${siteUrl(req)}${req.baseUrl}`,
+    endpoints,
+    schemas: schemas()
+  }));
+});
+
+// ---- Anything else, and errors ----
+
+// Path patterns of the registered endpoints, to tell "wrong method" from "no such thing"
+const pathPattern = path => new RegExp(`^${path.replace(/:\w+/g, '[^/]+')}/?$`);
+
+router.use((req, res) => {
+  const methods = endpoints
+    .filter(e => pathPattern(e.path).test(req.path))
+    .map(e => e.method.toUpperCase());
+  if (methods.length) {
+    if (methods.includes('GET')) methods.push('HEAD');
+    res.set('Allow', methods.join(', '));
+    return res.status(405).json({ error: `${req.method} is not supported here.` });
+  }
+  res.status(404).json({ error: 'There is no such API endpoint.' });
+});
+
+// Errors from the handlers above, and from the body parsers before them (mounted
+// in app.js as well for that)
+function handleErrors(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({ error: err.message, ...(err.fields && { fields: err.fields }) });
+  }
+  if (err instanceof QueryError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  const errors = fieldErrors(err);
+  if (errors) {
+    return res.status(400).json({ error: Object.values(errors)[0], fields: errors });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'The body is not valid JSON.' });
+  }
+  // body-parser's other refusals (too large, bad charset…) say what they are
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  console.error('API error:', err);
+  res.status(500).json({ error: 'Something went wrong on our side. Please try again.' });
+}
+
+router.use(handleErrors);
+
+router.handleErrors = handleErrors;
+
+module.exports = router;
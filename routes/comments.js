@@ -0,0 +1,230 @@
+// routes/comments.js
+// Comments under articles (JSON API used by the reading view) and the admin
+// moderation queue at /admin/comments
+const express = require('express');
+
+const Comment = require('../models/Comment');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { commentThread, toClient } = require('../lib/comments');
+const events = require('../lib/events');
+const { requireUser, requireRole, wantsJson } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { renderNotFound } = require('../lib/pages');
+const { displayName } = require('../lib/viewHelpers');
+
+const router = express.Router();
+
+const commentLimit = rateLimit({
+  name: 'comment',
+  windowMs: 10 * 60 * 1000,
+  max: 20,
+  key: req => req.session.user && req.session.user.id,
+  message: 'You are commenting very quickly.'
+});
+
+async function findLiveArticle(id) {
+  const article = isObjectId(id) ? await repos.articles.findById(id) : null;
+  return article && article.isLive() ? article : null;
+}
+
+// ---- Reading view API ----
+
+router.get('/api/articles/:id/comments', async (req, res) => {
+  const article = await findLiveArticle(req.params.id);
+  if (!article) {
+    return res.status(404).json({ error: 'Article not found.' });
+  }
+  res.json(await commentThread(article._id, req.session.user));
+});
+
+router.post('/api/articles/:id/comments', requireUser, commentLimit, async (req, res) => {
+  const article = await findLiveArticle(req.params.id);
+  if (!article) {
+    return res.status(404).json({ error: 'Article not found.' });
+  }
+
+  const user = await repos.users.findById(req.session.user.id);
+  if (!user) {
+    return res.status(401).json({ error: 'Please sign in first.' });
+  }
+  if (user.bannedAt) {
+    return res.status(403).json({ error: 'Your account can no longer post comments.' });
+  }
+
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ error: 'Please write something before posting.' });
+  }
+
+  let parent = null;
+  let replyTo = null;
+  let depth = 0;
+  if (req.body.parentId) {
+    parent = isObjectId(req.body.parentId) ? await repos.comments.findById(req.body.parentId) : null;
+    if (!parent || String(parent.article) !== String(article._id) || parent.status !== 'approved' || parent.deletedAt) {
+      return res.status(400).json({ error: 'That comment can no longer be replied to.' });
+    }
+    replyTo = parent.user;
+    // threads stop at MAX_DEPTH: a reply to the deepest level joins its parent's replies
+    if (parent.depth >= Comment.MAX_DEPTH) {
+      depth = parent.depth;
+      parent = { _id: parent.parent };
+    } else {
+      depth = parent.depth + 1;
+    }
+  }
+
+  try {
+    const comment = await repos.comments.create({
+      article: article._id,
+      user: user._id,
+      authorName: displayName(user),
+      parent: parent ? parent._id : null,
+      replyTo,
+      depth,
+      text,
+      status: (await repos.comments.needsReview(user)) ? 'pending' : 'approved'
+    });
+    // held comments announce themselves once a moderator approves them
+    if (comment.status === 'approved') events.emit('comment.created', { comment, article });
+    res.status(201).json({ ...toClient(comment, req.session.user), replies: [] });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Comments can be at most 5000 characters.' });
+    }
+    throw err;
+  }
+});
+
+router.put('/api/comments/:id', requireUser, async (req, res) => {
+  const comment = isObjectId(req.params.id) ? await repos.comments.findById(req.params.id) : null;
+  if (!comment || comment.deletedAt) {
+    return res.status(404).json({ error: 'Comment not found.' });
+  }
+  if (!comment.canEdit(req.session.user)) {
+    return res.status(403).json({ error: 'You can only edit your own comments.' });
+  }
+
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ error: 'A comment cannot be empty.' });
+  }
+
+  comment.text = text;
+  comment.editedAt = new Date();
+  // an account still under review can't edit an approved comment past the moderators
+  const user = await repos.users.findById(req.session.user.id);
+  if (comment.status === 'approved' && user && await repos.comments.needsReview(user, { except: comment._id })) {
+    comment.status = 'pending';
+  }
+  try {
+    await repos.comments.save(comment);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Comments can be at most 5000 characters.' });
+    }
+    throw err;
+  }
+  res.json({ ...toClient(comment, req.session.user), replies: [] });
+});
+
+router.delete('/api/comments/:id', requireUser, async (req, res) => {
+  const comment = isObjectId(req.params.id) ? await repos.comments.findById(req.params.id) : null;
+  if (!comment || comment.deletedAt) {
+    return res.status(404).json({ error: 'Comment not found.' });
+  }
+  if (!comment.canDelete(req.session.user)) {
+    return res.status(403).json({ error: 'You can only delete your own comments.' });
+  }
+
+  // keep a placeholder while others have replied underneath
+  if (await repos.comments.exists({ parent: comment._id })) {
+    comment.deletedAt = new Date();
+    comment.text = '';
+    await repos.comments.save(comment);
+  } else {
+    await repos.comments.remove(comment);
+  }
+  res.status(204).end();
+});
+
+// ---- Moderation (admins only) ----
+
+router.use('/admin/comments', requireRole('admin'));
+router.use('/admin/users', requireRole('admin'));
+
+// After a moderation action: JSON for fetch(), otherwise a notice and back to the queue
+function moderated(req, res, body, notice) {
+  if (wantsJson(req)) return res.json(body);
+  req.flash('success', notice);
+  const returnStatus = req.body && req.body.returnStatus;
+  const status = Comment.STATUSES.includes(returnStatus) ? returnStatus : 'pending';
+  res.redirect(`/admin/comments?status=${status}`);
+}
+
+router.get('/admin/comments', async (req, res) => {
+  const status = Comment.STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+  const comments = await repos.comments.find({ status, deletedAt: null })
+    .sort({ createdAt: status === 'pending' ? 1 : -1 })
+    .limit(100)
+    .populate('article', 'title slug')
+    .populate('user', 'email name bannedAt createdAt');
+
+  res.render('partials/layout', {
+    pageTitle: 'Moderate Comments',
+    page: 'admin-comments',
+    comments,
+    status,
+    statuses: Comment.STATUSES
+  });
+});
+
+['approve', 'hide'].forEach(action => {
+  const status = action === 'approve' ? 'approved' : 'hidden';
+  router.post(`/admin/comments/:id/${action}`, async (req, res) => {
+    const comment = isObjectId(req.params.id) ? await repos.comments.findById(req.params.id) : null;
+    if (!comment) {
+      return wantsJson(req) ? res.status(404).json({ error: 'Comment not found.' }) : renderNotFound(res);
+    }
+
+    const previousStatus = comment.status;
+    if (previousStatus !== status) {
+      comment.status = status;
+      await repos.comments.save(comment);
+      events.emit('comment.moderated', { comment, previousStatus });
+      if (previousStatus === 'pending' && status === 'approved') {
+        const article = await repos.articles.findById(comment.article);
+        if (article) events.emit('comment.created', { comment, article });
+      }
+    }
+    moderated(req, res, { id: comment._id, status: comment.status }, `Comment ${status}.`);
+  });
+});
+
+// Banning also takes down everything the account has posted; unbanning does not bring it back
+router.post('/admin/users/:id/ban', async (req, res) => {
+  const user = isObjectId(req.params.id)
+    ? await repos.users.findOneAndUpdate({ _id: req.params.id }, { bannedAt: new Date() }, { new: true })
+    : null;
+  if (!user) {
+    return wantsJson(req) ? res.status(404).json({ error: 'User not found.' }) : renderNotFound(res);
+  }
+  const { modifiedCount } = await repos.comments.updateMany({ user: user._id, status: { $ne: 'hidden' } }, { status: 'hidden' });
+  events.emit('user.banned', { user, hiddenComments: modifiedCount });
+  moderated(req, res, { id: user._id, bannedAt: user.bannedAt, hiddenComments: modifiedCount },
+    `Banned ${user.name || user.email} and hid ${modifiedCount} comment${modifiedCount === 1 ? '' : 's'}.`);
+});
+
+router.post('/admin/users/:id/unban', async (req, res) => {
+  const user = isObjectId(req.params.id)
+    ? await repos.users.findOneAndUpdate({ _id: req.params.id }, { bannedAt: null }, { new: true })
+    : null;
+  if (!user) {
+    return wantsJson(req) ? res.status(404).json({ error: 'User not found.' }) : renderNotFound(res);
+  }
+  events.emit('user.unbanned', { user });
+  moderated(req, res, { id: user._id, bannedAt: null }, `Unbanned ${user.name || user.email}.`);
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// routes/featured.js
+// Today's featured piece as JSON, and the editors' screen for scheduling it
+const express = require('express');
+
+const Article = require('../models/Article');
+const Feature = require('../models/Feature');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { featuredOn, toFeatured } = require('../lib/featured');
+const { fieldErrors } = require('../lib/validation');
+const { renderNotFound } = require('../lib/pages');
+const { requireRole, EDITOR_ROLES } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PAST_SHOWN = 10;
+const ARTICLE_CHOICES = 300;   // most recent live articles offered in the picker
+
+const dateOnly = date => (date ? date.toISOString().slice(0, 10) : '');
+
+router.get('/api/featured/today', async (req, res) => {
+  res.json({ date: dateOnly(Feature.dayOf()), featured: await featuredOn() });
+});
+
+// ---- Editors: schedule picks ----
+
+router.use('/admin/featured', requireRole(...EDITOR_ROLES));
+
+// What can be featured, grouped for the <select>: "article:<id>" / "book:<id>"
+async function itemChoices() {
+  const [articles, books] = await Promise.all([
+    repos.articles.find(Article.liveFilter()).sort({ publishedAt: -1 }).limit(ARTICLE_CHOICES).select('title author tags isAnonymous'),
+    repos.books.find().sort({ title: 1 }).select('title')
+  ]);
+  const groups = { Poems: [], Stories: [], Articles: [], Books: [] };
+  articles.forEach(a => {
+    const group = a.tags.includes('Poem') ? 'Poems' : a.tags.includes('Story') ? 'Stories' : 'Articles';
+    const by = a.isAnonymous ? '' : a.author ? ` — ${a.author}` : '';
+    groups[group].push({ value: `article:${a._id}`, label: `${a.title}${by}` });
+  });
+  books.forEach(b => groups.Books.push({ value: `book:${b._id}`, label: b.title }));
+  return Object.entries(groups).filter(([, items]) => items.length);
+}
+
+async function renderAdminFeatured(res, locals = {}) {
+  const today = Feature.dayOf();
+  const [upcoming, past, choices, current] = await Promise.all([
+    repos.features.find({ endsOn: { $gte: today } }).sort({ startsOn: 1 }).populate('article').populate('book'),
+    repos.features.find({ endsOn: { $lt: today } }).sort({ endsOn: -1 }).limit(PAST_SHOWN).populate('article').populate('book'),
+    itemChoices(),
+    featuredOn()
+  ]);
+  const describe = feature => ({
+    id: String(feature._id),
+    startsOn: dateOnly(feature.startsOn),
+    endsOn: dateOnly(feature.endsOn),
+    note: feature.note,
+    // the piece may have been deleted since
+    item: feature[feature.kind] ? toFeatured(feature.kind, feature[feature.kind], { source: 'scheduled' }) : null
+  });
+
+  res.render('partials/layout', {
+    pageTitle: 'Featured Pieces',
+    page: 'admin-featured',
+    current,
+    upcoming: upcoming.map(describe),
+    past: past.map(describe),
+    choices,
+    today: dateOnly(today),
+    values: {},
+    fieldErrors: {},
+    ...locals
+  });
+}
+
+router.get('/admin/featured', async (req, res) => {
+  await renderAdminFeatured(res);
+});
+
+router.post('/admin/featured', async (req, res) => {
+  const { item = '', startsOn, endsOn, note } = req.body;
+  const [kind, id] = String(item).split(':');
+  const collection = kind === 'book' ? repos.books : repos.articles;
+  const picked = Feature.KINDS.includes(kind) && isObjectId(id) ? await collection.findById(id).select('title') : null;
+
+  const feature = new Feature({
+    kind: Feature.KINDS.includes(kind) ? kind : undefined,
+    [kind === 'book' ? 'book' : 'article']: picked ? picked._id : null,
+    startsOn: startsOn || undefined,
+    endsOn: endsOn || startsOn || undefined,
+    note,
+    createdBy: req.session.user.id
+  });
+
+  try {
+    await repos.features.save(feature);
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) throw err;
+    if (errors.kind) errors.item = errors.item || errors.kind;
+    return renderAdminFeatured(res.status(400), { values: { item, startsOn, endsOn, note }, fieldErrors: errors });
+  }
+
+  req.flash('success', `Scheduled "${picked.title}" for ${dateOnly(feature.startsOn)} to ${dateOnly(feature.endsOn)}.`);
+  res.redirect('/admin/featured');
+});
+
+router.post('/admin/featured/:id/delete', async (req, res) => {
+  const feature = isObjectId(req.params.id) ? await repos.features.findById(req.params.id) : null;
+  if (!feature) {
+    return renderNotFound(res);
+  }
+  await repos.features.remove(feature);
+  req.flash('success', 'Removed that schedule.');
+  res.redirect('/admin/featured');
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// routes/feeds.js
+// Syndication feeds of live articles, newest first:
+//   /feed.xml (RSS 2.0), /atom.xml (Atom), /feed.json (JSON Feed 1.1)
+//   /tags/<slug>/feed.xml ...      only pieces with that tag
+//   /authors/<user id>/feed.xml ... only pieces written under that account
+//   (by account, like author follows: anyone can type someone else's byline)
+// Feed readers poll, so every response carries ETag + Last-Modified and a
+// matching If-None-Match / If-Modified-Since gets a 304 without a body.
+const express = require('express');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const slugify = require('../lib/slugify');
+const { listArticles } = require('../lib/articleQuery');
+const { authorToFollow } = require('../lib/follows');
+const { renderNotFound } = require('../lib/pages');
+const { siteUrl } = require('../lib/urls');
+const { renderFeed, feedEtag, feedUpdated, FORMATS, SITE_TITLE, SITE_DESCRIPTION } = require('../lib/feeds');
+
+const router = express.Router();
+
+const FEED_SIZE = 20;
+
+// scope(req) resolves to { filter: listArticles options, label: what the title
+// adds }, or null when there is no such feed
+function sendFeed(format, scope) {
+  return async (req, res) => {
+    const scoped = await scope(req);
+    if (!scoped) return renderNotFound(res);
+    const { filter, label } = scoped;
+    const base = siteUrl(req);
+    const { items: articles } = await listArticles({ ...filter, limit: FEED_SIZE });
+
+    const title = label ? `${SITE_TITLE} — ${label}` : SITE_TITLE;
+
+    const feed = {
+      title,
+      description: SITE_DESCRIPTION,
+      siteUrl: base,
+      homeUrl: `${base}/articles`,
+      feedUrl: base + req.originalUrl.split('?')[0],
+      articles
+    };
+
+    const updated = feedUpdated(articles);
+    res.set('ETag', feedEtag(format, feed));
+    if (updated) res.set('Last-Modified', updated.toUTCString());
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type(FORMATS[format].type);
+
+    // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.send(renderFeed(format, feed));
+  };
+}
+
+// Older links used the tag's name ("/tags/Poem/feed.xml"); its slug finds the same tag
+async function tagScope(req) {
+  const tag = await repos.tags.findBySlug(slugify(req.params.tag));
+  const name = tag ? tag.name : req.params.tag;
+  return { filter: { tag: name }, label: name };
+}
+
+// Titled with the byline of the writer's latest piece (untitled while they have none live)
+async function authorScope(req) {
+  const { userId } = req.params;
+  if (!isObjectId(userId)) return null;
+  const author = await authorToFollow(userId);
+  return { filter: { writer: userId }, label: author ? author.name : '' };
+}
+
+const scopes = {
+  '': () => ({ filter: {} }),
+  '/tags/:tag': tagScope,
+  '/authors/:userId': authorScope
+};
+
+Object.entries(scopes).forEach(([prefix, scope]) => {
+  Object.entries(FORMATS).forEach(([format, { file }]) => {
+    router.get(`${prefix}/${file}`, sendFeed(format, scope));
+  });
+});
+
+module.exports = router;
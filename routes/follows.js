@@ -0,0 +1,128 @@
+// routes/follows.js
+// Following authors and tags: the JSON API behind every Follow button, and the
+// personal /following feed of new pieces from them. Buttons name what they
+// follow by key: the writer's account id for an author, the name for a tag.
+const express = require('express');
+
+const Follow = require('../models/Follow');
+const repos = require('../repositories');
+const { listArticles, articleCard, QueryError } = require('../lib/articleQuery');
+const { withCommentCounts } = require('../lib/comments');
+const { followStates, withFollowInfo, authorToFollow } = require('../lib/follows');
+const events = require('../lib/events');
+const { fieldErrors } = require('../lib/validation');
+const { requireUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+const FEED_LIMIT = 12;
+
+// One page of the reader's feed, in the card shape /api/articles uses
+async function followingPage(sessionUser, cursor) {
+  const follows = await repos.follows.followedBy(sessionUser.id);
+  const page = await listArticles({ follows, limit: FEED_LIMIT, ...(cursor && { cursor }) });
+  return {
+    follows,
+    items: (await withFollowInfo(await withCommentCounts(page.items), sessionUser)).map(articleCard),
+    nextCursor: page.nextCursor
+  };
+}
+
+async function followState(sessionUser, kind, target) {
+  const [state] = await followStates(sessionUser, kind, [target]);
+  return state;
+}
+
+router.get('/following', requireUser, async (req, res) => {
+  const { follows, items, nextCursor } = await followingPage(req.session.user);
+  const [authors, tags] = await Promise.all([
+    followStates(req.session.user, 'author', follows.authors),
+    followStates(req.session.user, 'tag', follows.tags)
+  ]);
+
+  res.render('partials/layout', {
+    pageTitle: 'Following',
+    page: 'following',
+    authors,
+    tags,
+    articles: items,
+    nextCursor
+  });
+});
+
+// More of the feed, with the same cursors as /api/articles
+router.get('/api/following', requireUser, async (req, res) => {
+  const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : '';
+  try {
+    const { items, nextCursor } = await followingPage(req.session.user, cursor);
+    res.json({ items, nextCursor });
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+});
+
+router.get('/api/follows', requireUser, async (req, res) => {
+  const follows = await repos.follows.followedBy(req.session.user.id);
+  const [authors, tags] = await Promise.all([
+    followStates(req.session.user, 'author', follows.authors),
+    followStates(req.session.user, 'tag', follows.tags)
+  ]);
+  res.json({ authors, tags });
+});
+
+// Follow an author ({ kind: 'author', key: <account id> }) or a tag
+// ({ kind: 'tag', key: <name> }, or name); following it again is not an error
+router.post('/api/follows', requireUser, async (req, res) => {
+  const { kind } = req.body || {};
+  if (!Follow.KINDS.includes(kind)) {
+    return res.status(400).json({ error: '"kind" must be "author" or "tag".' });
+  }
+
+  let fields;
+  if (kind === 'author') {
+    const author = await authorToFollow(req.body.key);
+    if (!author) {
+      return res.status(404).json({ error: 'There is no such author to follow.' });
+    }
+    fields = { author: author.id, name: author.name };
+  } else {
+    const name = req.body.key !== undefined ? req.body.key : req.body.name;
+    fields = { name: typeof name === 'string' ? name : '' };
+  }
+
+  const userId = req.session.user.id;
+  const key = kind === 'author' ? fields.author : Follow.keyFor(fields.name);
+  const existing = await repos.follows.findOne({ user: userId, kind, key });
+  if (!existing) {
+    try {
+      const follow = await repos.follows.create({ user: userId, kind, ...fields });
+      events.emit('follow.created', { follow, follower: req.session.user });
+    } catch (err) {
+      const errors = fieldErrors(err);
+      if (errors) return res.status(400).json({ error: Object.values(errors)[0], fields: errors });
+      // a double click can race to the unique index; the follow exists either way
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  const target = kind === 'author' ? { id: fields.author, name: fields.name } : (existing ? existing.name : fields.name.trim());
+  res.status(existing ? 200 : 201).json(await followState(req.session.user, kind, target));
+});
+
+router.delete('/api/follows/:kind/:key', requireUser, async (req, res) => {
+  const { kind, key } = req.params;
+  if (!Follow.KINDS.includes(kind)) {
+    return res.status(404).json({ error: 'Not following that.' });
+  }
+  const filter = { user: req.session.user.id, kind, key: Follow.keyFor(key) };
+  const existing = await repos.follows.findOne(filter);
+  await repos.follows.deleteOne(filter);
+
+  const name = existing ? existing.name : (kind === 'tag' ? key : '');
+  res.json(await followState(req.session.user, kind, kind === 'author' ? { id: key, name } : name));
+});
+
+module.exports = router;
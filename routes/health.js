@@ -0,0 +1,35 @@
+// routes/health.js
+// Probes for load balancers and orchestrators, mounted ahead of sessions, CSRF
+// and rate limits so polling them never creates a session:
+//   /healthz  the process is up and answering (always 200)
+//   /readyz   it can serve pages: storage is connected and it isn't shutting
+//             down (503 otherwise, so traffic goes elsewhere)
+// Both report which storage driver is in use and whether it is connected.
+const express = require('express');
+const repos = require('../repositories');
+
+const router = express.Router();
+
+function storageStatus() {
+  const { driver } = repos;
+  return { driver: driver.name, connected: driver.isConnected() };
+}
+
+router.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()), storage: storageStatus() });
+});
+
+router.get('/readyz', (req, res) => {
+  const storage = storageStatus();
+  // set by server.js once a shutdown has begun
+  const stopping = Boolean(req.app.get('shuttingDown'));
+  let status = 'ready';
+  if (stopping) status = 'shutting down';
+  else if (!storage.connected) status = 'storage unavailable';
+
+  res.set('Cache-Control', 'no-store');
+  res.status(status === 'ready' ? 200 : 503).json({ status, storage });
+});
+
+module.exports = router;
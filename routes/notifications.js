@@ -0,0 +1,81 @@
+// routes/notifications.js
+// The notifications inbox (the bell in the nav bar links here). Notifications
+// themselves are created by lib/notifications.js; preferences live on /account.
+const express = require('express');
+
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { requireUser, wantsJson, safeReturnTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+const INBOX_LIMIT = 50;
+
+function toClient(notification) {
+  return {
+    id: notification._id,
+    type: notification.type,
+    message: notification.message,
+    url: notification.url,
+    read: !!notification.readAt,
+    createdAt: notification.createdAt
+  };
+}
+
+async function inbox(userId) {
+  const [notifications, unreadCount] = await Promise.all([
+    repos.notifications.find({ user: userId }).sort({ createdAt: -1 }).limit(INBOX_LIMIT),
+    repos.notifications.unreadCount(userId)
+  ]);
+  return { notifications, unreadCount };
+}
+
+// After marking read: the new unread count for fetch(), otherwise back to the inbox
+async function markedRead(req, res) {
+  if (wantsJson(req)) {
+    return res.json({ unreadCount: await repos.notifications.unreadCount(req.session.user.id) });
+  }
+  res.redirect('/notifications');
+}
+
+router.get('/notifications', requireUser, async (req, res) => {
+  const { notifications, unreadCount } = await inbox(req.session.user.id);
+  res.render('partials/layout', {
+    pageTitle: 'Notifications',
+    page: 'notifications',
+    notifications,
+    unreadCount
+  });
+});
+
+router.get('/api/notifications', requireUser, async (req, res) => {
+  const { notifications, unreadCount } = await inbox(req.session.user.id);
+  res.json({ items: notifications.map(toClient), unreadCount });
+});
+
+router.post('/notifications/read-all', requireUser, async (req, res) => {
+  const count = await repos.notifications.markRead(req.session.user.id);
+  if (!wantsJson(req) && count) req.flash('success', `Marked ${count} notification${count === 1 ? '' : 's'} as read.`);
+  await markedRead(req, res);
+});
+
+// Mark one read; with ?open=1 (the notification's own link) go on to what it is about
+router.post('/notifications/:id/read', requireUser, async (req, res) => {
+  const notification = isObjectId(req.params.id)
+    ? await repos.notifications.findOne({ _id: req.params.id, user: req.session.user.id })
+    : null;
+  if (!notification) {
+    return wantsJson(req)
+      ? res.status(404).json({ error: 'Notification not found.' })
+      : res.redirect('/notifications');
+  }
+
+  await repos.notifications.markRead(req.session.user.id, [notification._id]);
+  const target = safeReturnTo(notification.url);
+  if (!wantsJson(req) && req.query.open && target) {
+    return res.redirect(target);
+  }
+  await markedRead(req, res);
+});
+
+module.exports = router;
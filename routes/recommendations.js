@@ -0,0 +1,35 @@
+// routes/recommendations.js
+// JSON recommendations for one article or book (see lib/recommendations.js)
+const express = require('express');
+
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { recommendationsFor, TYPES } = require('../lib/recommendations');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 20;
+
+// GET /api/recommendations/article/<id or slug>?limit=4, /api/recommendations/book/<id>
+router.get('/api/recommendations/:type/:id', async (req, res) => {
+  const { type } = req.params;
+  if (!TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Recommendations are for articles and books.' });
+  }
+
+  let { id } = req.params;
+  if (type === 'article' && !isObjectId(id)) {
+    const article = await repos.articles.findOne({ slug: id }).select('_id');
+    id = article ? String(article._id) : '';
+  }
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+
+  const items = isObjectId(id) ? await recommendationsFor(type, id, { limit }) : null;
+  if (!items) {
+    return res.status(404).json({ error: `No ${type} with that id.` });
+  }
+  res.json({ type, id, items });
+});
+
+module.exports = router;
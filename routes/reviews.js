@@ -0,0 +1,107 @@
+// routes/reviews.js
+// JSON API for book reviews and book suggestions (used by renderBooksPage)
+const express = require('express');
+
+const Review = require('../models/Review');
+const BookSuggestion = require('../models/BookSuggestion');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { requireUser } = require('../middleware/auth');
+const { displayName } = require('../lib/viewHelpers');
+
+const router = express.Router();
+
+// Shape sent to the browser: never expose other users' ids, just whether it's yours
+function toClient(doc, sessionUser) {
+  return {
+    id: doc._id,
+    text: doc.text,
+    author: doc.authorName,
+    createdAt: doc.createdAt,
+    mine: !!sessionUser && String(doc.user) === String(sessionUser.id)
+  };
+}
+
+// The posted text, trimmed, or an error message fit for the 400
+function readText(body, Model, emptyMessage) {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!text) return { error: emptyMessage };
+  const max = Model.schema.path('text').options.maxlength;
+  if (text.length > max) return { error: `Please keep it under ${max} characters.` };
+  return { text };
+}
+
+// ---- Reviews ----
+
+router.get('/books/:bookId/reviews', async (req, res) => {
+  const reviews = await repos.reviews.find({ bookId: req.params.bookId }).sort({ createdAt: -1 });
+  res.json(reviews.map(r => toClient(r, req.session.user)));
+});
+
+router.post('/books/:bookId/reviews', requireUser, async (req, res) => {
+  const { text, error } = readText(req.body, Review, 'Please write a short review before posting.');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const book = isObjectId(req.params.bookId) ? await repos.books.exists({ _id: req.params.bookId }) : null;
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found.' });
+  }
+
+  const review = await repos.reviews.create({
+    bookId: req.params.bookId,
+    user: req.session.user.id,
+    authorName: displayName(req.session.user),
+    text
+  });
+  res.status(201).json(toClient(review, req.session.user));
+});
+
+router.delete('/reviews/:id', requireUser, async (req, res) => {
+  const review = isObjectId(req.params.id) ? await repos.reviews.findById(req.params.id) : null;
+  if (!review) {
+    return res.status(404).json({ error: 'Review not found.' });
+  }
+  if (String(review.user) !== String(req.session.user.id)) {
+    return res.status(403).json({ error: 'You can only delete your own reviews.' });
+  }
+
+  await repos.reviews.remove(review);
+  res.status(204).end();
+});
+
+// ---- Suggestions ----
+
+router.get('/suggestions', async (req, res) => {
+  const suggestions = await repos.bookSuggestions.find().sort({ createdAt: -1 });
+  res.json(suggestions.map(s => toClient(s, req.session.user)));
+});
+
+router.post('/suggestions', requireUser, async (req, res) => {
+  const { text, error } = readText(req.body, BookSuggestion, 'Please type a book title to suggest.');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const suggestion = await repos.bookSuggestions.create({
+    text,
+    user: req.session.user.id,
+    authorName: displayName(req.session.user)
+  });
+  res.status(201).json(toClient(suggestion, req.session.user));
+});
+
+router.delete('/suggestions/:id', requireUser, async (req, res) => {
+  const suggestion = isObjectId(req.params.id) ? await repos.bookSuggestions.findById(req.params.id) : null;
+  if (!suggestion) {
+    return res.status(404).json({ error: 'Suggestion not found.' });
+  }
+  if (String(suggestion.user) !== String(req.session.user.id)) {
+    return res.status(403).json({ error: 'You can only delete your own suggestions.' });
+  }
+
+  await repos.bookSuggestions.remove(suggestion);
+  res.status(204).end();
+});
+
+module.exports = router;
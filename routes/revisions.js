@@ -0,0 +1,108 @@
+// routes/revisions.js
+// Revision history: /write/:id/history for articles (whoever may edit them)
+// and /admin/books/:id/history for books (editors). Each shows a word diff
+// between any two revisions and can restore an old one.
+const express = require('express');
+
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { ensureRecorded, restoreRevision, diffRevisions, LABELS } = require('../lib/revisions');
+const { fieldErrors } = require('../lib/validation');
+const { renderNotFound, renderError } = require('../lib/pages');
+const { requireUser, requireRole, EDITOR_ROLES } = require('../middleware/auth');
+const events = require('../lib/events');
+
+const router = express.Router();
+
+// Per kind: where its history lives and how to load what it belongs to
+const KINDS = {
+  article: {
+    base: '/write',
+    guard: requireUser,
+    backUrl: doc => `/write/${doc._id}`,
+    async load(req, res) {
+      const article = isObjectId(req.params.id) ? await repos.articles.findById(req.params.id) : null;
+      if (!article) {
+        renderNotFound(res);
+        return null;
+      }
+      if (!article.canEdit(req.session.user)) {
+        renderError(res, 403, 'Not allowed', 'Only the writer of this piece (or an admin) can see its history.');
+        return null;
+      }
+      return article;
+    }
+  },
+  book: {
+    base: '/admin/books',
+    guard: requireRole(...EDITOR_ROLES),
+    backUrl: () => '/admin/books',
+    async load(req, res) {
+      const book = isObjectId(req.params.id) ? await repos.books.findById(req.params.id) : null;
+      if (!book) renderNotFound(res);
+      return book;
+    }
+  }
+};
+
+function parseNumber(value) {
+  const n = parseInt(value, 10);
+  return n > 0 ? n : null;
+}
+
+Object.entries(KINDS).forEach(([kind, { base, guard, backUrl, load }]) => {
+  const historyUrl = doc => `${base}/${doc._id}/history`;
+
+  router.get(`${base}/:id/history`, guard, async (req, res) => {
+    const doc = await load(req, res);
+    if (!doc) return;
+
+    await ensureRecorded(kind, doc);
+    const revisions = await repos.revisions.historyOf(kind, doc._id);
+
+    // ?from=2&to=5; by default the latest change against the one before it
+    const byNumber = new Map(revisions.map(r => [r.number, r]));
+    const to = byNumber.get(parseNumber(req.query.to)) || revisions[0];
+    const from = byNumber.get(parseNumber(req.query.from)) ||
+      revisions.find(r => r.number < to.number) || to;
+
+    res.render('partials/layout', {
+      pageTitle: `History: ${doc.title || 'Untitled'}`,
+      page: 'history',
+      kind,
+      doc,
+      revisions,
+      from,
+      to,
+      diff: diffRevisions(kind, from, to),
+      labels: LABELS,
+      historyUrl: historyUrl(doc),
+      backUrl: backUrl(doc)
+    });
+  });
+
+  router.post(`${base}/:id/history/:number/restore`, guard, async (req, res) => {
+    const doc = await load(req, res);
+    if (!doc) return;
+
+    const revision = await repos.revisions.findOne({ kind, doc: doc._id, number: parseNumber(req.params.number) });
+    if (!revision) {
+      return renderNotFound(res);
+    }
+
+    try {
+      await restoreRevision(kind, doc, revision, req.session.user);
+    } catch (err) {
+      const errors = fieldErrors(err);
+      if (!errors) throw err;
+      req.flash('error', `Revision ${revision.number} can't be restored as it is: ${Object.values(errors)[0]}`);
+      return res.redirect(historyUrl(doc));
+    }
+
+    events.emit(`${kind}.saved`, { [kind]: doc });
+    req.flash('success', `Restored revision ${revision.number}.`);
+    res.redirect(historyUrl(doc));
+  });
+});
+
+module.exports = router;
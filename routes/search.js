@@ -0,0 +1,30 @@
+// routes/search.js
+// Site-wide search: /search (results page) and /api/search (JSON)
+const express = require('express');
+const { search, TYPES } = require('../lib/search');
+
+const router = express.Router();
+
+function searchOptions(query) {
+  return { type: query.type, page: query.page, limit: query.limit };
+}
+
+router.get('/api/search', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+  res.json(await search(q, searchOptions(req.query)));
+});
+
+router.get('/search', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+  const results = await search(q, searchOptions(req.query));
+
+  res.render('partials/layout', {
+    pageTitle: q ? `Search: ${q}` : 'Search',
+    page: 'search',
+    searchQuery: q,
+    search: results,
+    searchTypes: TYPES
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// routes/shelf.js
+// Personal bookshelves: the "My Shelf" page and the JSON API behind the shelf
+// controls on each book card (renderBooksPage / renderShelf in bundle.js)
+const express = require('express');
+
+const ShelfEntry = require('../models/ShelfEntry');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { toClient, withShelfInfo } = require('../lib/shelf');
+const { fieldErrors } = require('../lib/validation');
+const { requireUser } = require('../middleware/auth');
+const events = require('../lib/events');
+
+const router = express.Router();
+
+// The reader's books, most recently touched first, in the same shape as /books
+async function shelfBooks(sessionUser) {
+  const entries = await repos.shelfEntries.find({ user: sessionUser.id }).sort({ updatedAt: -1 }).populate('book');
+  // a book deleted by an editor leaves nothing to show
+  return withShelfInfo(entries.map(e => e.book).filter(Boolean), sessionUser);
+}
+
+// Only the fields the request sent; '' and null clear the optional ones
+function shelfFields(body) {
+  const fields = {};
+  ['status', 'progressUnit'].forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name];
+  });
+  ['progress', 'totalPages', 'rating', 'startedAt', 'finishedAt'].forEach(name => {
+    if (body[name] === undefined) return;
+    const empty = body[name] === null || body[name] === '';
+    fields[name] = empty ? (name === 'progress' ? 0 : null) : body[name];
+  });
+  return fields;
+}
+
+async function bookStats(bookId) {
+  const stats = await repos.shelfEntries.statsFor([bookId]);
+  return stats.get(String(bookId)) || { readers: 0, ratingCount: 0, averageRating: null };
+}
+
+router.get('/shelf', requireUser, async (req, res) => {
+  res.render('partials/layout', {
+    pageTitle: 'My Shelf',
+    page: 'shelf',
+    books: await shelfBooks(req.session.user)
+  });
+});
+
+router.get('/api/shelf', requireUser, async (req, res) => {
+  res.json(await shelfBooks(req.session.user));
+});
+
+// Put a book on a shelf, or update progress / rating / dates for it
+router.put('/api/books/:id/shelf', requireUser, async (req, res) => {
+  const book = isObjectId(req.params.id) ? await repos.books.findById(req.params.id).select('_id') : null;
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found.' });
+  }
+
+  const entry = await repos.shelfEntries.findOne({ user: req.session.user.id, book: book._id }) ||
+    new ShelfEntry({ user: req.session.user.id, book: book._id });
+  entry.set(shelfFields(req.body || {}));
+  const added = entry.isNew;
+
+  try {
+    await repos.shelfEntries.save(entry);
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) throw err;
+    return res.status(400).json({ error: Object.values(errors)[0], fields: errors });
+  }
+  // progress and ratings don't change who shelved what, so only new entries count
+  if (added) events.emit('shelf.changed', { entry });
+
+  res.json({ shelf: toClient(entry), stats: await bookStats(book._id) });
+});
+
+// Take a book off the reader's shelves (its rating goes with it)
+router.delete('/api/books/:id/shelf', requireUser, async (req, res) => {
+  if (!isObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Book not found.' });
+  }
+  const { deletedCount } = await repos.shelfEntries.deleteOne({ user: req.session.user.id, book: req.params.id });
+  if (deletedCount) events.emit('shelf.changed', { entry: null });
+  res.json({ shelf: null, stats: await bookStats(req.params.id) });
+});
+
+module.exports = router;
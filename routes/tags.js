@@ -0,0 +1,118 @@
+// routes/tags.js
+// Tag pages (/tags and /tags/:slug), tag autocomplete for /write, and the
+// admin screen for renaming and merging tags
+const express = require('express');
+
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const escapeRegExp = require('../lib/escapeRegExp');
+const { listArticles, articleCard } = require('../lib/articleQuery');
+const { withCommentCounts } = require('../lib/comments');
+const { followStates, withFollowInfo } = require('../lib/follows');
+const { tagCounts, renameTag, mergeTags, TagError } = require('../lib/tags');
+const { renderNotFound } = require('../lib/pages');
+const { requireRole } = require('../middleware/auth');
+const slugify = require('../lib/slugify');
+
+const router = express.Router();
+
+const SUGGESTION_LIMIT = 10;
+
+router.get('/tags', async (req, res) => {
+  res.render('partials/layout', { pageTitle: 'Tags', page: 'tags', tags: await tagCounts() });
+});
+
+router.get('/tags/:slug', async (req, res) => {
+  // old links may use a former slug, or the tag's name ("/tags/Poem")
+  const tag = await repos.tags.findBySlug(slugify(req.params.slug));
+  if (!tag) {
+    return renderNotFound(res);
+  }
+  if (req.params.slug !== tag.slug) {
+    return res.redirect(301, tag.url);
+  }
+
+  const [page, [follow]] = await Promise.all([
+    listArticles({ tag: tag.name }),
+    followStates(req.session.user, 'tag', [tag.name])
+  ]);
+
+  res.render('partials/layout', {
+    pageTitle: tag.name,
+    page: 'tag',
+    tag,
+    follow,
+    articles: (await withFollowInfo(await withCommentCounts(page.items), req.session.user)).map(articleCard),
+    nextCursor: page.nextCursor
+  });
+});
+
+// Autocomplete for the tags field: names starting with ?q=, or the most used ones
+router.get('/api/tags', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.json(await tagCounts({ limit: SUGGESTION_LIMIT }));
+  }
+  const tags = await repos.tags.find({ name: new RegExp(`^${escapeRegExp(q)}`, 'i') })
+    .sort({ name: 1 })
+    .limit(SUGGESTION_LIMIT);
+  res.json(tags.map(tag => ({ name: tag.name, slug: tag.slug, url: tag.url })));
+});
+
+// ---- Admin: rename and merge ----
+
+router.use('/admin/tags', requireRole('admin'));
+
+router.get('/admin/tags', async (req, res) => {
+  const [tags, counts] = await Promise.all([repos.tags.find().sort({ name: 1 }), tagCounts()]);
+  const countByName = new Map(counts.map(c => [c.name, c.count]));
+  res.render('partials/layout', {
+    pageTitle: 'Manage Tags',
+    page: 'admin-tags',
+    tags: tags.map(tag => ({ tag, count: countByName.get(tag.name) || 0 }))
+  });
+});
+
+async function findTag(id) {
+  return isObjectId(id) ? repos.tags.findById(id) : null;
+}
+
+router.post('/admin/tags/:id/rename', async (req, res) => {
+  const tag = await findTag(req.params.id);
+  if (!tag) {
+    return renderNotFound(res);
+  }
+  const oldName = tag.name;
+  try {
+    await renameTag(tag, req.body.name);
+  } catch (err) {
+    if (!(err instanceof TagError)) throw err;
+    req.flash('error', err.message);
+    return res.redirect('/admin/tags');
+  }
+  req.flash('success', `Renamed "${oldName}" to "${tag.name}".`);
+  res.redirect('/admin/tags');
+});
+
+router.post('/admin/tags/:id/merge', async (req, res) => {
+  const [from, into] = await Promise.all([findTag(req.params.id), findTag(req.body.into)]);
+  if (!from) {
+    return renderNotFound(res);
+  }
+  if (!into) {
+    req.flash('error', 'Pick the tag to merge into.');
+    return res.redirect('/admin/tags');
+  }
+  let moved;
+  try {
+    moved = await mergeTags(from, into);
+  } catch (err) {
+    if (!(err instanceof TagError)) throw err;
+    req.flash('error', err.message);
+    return res.redirect('/admin/tags');
+  }
+  req.flash('success', `Merged "${from.name}" into "${into.name}" (${moved} article${moved === 1 ? '' : 's'} retagged).`);
+  res.redirect('/admin/tags');
+});
+
+module.exports = router;
@@ -0,0 +1,339 @@
+// routes/write.js
+// The Write page: new pieces, drafts + autosave, scheduling, editing and deleting
+const express = require('express');
+
+const Article = require('../models/Article');
+const Tag = require('../models/Tag');
+const repos = require('../repositories');
+const { isObjectId } = repos;
+const { requireUser } = require('../middleware/auth');
+const { rateLimit, userOrIp } = require('../middleware/rateLimit');
+const { renderNotFound, renderError } = require('../lib/pages');
+const { renderMarkdown } = require('../lib/markdown');
+const { fieldErrors } = require('../lib/validation');
+const { displayName } = require('../lib/viewHelpers');
+const { thumbUrlFor, releaseImages, ImageError } = require('../lib/images');
+const { storeUpload, discardUploads } = require('../middleware/upload');
+const { recordRevision, ensureRecorded } = require('../lib/revisions');
+const { deleteArticle } = require('../lib/deletion');
+const events = require('../lib/events');
+
+const router = express.Router();
+
+// New pieces per hour: anonymous writers share a small allowance per IP,
+// signed-in writers get more room per account
+const submitLimit = rateLimit({
+  name: 'write',
+  windowMs: 60 * 60 * 1000,
+  max: req => (req.session.user ? 30 : 5),
+  key: userOrIp,
+  message: 'That is a lot of new pieces in one hour.'
+});
+
+// Pull the editable fields out of a /write form post (or autosave JSON)
+function articleFields(body) {
+  const { title, tags, readTime, excerpt, content, coverImage } = body;
+  return {
+    title: title || '',
+    tags: Tag.parseList(tags),  // typed as "Poem, Nature"
+    readTime: readTime || '3 min read',
+    excerpt: excerpt || '',
+    content: content || '',
+    coverImage: coverImage || '',
+    coverThumb: thumbUrlFor(coverImage)
+  };
+}
+
+// An uploaded cover replaces whatever is in the URL field.
+// Resolves to an error message when the file was refused.
+async function takeCoverUpload(req) {
+  try {
+    const url = await storeUpload(req, 'coverUpload', 'article');
+    if (url) {
+      req.typedCoverImage = req.body.coverImage;
+      req.body.coverImage = url;
+    }
+    return null;
+  } catch (err) {
+    if (err instanceof ImageError) return err.message;
+    throw err;
+  }
+}
+
+// When the form is turned away after all, the uploaded cover isn't kept: the
+// URL field goes back to what was typed and the writer is asked for the file again.
+// Resolves to the field error to show, if anything was uploaded.
+async function dropCoverUpload(req) {
+  if (!(await discardUploads(req))) return {};
+  req.body.coverImage = req.typedCoverImage || '';
+  return { coverUpload: 'Choose the image again; it was not kept because the piece was not saved.' };
+}
+
+// Signed-in writers publish under their account (pen name allowed, else their
+// name, never their email); anonymous submissions are always shown as "Anonymous"
+function authorFields(body, sessionUser) {
+  if (!sessionUser) {
+    return { author: 'Anonymous', user: null };
+  }
+  const author = (body.author || '').trim() || displayName(sessionUser);
+  return { author, user: sessionUser.id };
+}
+
+// Which lifecycle state the form's submit button asked for:
+//   action=draft   -> keep it private
+//   action=archive -> take it off the site
+//   otherwise      -> publish now, or schedule it if publishAt is in the future
+// Anonymous writers have nowhere to come back to, so they can only publish.
+function lifecycleFields(body, sessionUser) {
+  if (!sessionUser) {
+    return { status: 'published', publishAt: null };
+  }
+
+  // publishAt is filled in as ISO by the page script; publishAtLocal is the raw input
+  let publishAt = new Date(body.publishAt || body.publishAtLocal || NaN);
+  if (isNaN(publishAt)) publishAt = null;
+
+  if (body.action === 'draft') return { status: 'draft', publishAt };
+  if (body.action === 'archive') return { status: 'archived' };
+  if (publishAt && publishAt > new Date()) return { status: 'scheduled', publishAt };
+  return { status: 'published', publishAt: null };
+}
+
+// After saving, tell the writer what happened and send them somewhere that shows it
+function redirectAfterSave(req, res, article) {
+  const messages = {
+    draft: 'Draft saved.',
+    scheduled: `Scheduled — it goes live ${article.publishAt && article.publishAt.toUTCString()}.`,
+    published: 'Published. Thanks for sharing your writing!',
+    archived: 'Archived. It is off the site but still in My Drafts.'
+  };
+  req.flash('success', messages[article.status]);
+
+  if (article.status === 'draft') return res.redirect(`/write/${article._id}`);
+  if (article.isLive()) return res.redirect(article.url);
+  res.redirect('/write/drafts');
+}
+
+// What the writer typed, to put back into the form when it has errors
+function formValues(body) {
+  const pick = name => (typeof body[name] === 'string' ? body[name] : '');
+  return {
+    title: pick('title'),
+    tags: pick('tags'),
+    author: pick('author'),
+    readTime: pick('readTime'),
+    excerpt: pick('excerpt'),
+    coverImage: pick('coverImage'),
+    content: pick('content'),
+    publishAt: pick('publishAt')
+  };
+}
+
+// The write page; `article` is the piece being edited (null for a new one)
+function renderWrite(res, locals) {
+  const { article } = locals;
+  res.render('partials/layout', {
+    pageTitle: article ? `Edit: ${article.title || 'Untitled draft'}` : 'Write',
+    page: 'write',
+    values: null,
+    fieldErrors: {},
+    formError: '',
+    ...locals
+  });
+}
+
+// Show article writing form
+router.get('/write', (req, res) => {
+  renderWrite(res, { article: null });
+});
+
+// Handle article submission (Create community article)
+router.post('/write', submitLimit, async (req, res) => {
+  // the hidden "website" field is only ever filled in by bots
+  if (req.body.website) {
+    return renderError(res, 400, 'Submission blocked',
+      'This submission looked automated, so it was not saved. If a form filler added a website, clear it and try again.');
+  }
+
+  const uploadError = await takeCoverUpload(req);
+  if (uploadError) {
+    return renderWrite(res.status(400), { article: null, values: formValues(req.body), fieldErrors: { coverUpload: uploadError } });
+  }
+
+  const fields = {
+    ...articleFields(req.body),
+    ...authorFields(req.body, req.session.user),
+    ...lifecycleFields(req.body, req.session.user)
+  };
+
+  const since = new Date(Date.now() - Article.DUPLICATE_WINDOW_MS);
+  if (fields.status !== 'draft' && await repos.articles.isDuplicateContent(fields.content, since)) {
+    const uploadErrors = await dropCoverUpload(req);
+    return renderWrite(res.status(409), {
+      article: null,
+      values: formValues(req.body),
+      fieldErrors: uploadErrors,
+      formError: 'A piece with exactly this text was already submitted recently, so this copy was not published.'
+    });
+  }
+
+  try {
+    const article = await repos.articles.create(fields);
+    await recordRevision('article', article, req.session.user);
+    events.emit('article.saved', { article });
+    redirectAfterSave(req, res, article);
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) {
+      await discardUploads(req);
+      throw err;
+    }
+    const uploadErrors = await dropCoverUpload(req);
+    renderWrite(res.status(400), { article: null, values: formValues(req.body), fieldErrors: { ...errors, ...uploadErrors } });
+  }
+});
+
+// "My drafts": everything of yours that isn't public right now
+router.get('/write/drafts', requireUser, async (req, res) => {
+  const drafts = await repos.articles.find({
+    user: req.session.user.id,
+    status: { $in: ['draft', 'scheduled', 'archived'] }
+  }).sort({ updatedAt: -1 });
+
+  res.render('partials/layout', {
+    pageTitle: 'My Drafts',
+    page: 'drafts',
+    drafts
+  });
+});
+
+// Load the article for /write/:id routes, answering 404/403 itself when it can't be used.
+// Returns null when a response has already been sent.
+async function findEditableArticle(req, res, permission) {
+  const article = isObjectId(req.params.id) ? await repos.articles.findById(req.params.id) : null;
+  if (!article) {
+    renderNotFound(res);
+    return null;
+  }
+  if (!article[permission](req.session.user)) {
+    renderError(res, 403, 'Not allowed', article.isAnonymous
+      ? 'Anonymous submissions can\'t be changed after publishing.'
+      : 'Only the writer of this piece (or an admin) can change it.');
+    return null;
+  }
+  return article;
+}
+
+// Edit form for an existing article (owner or admin)
+router.get('/write/:id', requireUser, async (req, res) => {
+  const article = await findEditableArticle(req, res, 'canEdit');
+  if (!article) return;
+
+  renderWrite(res, { article });
+});
+
+// UPDATE community article
+router.post('/write/:id', requireUser, async (req, res) => {
+  const article = await findEditableArticle(req, res, 'canEdit');
+  if (!article) return;
+
+  const uploadError = await takeCoverUpload(req);
+  if (uploadError) {
+    return renderWrite(res.status(400), { article, values: formValues(req.body), fieldErrors: { coverUpload: uploadError } });
+  }
+
+  const oldImages = [article.coverImage, article.coverThumb];
+  await ensureRecorded('article', article, req.session.user);
+  article.set({ ...articleFields(req.body), ...lifecycleFields(req.body, req.session.user) });
+  // An admin fixing someone else's piece must not take over its byline
+  if (String(article.user) === String(req.session.user.id)) {
+    article.author = (req.body.author || '').trim() || article.author;
+  }
+
+  try {
+    await repos.articles.save(article);
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) {
+      await discardUploads(req);
+      throw err;
+    }
+    const uploadErrors = await dropCoverUpload(req);
+    // show the form around the stored piece (status, dates), filled with what was typed
+    const stored = await repos.articles.findById(article._id);
+    return renderWrite(res.status(400), { article: stored, values: formValues(req.body), fieldErrors: { ...errors, ...uploadErrors } });
+  }
+
+  await recordRevision('article', article, req.session.user);
+  await releaseImages(oldImages);
+  events.emit('article.saved', { article });
+  redirectAfterSave(req, res, article);
+});
+
+// DELETE community article
+router.post('/write/:id/delete', requireUser, async (req, res) => {
+  const article = await findEditableArticle(req, res, 'canDelete');
+  if (!article) return;
+
+  await deleteArticle(article);
+
+  req.flash('success', `Deleted "${article.title || 'Untitled draft'}".`);
+  res.redirect(article.isLive() ? '/articles' : '/write/drafts');
+});
+
+// Live preview for the editor: same renderer + sanitizer as the reading view
+router.post('/api/preview', (req, res) => {
+  const content = typeof req.body.content === 'string' ? req.body.content : '';
+  res.json({ html: renderMarkdown(content, { tag: Tag.parseList(req.body.tags)[0] }) });
+});
+
+// ---- Autosave (JSON, called every few seconds by the write page) ----
+
+// First autosave of a new piece creates the draft
+router.post('/api/drafts', requireUser, submitLimit, async (req, res) => {
+  let article;
+  try {
+    article = await repos.articles.create({
+      ...articleFields(req.body),
+      ...authorFields(req.body, req.session.user),
+      status: 'draft'
+    });
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) throw err;
+    return res.status(400).json({ error: Object.values(errors)[0], fields: errors });
+  }
+  await recordRevision('article', article, req.session.user, { autosave: true });
+  res.status(201).json({ id: article._id, status: article.status, savedAt: article.updatedAt });
+});
+
+// Later autosaves update it. Only unpublished pieces autosave: changes to a live
+// piece should go out when the writer presses Save, not mid-sentence.
+router.put('/api/drafts/:id', requireUser, async (req, res) => {
+  const article = isObjectId(req.params.id) ? await repos.articles.findById(req.params.id) : null;
+  if (!article) {
+    return res.status(404).json({ error: 'Draft not found.' });
+  }
+  if (!article.canEdit(req.session.user)) {
+    return res.status(403).json({ error: 'You can only save your own drafts.' });
+  }
+  if (!['draft', 'scheduled'].includes(article.status)) {
+    return res.status(409).json({ error: 'This piece is already published; use Save changes instead.' });
+  }
+
+  const oldImages = [article.coverImage, article.coverThumb];
+  await ensureRecorded('article', article, req.session.user);
+  article.set(articleFields(req.body));
+  try {
+    await repos.articles.save(article);
+  } catch (err) {
+    const errors = fieldErrors(err);
+    if (!errors) throw err;
+    return res.status(400).json({ error: Object.values(errors)[0], fields: errors });
+  }
+  await recordRevision('article', article, req.session.user, { autosave: true });
+  await releaseImages(oldImages);
+  res.json({ id: article._id, status: article.status, savedAt: article.updatedAt });
+});
+
+module.exports = router;
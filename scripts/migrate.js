@@ -0,0 +1,26 @@
+// scripts/migrate.js
+// Usage: npm run migrate            (run pending migrations)
+//        npm run migrate -- --list  (show what has / hasn't run)
+const db = require('../lib/db');
+const { runMigrations, pendingMigrations, listMigrations } = require('../lib/migrate');
+
+async function main() {
+  await db.connect();
+  try {
+    if (process.argv.includes('--list')) {
+      const pending = new Set((await pendingMigrations()).map(m => m.name));
+      listMigrations().forEach(m => console.log(`${pending.has(m.name) ? '[ ]' : '[x]'} ${m.name}`));
+      return;
+    }
+
+    const ran = await runMigrations();
+    console.log(ran.length ? `✅ Applied ${ran.length} migration(s)` : '✅ Nothing to migrate');
+  } finally {
+    await db.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,30 @@
+// scripts/seed.js
+// Usage: npm run seed               (add curated content that isn't stored yet)
+//        npm run seed -- --force    (also overwrite curated items edited since)
+const repos = require('../repositories');
+const { runMigrations } = require('../lib/migrate');
+const { seedCuratedContent } = require('../lib/seed');
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const verbose = process.argv.includes('--verbose');
+
+  await repos.connect();
+  try {
+    // seed against the current schema (only Mongo has older data to bring up to date)
+    if (repos.driver.name === 'mongo') await runMigrations();
+
+    const summary = await seedCuratedContent({ force, log: verbose ? console.log : undefined });
+    Object.entries(summary).forEach(([model, c]) => {
+      console.log(`${model}: ${c.created} created, ${c.updated} updated, ${c.skipped} unchanged`);
+    });
+    console.log('✅ Seeding done');
+  } finally {
+    await repos.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Seeding failed:', err);
+  process.exitCode = 1;
+});
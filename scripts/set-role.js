@@ -0,0 +1,31 @@
+// scripts/set-role.js
+// Usage: npm run set-role -- someone@example.com admin
+//        (role defaults to admin; reader / editor / admin)
+const repos = require('../repositories');
+
+async function main() {
+  const [email, role = 'admin'] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: npm run set-role -- <email> [reader|editor|admin]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await repos.connect();
+  try {
+    const user = await repos.users.setRole(email, role);
+    if (!user) {
+      console.error(`No account found for ${email}.`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ ${user.email} is now ${user.role}`);
+  } finally {
+    await repos.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -1,266 +1,93 @@
 // server.js
-const express = require('express');
-const path = require('path');
-const mongoose = require('mongoose');
-const session = require('express-session');
-const bcrypt = require('bcryptjs');
-
-const Book = require('./models/Book');
-const Article = require('./models/Article');
-const User = require('./models/User');
-
-const app = express();
-
-// ====== MongoDB connection ======
-mongoose
-  .connect('mongodb://127.0.0.1:27017/unreadArchive', {
-    useNewUrlParser: true,
-    useUnifiedTopology: true
-  })
-  .then(() => console.log('✅ MongoDB connected'))
-  .catch(err => console.error('MongoDB error:', err));
-
-// ====== Middleware ======
-app.use(express.urlencoded({ extended: true })); // for form POSTs
-app.use(express.json());                         // for JSON APIs
-
-// Serve static files (bundle.js, images, JSON, CSS)
-app.use(express.static(path.join(__dirname, 'public')));
-
-// ================= SESSION SETUP =================
-app.use(
-  session({
-    secret: 'unread-archive-secret', // you can change this to any random string
-    resave: false,
-    saveUninitialized: false
-  })
-);
-
-// Make logged-in user available in all EJS views
-app.use((req, res, next) => {
-  res.locals.currentUser = req.session.user || null;
-  next();
-});
-
-// Set EJS as view engine
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
-
-// ====== Routes: pages (frontend-backend flow) ======
-app.get('/', (req, res) => {
-  res.redirect('/home');
-});
-
-// IMPORTANT: always render the layout and tell it which page to include
-app.get('/home', (req, res) => {
-  res.render('partials/layout', { pageTitle: 'Home', page: 'home' });
-});
-
-app.get('/about', (req, res) => {
-  res.render('partials/layout', { pageTitle: 'About', page: 'about' });
-});
-
-app.get('/archive', (req, res) => {
-  res.render('partials/layout', { pageTitle: 'Archive', page: 'archive' });
-});
-
-// Articles page (show JSON + community articles from MongoDB)
-app.get('/articles', async (req, res) => {
-  let communityArticles = [];
-  try {
-    communityArticles = await Article.find({}).sort({ createdAt: -1 });
-  } catch (err) {
-    console.error('Error fetching articles from MongoDB:', err.message);
+// Starts the site: checks the configuration (lib/config.js), connects storage
+// (DATA_DRIVER, see repositories/index.js), brings Mongo's schema up to date,
+// starts the publishing scheduler and listens. The app itself is in app.js.
+// SIGTERM or Ctrl-C shuts down gracefully: requests in flight are finished
+// (for up to SHUTDOWN_TIMEOUT_MS) before storage is closed.
+const repos = require('./repositories');
+const { getConfig, ConfigError } = require('./lib/config');
+const { runMigrations } = require('./lib/migrate');
+const { startPublishScheduler } = require('./lib/scheduler');
+
+// ADMIN_EMAIL=you@example.com npm start -> that account becomes admin,
+// but only while no admin exists yet (later changes go through `npm run set-role`)
+async function promoteInitialAdmin(email) {
+  if (!email) return;
+
+  if (await repos.users.exists({ role: 'admin' })) return;
+
+  const user = await repos.users.setRole(email, 'admin');
+  if (user) {
+    console.log(`👑 ${user.email} promoted to admin`);
+  } else {
+    console.warn(`ADMIN_EMAIL ${email} has no account yet; sign up first, then restart.`);
   }
+}
 
-  res.render('partials/layout', {
-    pageTitle: 'Articles',
-    page: 'articles',
-    communityArticles
-  });
-});
-
-// Books page pulls from Mongo (R in CRUD)
-app.get('/books', async (req, res) => {
-  const books = await Book.find().sort({ createdAt: -1 });
-  res.render('partials/layout', { pageTitle: 'Books', page: 'books', books });
-});
-
-// Show article writing form
-app.get('/write', (req, res) => {
-  res.render('partials/layout', {
-    pageTitle: 'Write',
-    page: 'write'
-  });
-});
-
-// Handle article submission (Create community article)
-app.post('/write', async (req, res) => {
-  try {
-    const { title, tag, author, readTime, excerpt, content, coverImage } = req.body;
+// Stop taking connections, let the requests in flight finish, then close storage.
+// A second signal, or requests still running after the timeout, cut things short.
+function handleShutdown({ app, server, stopScheduler, timeoutMs }) {
+  let stopping = false;
 
-    if (!title || !content) {
-      // basic validation
-      return res.status(400).send('Title and content are required.');
+  async function shutdown(signal) {
+    if (stopping) {
+      console.warn(`${signal} again: exiting now`);
+      process.exit(1);
     }
-
-    await Article.create({
-      title,
-      tag: tag || 'Article',
-      author: author || 'Anonymous',
-      readTime: readTime || '3 min read',
-      excerpt: excerpt || content.slice(0, 120) + '...',
-      content,
-      coverImage
-    });
-
-    // After saving, redirect to Articles page
-    res.redirect('/articles');
-  } catch (err) {
-    console.error('Error creating article:', err);
-    res.status(500).send('Failed to publish article.');
-  }
-});
-
-// ================= AUTH ROUTES (single /signin page) =================
-
-// Show combined Sign In / Sign Up page
-app.get('/signin', (req, res) => {
-  res.render('partials/layout', {
-    pageTitle: 'Sign In / Sign Up',
-    page: 'signin'
-  });
-});
-
-// If someone hits /signup directly, redirect to /signin
-app.get('/signup', (req, res) => {
-  res.redirect('/signin');
-});
-
-// Handle sign up (from Sign Up tab on signin page)
-app.post('/signup', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-
-    if (!email || !password) {
-      console.log('Signup validation failed');
-      return res.redirect('/signin');
+    stopping = true;
+    console.log(`${signal} received: finishing requests in flight…`);
+    app.set('shuttingDown', true);   // /readyz answers 503 from here on
+    stopScheduler();
+
+    const forced = setTimeout(() => {
+      console.warn(`Requests still running after ${timeoutMs}ms; closing their connections`);
+      server.closeAllConnections();
+    }, timeoutMs);
+    forced.unref();
+
+    try {
+      // close() waits for the requests in flight; idle keep-alive connections go now
+      await new Promise(resolve => {
+        server.close(resolve);
+        server.closeIdleConnections();
+      });
+      clearTimeout(forced);
+      await repos.disconnect();
+      console.log('👋 Stopped');
+      process.exit(0);
+    } catch (err) {
+      console.error('Could not shut down cleanly:', err);
+      process.exit(1);
     }
-
-    const existing = await User.findOne({ email });
-    if (existing) {
-      console.log('User already exists');
-      return res.redirect('/signin');
-    }
-
-    const passwordHash = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, email, passwordHash });
-
-    // Log the user in (set session)
-    req.session.user = {
-      id: user._id,
-      email: user.email,
-      name: user.name
-    };
-
-    res.redirect('/home');
-  } catch (err) {
-    console.error('Signup error:', err);
-    res.redirect('/signin');
   }
-});
-
-// Handle sign in
-app.post('/signin', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    const user = await User.findOne({ email });
-    if (!user) {
-      console.log('No account found with that email.');
-      return res.redirect('/signin');
-    }
 
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) {
-      console.log('Incorrect password.');
-      return res.redirect('/signin');
-    }
-
-    // Store minimal user info in session
-    req.session.user = {
-      id: user._id,
-      email: user.email,
-      name: user.name
-    };
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => shutdown(signal)));
+}
 
-    res.redirect('/home');
-  } catch (err) {
-    console.error('Signin error:', err);
-    res.redirect('/signin');
+async function start() {
+  const config = getConfig();   // before anything else reads a setting
+  if (config.cookieSecure && !config.trustProxy) {
+    console.warn('COOKIE_SECURE is on but TRUST_PROXY is off: behind an HTTPS proxy, nobody will stay signed in.');
   }
-});
-
-// Logout
-app.post('/logout', (req, res) => {
-  req.session.destroy(() => {
-    res.redirect('/home');
+  const app = require('./app');
+
+  await repos.connect();
+  console.log(`✅ Storage connected (${repos.driver.name})`);
+  // bring the schema up to date before anything reads from it (only Mongo has older data)
+  if (repos.driver.name === 'mongo') await runMigrations();
+  const stopScheduler = startPublishScheduler();
+  await promoteInitialAdmin(config.adminEmail);
+
+  const server = await new Promise((resolve, reject) => {
+    // Express 5 hands listen errors (port in use, …) to the callback
+    const listening = app.listen(config.port, err => (err ? reject(err) : resolve(listening)));
   });
-});
-
-// ====== Admin: full CRUD for Books (MongoDB rubric) ======
-app.get('/admin/books', async (req, res) => {
-  const books = await Book.find().sort({ createdAt: -1 });
-  res.render('partials/layout', {
-    pageTitle: 'Manage Books',
-    page: 'admin-books',
-    books
-  });
-});
-
-// CREATE
-app.post('/admin/books', async (req, res) => {
-  try {
-    const { title, description, image } = req.body;
-    await Book.create({ title, description, image });
-    res.redirect('/admin/books');
-  } catch (err) {
-    console.error(err);
-    res.status(500).send('Error creating book');
-  }
-});
-
-// UPDATE
-app.post('/admin/books/:id/edit', async (req, res) => {
-  try {
-    const { title, description, image } = req.body;
-    await Book.findByIdAndUpdate(req.params.id, { title, description, image });
-    res.redirect('/admin/books');
-  } catch (err) {
-    console.error(err);
-    res.status(500).send('Error updating book');
-  }
-});
-
-// DELETE
-app.post('/admin/books/:id/delete', async (req, res) => {
-  try {
-    await Book.findByIdAndDelete(req.params.id);
-    res.redirect('/admin/books');
-  } catch (err) {
-    console.error(err);
-    res.status(500).send('Error deleting book');
-  }
-});
-
-// Articles JSON API (optional)
-app.get('/api/articles', async (req, res) => {
-  const articles = await Article.find().sort({ createdAt: -1 });
-  res.json(articles);
-});
-
-// ====== Start server ======
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
+  handleShutdown({ app, server, stopScheduler, timeoutMs: config.shutdownTimeoutMs });
+  console.log(`🚀 Server running on http://localhost:${server.address().port}`);
+}
+
+// Without its settings or its storage the site can't serve a single page, so don't pretend to
+start().catch(err => {
+  console.error('Could not start:', err instanceof ConfigError ? err.message : err);
+  process.exit(1);
 });
@@ -0,0 +1,176 @@
+// test/apiV1.test.js
+// /api/v1: public reads, API tokens and their scopes, roles, input checks,
+// JSON errors and the OpenAPI document
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const repos = require('../repositories');
+const { startApp, createArticle, PASSWORD } = require('./helpers');
+
+let site;
+let writer;      // { user, token } with read + write
+let editor;
+let readOnly;
+
+before(async () => {
+  site = await startApp();
+  const withToken = async (role, scopes) => {
+    const { user } = await site.createUser({ role });
+    const { token } = await repos.apiTokens.issue(user._id, { name: 'tests', scopes });
+    return { user, token };
+  };
+  writer = await withToken('reader', ['read', 'write']);
+  editor = await withToken('editor', ['read', 'write']);
+  readOnly = await withToken('reader', ['read']);
+});
+
+after(() => site.close());
+
+// An API call the way a script makes it: bearer token, no cookies, no CSRF token
+function call(method, url, { token, json, headers = {} } = {}) {
+  return site.client().request(method, `/api/v1${url}`, {
+    json,
+    csrf: false,
+    headers: { Accept: 'application/json', ...(token && { Authorization: `Bearer ${token}` }), ...headers }
+  });
+}
+
+test('books, articles and quotes can be read without a token', async () => {
+  await repos.books.create({ title: 'Persuasion', description: 'Second chances.' });
+  await repos.quotes.create({ text: 'Less is more.', author: 'Robert Browning' });
+  await createArticle({ title: 'Public Piece', content: 'For everyone.' });
+
+  const books = (await call('GET', '/books')).json();
+  assert.equal(books.total, 1);
+  assert.equal(books.items[0].title, 'Persuasion');
+  assert.equal((await call('GET', `/books/${books.items[0].id}`)).json().title, 'Persuasion');
+
+  const articles = (await call('GET', '/articles')).json();
+  assert.deepEqual(articles.items.map(a => a.title), ['Public Piece']);
+  const bySlug = (await call('GET', `/articles/${articles.items[0].slug}`)).json();
+  assert.match(bySlug.contentHtml, /For everyone\./);
+
+  assert.equal((await call('GET', '/quotes')).json().items[0].author, 'Robert Browning');
+  assert.equal((await call('GET', '/books?limit=0')).status, 400);
+  assert.equal((await call('GET', `/books/${'0'.repeat(24)}`)).status, 404);
+});
+
+test('writing needs a token with the write scope', async () => {
+  const body = { title: 'Scripted', content: 'Posted from a script.' };
+  assert.equal((await call('POST', '/articles', { json: body })).status, 401);
+  assert.equal((await call('POST', '/articles', { json: body, token: readOnly.token })).status, 403);
+
+  const bad = await call('POST', '/articles', { json: body, token: 'ua_not-a-real-token' });
+  assert.equal(bad.status, 401);
+  assert.match(bad.headers.get('www-authenticate'), /invalid_token/);
+});
+
+test('writers create, change and delete their own articles', async () => {
+  const created = await call('POST', '/articles', { token: writer.token, json: { title: 'By Token', content: 'Hello, API.', tags: 'Essay, API' } });
+  assert.equal(created.status, 201);
+  const article = created.json();
+  assert.equal(created.location, `/api/v1/articles/${article.id}`);
+  assert.deepEqual(article.tags, ['Essay', 'API']);
+  assert.equal(article.status, 'published');
+  assert.equal(article.author, writer.user.name);
+
+  const patched = await call('PATCH', `/articles/${article.id}`, { token: writer.token, json: { title: 'By Token, Edited' } });
+  assert.equal(patched.json().title, 'By Token, Edited');
+  assert.equal(patched.json().content, 'Hello, API.');
+
+  const stranger = await call('PATCH', `/articles/${article.id}`, { token: editor.token, json: { title: 'Mine' } });
+  assert.equal(stranger.status, 403);
+
+  assert.equal((await call('POST', '/articles', { token: writer.token, json: { title: 'Again', content: 'Hello, API.' } })).status, 409);
+
+  assert.equal((await call('DELETE', `/articles/${article.id}`, { token: writer.token })).status, 204);
+  assert.equal((await call('GET', `/articles/${article.id}`)).status, 404);
+});
+
+test('a writer without a name is published as "Anonymous"', async () => {
+  const user = await repos.users.create({ email: 'nameless.scripter@example.com', password: PASSWORD });
+  const { token } = await repos.apiTokens.issue(user._id, { name: 'tests', scopes: ['read', 'write'] });
+  const created = await call('POST', '/articles', { token, json: { title: 'Unsigned Script', content: 'By nobody.' } });
+  assert.equal(created.json().author, 'Anonymous');
+});
+
+test('drafts made through the API stay private to their writer', async () => {
+  const { id } = (await call('POST', '/articles', { token: writer.token, json: { title: 'Quiet', content: 'Not yet', status: 'draft' } })).json();
+  assert.equal((await call('GET', `/articles/${id}`)).status, 404);
+  assert.equal((await call('GET', `/articles/${id}`, { token: writer.token })).json().status, 'draft');
+});
+
+test('only editors change books', async () => {
+  const json = { title: 'Beloved', description: 'A haunting.' };
+  assert.equal((await call('POST', '/books', { token: writer.token, json })).status, 403);
+
+  const created = await call('POST', '/books', { token: editor.token, json });
+  assert.equal(created.status, 201);
+  const { id } = created.json();
+
+  const patched = await call('PATCH', `/books/${id}`, { token: editor.token, json: { description: 'Sethe remembers.' } });
+  assert.equal(patched.json().description, 'Sethe remembers.');
+  assert.equal(await repos.revisions.countDocuments({ kind: 'book', doc: id }), 2);
+
+  assert.equal((await call('DELETE', `/books/${id}`, { token: editor.token })).status, 204);
+  assert.equal(await repos.books.findById(id), null);
+});
+
+test('input is checked field by field', async () => {
+  const unknown = await call('POST', '/articles', { token: writer.token, json: { title: 'x', colour: 'red' } });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.json().fields, { colour: 'Not a field you can set.' });
+
+  const invalid = await call('POST', '/articles', { token: writer.token, json: { title: '', content: 'Something' } });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.json().fields.title);
+
+  const notJson = await site.client().request('POST', '/api/v1/articles', {
+    csrf: false,
+    form: { title: 'x' },
+    headers: { Authorization: `Bearer ${writer.token}` }
+  });
+  assert.equal(notJson.status, 415);
+
+  const broken = await fetch(`${site.baseUrl}/api/v1/articles`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${writer.token}`, 'Content-Type': 'application/json' },
+    body: '{"title": '
+  });
+  assert.equal(broken.status, 400);
+  assert.deepEqual(await broken.json(), { error: 'The body is not valid JSON.' });
+});
+
+test('unknown endpoints and methods answer in JSON', async () => {
+  const missing = await call('GET', '/nothing-here');
+  assert.equal(missing.status, 404);
+  assert.ok(missing.json().error);
+
+  const method = await call('PUT', '/books', { token: editor.token });
+  assert.equal(method.status, 405);
+  assert.equal(method.headers.get('allow'), 'GET, POST, HEAD');
+});
+
+test('the session works too, with the CSRF token like every page script', async () => {
+  const { client } = await site.createUser();
+  const res = await client.api('POST', '/api/v1/articles', { title: 'From the Site', content: 'Signed in.' });
+  assert.equal(res.status, 201);
+  const forged = await client.request('POST', '/api/v1/articles', { json: { title: 'Forged', content: 'x' }, csrf: false });
+  assert.equal(forged.status, 403);
+});
+
+test('a revoked token stops working', async () => {
+  const { user } = await site.createUser();
+  const { token, apiToken } = await repos.apiTokens.issue(user._id, { name: 'old', scopes: ['read'] });
+  assert.equal((await call('GET', '/books', { token })).status, 200);
+  await repos.apiTokens.updateOne({ _id: apiToken._id }, { revokedAt: new Date() });
+  assert.equal((await call('GET', '/books', { token })).status, 401);
+});
+
+test('openapi.json describes every endpoint', async () => {
+  const spec = (await call('GET', '/openapi.json')).json();
+  assert.match(spec.openapi, /^3\./);
+  assert.deepEqual(Object.keys(spec.paths).sort(), [
+    '/articles', '/articles/{id}', '/books', '/books/{id}', '/quotes', '/quotes/{id}'
+  ]);
+});
@@ -0,0 +1,235 @@
+// test/auth.test.js
+// Signing up, in and out, CSRF, roles, the wrong-password lockout, password
+// resets by email, the account page and its API tokens
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const repos = require('../repositories');
+const { startApp, eventually, useRealRateLimits, PASSWORD } = require('./helpers');
+
+let site;
+
+before(async () => {
+  site = await startApp();
+});
+
+after(() => site.close());
+
+test('signing up creates an account and signs it in', async () => {
+  const client = site.client();
+  const res = await client.signUp({ name: 'Ada', email: 'Ada@Example.com' });
+  assert.equal(res.location, '/home');
+
+  const user = await repos.users.findOne({ email: 'ada@example.com' });
+  assert.ok(user, 'stored with the email lowercased');
+  assert.notEqual(user.passwordHash, PASSWORD);
+  assert.match((await client.get('/account')).text, /ada@example\.com/);
+});
+
+test('signing up again with the same email is refused', async () => {
+  const res = await site.client().post('/signup', { email: 'ada@example.com', password: PASSWORD });
+  assert.equal(res.status, 409);
+  assert.match(res.text, /already exists/);
+});
+
+test('sign-up checks the password and email', async () => {
+  const client = site.client();
+  assert.equal((await client.post('/signup', { email: 'short@example.com', password: 'abc' })).status, 400);
+  assert.equal((await client.post('/signup', { email: 'not-an-email', password: PASSWORD })).status, 400);
+  assert.equal(await repos.users.exists({ email: 'short@example.com' }), null);
+});
+
+test('signing in goes back to returnTo, but never off the site', async () => {
+  await repos.users.create({ email: 'back@example.com', password: PASSWORD });
+  const client = site.client();
+  assert.equal((await client.post('/signin', { email: 'back@example.com', password: PASSWORD, returnTo: '/books' })).location, '/books');
+
+  const offsite = await site.client().post('/signin', { email: 'back@example.com', password: PASSWORD, returnTo: '//evil.example' });
+  assert.equal(offsite.location, '/home');
+});
+
+test('signing in starts a new session rather than trusting the one it came with', async () => {
+  await repos.users.create({ email: 'fixed@example.com', password: PASSWORD });
+  const attacker = site.client();
+  await attacker.csrfToken();
+  const planted = attacker.cookies.get('unread.sid');
+
+  // the victim's browser carries the attacker's session cookie
+  const victim = site.client();
+  victim.cookies.set('unread.sid', planted);
+  await victim.signIn('fixed@example.com');
+  assert.notEqual(victim.cookies.get('unread.sid'), planted);
+  assert.equal((await victim.get('/account')).status, 200);
+  assert.equal((await attacker.get('/account')).status, 302);
+});
+
+test('a wrong password gets the same answer as an unknown email', async () => {
+  await repos.users.create({ email: 'known@example.com', password: PASSWORD });
+  const client = site.client();
+  const wrong = await client.post('/signin', { email: 'known@example.com', password: 'nope nope 1' });
+  const unknown = await client.post('/signin', { email: 'nobody@example.com', password: 'nope nope 1' });
+  assert.equal(wrong.status, 401);
+  assert.equal(unknown.status, 401);
+  assert.equal((await client.post('/signin', {})).status, 400);
+});
+
+test('too many wrong passwords lock the account until a reset', async () => {
+  const user = await repos.users.create({ email: 'locked@example.com', password: PASSWORD });
+  const client = site.client();
+  let res;
+  for (let i = 0; i < 5; i++) {
+    res = await client.post('/signin', { email: 'locked@example.com', password: 'wrong pass 1' });
+  }
+  assert.equal(res.status, 429);
+  assert.equal((await client.post('/signin', { email: 'locked@example.com', password: PASSWORD })).status, 429);
+
+  const stored = await repos.users.findById(user._id);
+  assert.ok(stored.lockedUntil > new Date());
+});
+
+test('signing out ends the session', async () => {
+  const { client } = await site.createUser();
+  const res = await client.signOut();
+  assert.equal(res.location, '/home');
+  const account = await client.get('/account');
+  assert.equal(account.status, 302);
+  assert.equal(account.location, '/signin?returnTo=%2Faccount');
+});
+
+test('form posts without the session\'s CSRF token are refused', async () => {
+  const { client } = await site.createUser();
+  const page = await client.request('POST', '/account/tokens', { form: { name: 'x' }, csrf: false });
+  assert.equal(page.status, 403);
+
+  const json = await client.request('POST', '/api/follows', { json: { kind: 'tag', name: 'Poem' }, csrf: false });
+  assert.equal(json.status, 403);
+  assert.equal(json.json().error.includes('expired'), true);
+
+  // signed out, the JSON APIs ask for an account instead
+  const anonymous = await site.client().request('POST', '/api/follows', { json: {}, csrf: false });
+  assert.equal(anonymous.status, 401);
+});
+
+test('admin pages need the right role', async () => {
+  const anonymous = site.client();
+  assert.equal((await anonymous.get('/admin/books')).status, 401);
+  assert.equal((await anonymous.api('GET', '/admin/comments')).status, 401);
+
+  const { client: reader } = await site.createUser();
+  assert.equal((await reader.get('/admin/books')).status, 403);
+  assert.equal((await reader.get('/admin/tags')).status, 403);
+
+  const { client: editor } = await site.createUser({ role: 'editor' });
+  assert.equal((await editor.get('/admin/books')).status, 200);
+  assert.equal((await editor.get('/admin/featured')).status, 200);
+  assert.equal((await editor.get('/admin/comments')).status, 403);
+
+  const { client: admin } = await site.createUser({ role: 'admin' });
+  for (const url of ['/admin/books', '/admin/comments', '/admin/tags', '/admin/featured']) {
+    assert.equal((await admin.get(url)).status, 200, url);
+  }
+});
+
+test('a demotion applies straight away, without signing in again', async () => {
+  const { user, client } = await site.createUser({ role: 'editor' });
+  assert.equal((await client.get('/admin/books')).status, 200);
+  await repos.users.setRole(user.email, 'reader');
+  assert.equal((await client.get('/admin/books')).status, 403);
+});
+
+test('a password reset link arrives by email and works once', async () => {
+  await repos.users.create({ email: 'forgetful@example.com', password: PASSWORD });
+  const client = site.client();
+
+  const asked = await client.post('/forgot-password', { email: 'forgetful@example.com' });
+  assert.equal(asked.status, 200);
+  // unknown addresses get the same page and no email
+  assert.equal((await client.post('/forgot-password', { email: 'stranger@example.com' })).status, 200);
+  assert.equal((await client.post('/forgot-password', {})).status, 400);
+
+  // the email goes out after the response
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const mail = site.sentMail.filter(m => m.to === 'forgetful@example.com');
+  assert.equal(mail.length, 1);
+  assert.equal(site.sentMail.some(m => m.to === 'stranger@example.com'), false);
+  // from the configured address (localhost in development), never the request's Host header
+  assert.match(mail[0].text, /http:\/\/localhost:3000\/reset-password\//);
+  const link = /\/reset-password\/\S+/.exec(mail[0].text)[0];
+
+  assert.equal((await client.get(link)).status, 200);
+  const mismatch = await client.post(link, { password: 'new secret 7', confirmPassword: 'other secret 7' });
+  assert.equal(mismatch.status, 400);
+
+  const reset = await client.post(link, { password: 'new secret 7', confirmPassword: 'new secret 7' });
+  assert.equal(reset.status, 302);
+  assert.equal(reset.location, '/signin');
+
+  assert.equal((await client.post(link, { password: 'again secret 7', confirmPassword: 'again secret 7' })).status, 400);
+  await site.client().signIn('forgetful@example.com', 'new secret 7');
+});
+
+test('a password reset signs the account out everywhere', async () => {
+  const { user, client: elsewhere } = await site.createUser();
+  await site.client().post('/forgot-password', { email: user.email });
+  const mail = await eventually(() => {
+    const sent = site.sentMail.find(m => m.to === user.email);
+    assert.ok(sent);
+    return sent;
+  });
+  const link = /\/reset-password\/\S+/.exec(mail.text)[0];
+
+  await site.client().post(link, { password: 'fresh secret 8', confirmPassword: 'fresh secret 8' });
+  assert.equal((await elsewhere.get('/account')).status, 302);
+});
+
+test('changing the password needs the current one', async () => {
+  const { user, client } = await site.createUser();
+  const wrong = await client.post('/account/password', { currentPassword: 'guess guess 1', newPassword: 'brand new 9', confirmPassword: 'brand new 9' });
+  assert.equal(wrong.status, 400);
+
+  const elsewhere = site.client();
+  await elsewhere.signIn(user.email);
+
+  const changed = await client.post('/account/password', { currentPassword: PASSWORD, newPassword: 'brand new 9', confirmPassword: 'brand new 9' });
+  assert.equal(changed.status, 302);
+  await site.client().signIn(user.email, 'brand new 9');
+  // this session carries on; the one on the other device is over
+  assert.equal((await client.get('/account')).status, 200);
+  assert.equal((await elsewhere.get('/account')).status, 302);
+});
+
+test('notification settings are saved from the account page', async () => {
+  const { user, client } = await site.createUser();
+  const res = await client.post('/account/notifications', { notify: 'comment_reply' });
+  assert.equal(res.status, 302);
+  const stored = await repos.users.findById(user._id);
+  assert.ok(!stored.notificationOptOuts.includes('comment_reply'));
+  assert.ok(stored.notificationOptOuts.length > 0);
+});
+
+test('API tokens are shown once, then can be revoked', async () => {
+  const { user, client } = await site.createUser();
+  const issued = await client.post('/account/tokens', { name: 'backup script', access: 'write' });
+  assert.equal(issued.status, 200);
+  assert.equal(issued.headers.get('cache-control'), 'no-store');
+  const token = /ua_[A-Za-z0-9_-]+/.exec(issued.text)[0];
+
+  const stored = await repos.apiTokens.findOne({ user: user._id });
+  assert.deepEqual([...stored.scopes], ['read', 'write']);
+  assert.equal((await client.get('/account')).text.includes(token), false, 'the raw token is never shown again');
+
+  const revoked = await client.post(`/account/tokens/${stored._id}/revoke`);
+  assert.equal(revoked.status, 302);
+  assert.ok((await repos.apiTokens.findById(stored._id)).revokedAt);
+  assert.equal((await client.post(`/account/tokens/${stored._id}/revoke`)).status, 404);
+});
+
+test('rate limits turn away a burst of sign-ups', async () => {
+  useRealRateLimits();
+  const client = site.client();
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    statuses.push((await client.post('/signup', { email: `burst${i}@example.com`, password: PASSWORD })).status);
+  }
+  assert.deepEqual(statuses, [302, 302, 302, 302, 302, 429]);
+});
@@ -0,0 +1,189 @@
+// test/books.test.js
+// Managing books at /admin/books (with revision history), shelves, reviews,
+// suggestions and "Readers also shelved"
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const sharp = require('sharp');
+
+const repos = require('../repositories');
+const { startApp, PASSWORD } = require('./helpers');
+
+let site;
+let editor;
+
+before(async () => {
+  site = await startApp();
+  ({ client: editor } = await site.createUser({ role: 'editor' }));
+});
+
+after(() => site.close());
+
+const addBook = fields => repos.books.create({ title: 'Moby-Dick', description: 'A whale of a book.', ...fields });
+
+test('editors add, edit and delete books', async () => {
+  const added = await editor.post('/admin/books', { title: 'Middlemarch', description: 'Provincial life.', image: '' });
+  assert.equal(added.status, 302);
+  const book = await repos.books.findOne({ title: 'Middlemarch' });
+  assert.ok(book);
+  assert.match((await site.client().get('/books')).text, /Middlemarch/);
+
+  const edited = await editor.post(`/admin/books/${book._id}/edit`, { title: 'Middlemarch', description: 'A study of provincial life.' });
+  assert.equal(edited.status, 302);
+  assert.equal((await repos.books.findById(book._id)).description, 'A study of provincial life.');
+
+  const deleted = await editor.post(`/admin/books/${book._id}/delete`);
+  assert.equal(deleted.status, 302);
+  assert.equal(await repos.books.findById(book._id), null);
+  assert.equal(await repos.revisions.countDocuments({ kind: 'book', doc: book._id }), 0);
+});
+
+test('the book form comes back with errors', async () => {
+  const res = await editor.post('/admin/books', { title: '', description: '' });
+  assert.equal(res.status, 400);
+  const book = await addBook();
+  assert.equal((await editor.post(`/admin/books/${book._id}/edit`, { title: '' })).status, 400);
+  assert.equal((await editor.post(`/admin/books/${'0'.repeat(24)}/edit`, { title: 'x' })).status, 404);
+});
+
+test('readers cannot change books', async () => {
+  const { client } = await site.createUser();
+  assert.equal((await client.post('/admin/books', { title: 'Mine', description: 'Mine.' })).status, 403);
+  assert.equal(await repos.books.exists({ title: 'Mine' }), null);
+});
+
+test('book history restores an earlier description', async () => {
+  await editor.post('/admin/books', { title: 'Dracula', description: 'Letters and diaries.' });
+  const book = await repos.books.findOne({ title: 'Dracula' });
+  await editor.post(`/admin/books/${book._id}/edit`, { title: 'Dracula', description: 'A count moves to London.' });
+
+  assert.equal((await editor.get(`/admin/books/${book._id}/history`)).status, 200);
+  const restored = await editor.post(`/admin/books/${book._id}/history/1/restore`);
+  assert.equal(restored.location, `/admin/books/${book._id}/history`);
+  assert.equal((await repos.books.findById(book._id)).description, 'Letters and diaries.');
+});
+
+test('readers shelve books and track their progress', async () => {
+  const book = await addBook({ title: 'Shelved One' });
+  const { client } = await site.createUser();
+
+  const put = await client.api('PUT', `/api/books/${book._id}/shelf`, { status: 'reading', progress: 40 });
+  assert.equal(put.status, 200);
+  assert.equal(put.json().shelf.status, 'reading');
+  assert.equal(put.json().stats.readers, 1);
+
+  const rated = await client.api('PUT', `/api/books/${book._id}/shelf`, { status: 'finished', rating: 4 });
+  assert.equal(rated.json().shelf.rating, 4);
+  assert.equal(rated.json().stats.averageRating, 4);
+
+  const shelf = await client.api('GET', '/api/shelf');
+  assert.deepEqual(shelf.json().map(b => b.title), ['Shelved One']);
+  assert.match((await client.get('/shelf')).text, /Shelved One/);
+
+  assert.equal((await client.api('PUT', `/api/books/${book._id}/shelf`, { status: 'someday' })).status, 400);
+  assert.equal((await client.api('PUT', `/api/books/${'0'.repeat(24)}/shelf`, { status: 'reading' })).status, 404);
+
+  const removed = await client.api('DELETE', `/api/books/${book._id}/shelf`);
+  assert.equal(removed.json().shelf, null);
+  assert.equal(removed.json().stats.readers, 0);
+  assert.equal((await site.client().api('GET', '/api/shelf')).status, 401);
+});
+
+test('readers who shelved a book also shelved…', async () => {
+  const [dune, foundation, emma] = await Promise.all(['Dune', 'Foundation', 'Emma'].map(title => addBook({ title })));
+  for (let i = 0; i < 2; i++) {
+    const { client } = await site.createUser();
+    await client.api('PUT', `/api/books/${dune._id}/shelf`, { status: 'finished' });
+    await client.api('PUT', `/api/books/${foundation._id}/shelf`, { status: 'want-to-read' });
+  }
+  const { client } = await site.createUser();
+  await client.api('PUT', `/api/books/${emma._id}/shelf`, { status: 'reading' });
+
+  const res = await site.client().get(`/api/recommendations/book/${dune._id}`);
+  assert.equal(res.status, 200);
+  const [first] = res.json().items;
+  assert.equal(first.title, 'Foundation');
+  assert.equal(first.reason, 'shelved');
+
+  assert.equal((await site.client().get(`/api/recommendations/book/${'0'.repeat(24)}`)).status, 404);
+  assert.equal((await site.client().get(`/api/recommendations/quote/${dune._id}`)).status, 400);
+});
+
+test('reviews: anyone reads them, only their writer deletes them', async () => {
+  const book = await addBook({ title: 'Reviewed' });
+  const { client } = await site.createUser({ name: 'Critic' });
+  const posted = await client.api('POST', `/api/books/${book._id}/reviews`, { text: 'Loved it.' });
+  assert.equal(posted.status, 201);
+  assert.equal(posted.json().author, 'Critic');
+  assert.equal(posted.json().mine, true);
+  assert.equal((await client.api('POST', `/api/books/${book._id}/reviews`, { text: '  ' })).status, 400);
+
+  const listed = await site.client().get(`/api/books/${book._id}/reviews`);
+  assert.deepEqual(listed.json().map(r => [r.text, r.mine]), [['Loved it.', false]]);
+
+  const { client: other } = await site.createUser();
+  assert.equal((await other.api('DELETE', `/api/reviews/${posted.json().id}`)).status, 403);
+  assert.equal((await client.api('DELETE', `/api/reviews/${posted.json().id}`)).status, 204);
+  assert.equal((await client.api('DELETE', `/api/reviews/${posted.json().id}`)).status, 404);
+});
+
+test('reviews: bad input is a 400 and an unknown book a 404, in JSON', async () => {
+  const book = await addBook({ title: 'Checked' });
+  const { client } = await site.createUser();
+  const url = `/api/books/${book._id}/reviews`;
+  for (const text of [42, { text: 'nested' }, 'x'.repeat(2001)]) {
+    const res = await client.api('POST', url, { text });
+    assert.equal(res.status, 400);
+    assert.ok(res.json().error);
+  }
+  assert.equal((await client.api('POST', '/api/books/nonexistent/reviews', { text: 'Hm.' })).status, 404);
+  assert.equal((await client.api('POST', `/api/books/${'0'.repeat(24)}/reviews`, { text: 'Hm.' })).status, 404);
+  assert.equal((await client.api('POST', '/api/suggestions', { text: 'x'.repeat(301) })).status, 400);
+});
+
+test('book suggestions', async () => {
+  const { client } = await site.createUser();
+  const posted = await client.api('POST', '/api/suggestions', { text: 'Piranesi' });
+  assert.equal(posted.status, 201);
+  assert.deepEqual((await site.client().get('/api/suggestions')).json().map(s => s.text), ['Piranesi']);
+  assert.equal((await client.api('POST', '/api/suggestions', { text: '' })).status, 400);
+  assert.equal((await site.client().api('POST', '/api/suggestions', { text: 'x' })).status, 401);
+
+  const { client: other } = await site.createUser();
+  assert.equal((await other.api('DELETE', `/api/suggestions/${posted.json().id}`)).status, 403);
+  assert.equal((await client.api('DELETE', `/api/suggestions/${posted.json().id}`)).status, 204);
+});
+
+test('deleting a book takes it off everyone\'s shelves, with its reviews', async () => {
+  const book = await addBook({ title: 'Soon Gone' });
+  const { client } = await site.createUser();
+  await client.api('PUT', `/api/books/${book._id}/shelf`, { status: 'reading' });
+  assert.equal((await client.api('POST', `/api/books/${book._id}/reviews`, { text: 'Gone too soon.' })).status, 201);
+  await editor.post(`/admin/books/${book._id}/delete`);
+  assert.equal(await repos.shelfEntries.countDocuments({ book: book._id }), 0);
+  assert.equal(await repos.reviews.countDocuments({ bookId: String(book._id) }), 0);
+  assert.deepEqual((await client.api('GET', '/api/shelf')).json(), []);
+});
+
+test('reviews by an account without a name never show its email', async () => {
+  const book = await addBook({ title: 'Unsigned' });
+  await repos.users.create({ email: 'secret.person@example.com', password: PASSWORD });
+  const client = site.client();
+  await client.signIn('secret.person@example.com');
+
+  assert.equal((await client.api('POST', `/api/books/${book._id}/reviews`, { text: 'Quietly good.' })).json().author, 'Anonymous');
+  assert.equal((await client.api('POST', '/api/suggestions', { text: 'Stoner' })).json().author, 'Anonymous');
+  assert.doesNotMatch((await site.client().get(`/api/books/${book._id}/reviews`)).text, /secret\.person/);
+});
+
+test('an image uploaded with a refused book is not kept', async () => {
+  const png = await sharp({ create: { width: 30, height: 40, channels: 3, background: '#543' } }).png().toBuffer();
+  const data = new FormData();
+  data.append('title', 'No Description');
+  data.append('imageUpload', new Blob([png], { type: 'image/png' }), 'book.png');
+
+  const res = await editor.request('POST', '/admin/books', { multipart: data });
+  assert.equal(res.status, 400);
+  assert.match(res.text, /Choose the image again/);
+  assert.deepEqual(fs.readdirSync(site.uploadDir), []);
+});
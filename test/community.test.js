@@ -0,0 +1,256 @@
+// test/community.test.js
+// Comments and their moderation queue, banning, following authors and tags,
+// and the notifications all of these send
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const repos = require('../repositories');
+const events = require('../lib/events');
+const { startApp, createArticle, eventually } = require('./helpers');
+
+let site;
+let writer;
+let article;
+let admin;
+
+before(async () => {
+  site = await startApp();
+  writer = await trustedReader({ name: 'Wren Writer' });
+  article = await createArticle({ title: 'On Lighthouses', user: writer.user._id, author: 'Wren Writer', tags: ['Sea'] });
+  ({ client: admin } = await site.createUser({ role: 'admin' }));
+});
+
+after(() => site.close());
+
+// An account old enough that its comments skip the moderation queue
+async function trustedReader(fields) {
+  const reader = await site.createUser(fields);
+  await repos.users.updateOne({ _id: reader.user._id }, { createdAt: new Date(2020, 0, 1) });
+  return reader;
+}
+
+const commentsUrl = () => `/api/articles/${article._id}/comments`;
+
+test('comments thread under an article and notify its writer', async () => {
+  const { client } = await trustedReader({ name: 'Reader One' });
+  const posted = await client.api('POST', commentsUrl(), { text: 'Beautiful.' });
+  assert.equal(posted.status, 201);
+  const comment = posted.json();
+  assert.equal(comment.pending, false);
+  assert.equal(comment.mine, true);
+
+  const reply = await writer.client.api('POST', commentsUrl(), { text: 'Thank you!', parentId: comment.id });
+  assert.equal(reply.json().depth, 1);
+
+  const thread = (await site.client().get(commentsUrl())).json();
+  assert.equal(thread.length, 1);
+  assert.deepEqual(thread[0].replies.map(r => r.text), ['Thank you!']);
+  assert.match((await site.client().get(article.url)).text, /Beautiful\./);
+
+  await eventually(async () => {
+    const inbox = (await writer.client.api('GET', '/api/notifications')).json();
+    assert.ok(inbox.items.some(n => n.type === 'comment'));
+  });
+});
+
+test('a reply below the deepest level notifies the person replied to', async () => {
+  const [a, b, c, d] = await Promise.all([1, 2, 3, 4].map(() => trustedReader()));
+  const post = (reader, text, parentId) => reader.client.api('POST', commentsUrl(), { text, parentId }).then(res => res.json());
+  const top = await post(a, 'Top');
+  const second = await post(b, 'Second', top.id);
+  const third = await post(c, 'Third', second.id);
+  const fourth = await post(d, 'Fourth', third.id);
+  // threads stop at depth 2, so the fourth sits beside the third...
+  assert.equal(fourth.depth, 2);
+  assert.equal(String((await repos.comments.findById(fourth.id)).parent), second.id);
+
+  // ...but it was the third's writer who was answered
+  await eventually(async () => {
+    assert.equal(await repos.notifications.countDocuments({ user: c.user._id, type: 'reply' }), 1);
+  });
+  assert.equal(await repos.notifications.countDocuments({ user: b.user._id, type: 'reply' }), 1);
+});
+
+test('a commenter without a name is "Anonymous", never their email', async () => {
+  const reader = await trustedReader();
+  await repos.users.updateOne({ _id: reader.user._id }, { $unset: { name: 1 } });
+  await reader.client.signOut();
+  await reader.client.signIn(reader.user.email);
+
+  assert.equal((await reader.client.api('POST', commentsUrl(), { text: 'Unsigned.' })).json().author, 'Anonymous');
+  assert.doesNotMatch((await site.client().get(commentsUrl())).text, new RegExp(reader.user.email));
+});
+
+test('comments need text and a live article', async () => {
+  const { client } = await trustedReader();
+  assert.equal((await client.api('POST', commentsUrl(), { text: ' ' })).status, 400);
+  assert.equal((await client.api('POST', `/api/articles/${'0'.repeat(24)}/comments`, { text: 'hi' })).status, 404);
+  assert.equal((await client.api('POST', commentsUrl(), { text: 'hi', parentId: '0'.repeat(24) })).status, 400);
+  assert.equal((await site.client().api('POST', commentsUrl(), { text: 'hi' })).status, 401);
+});
+
+test('writers edit and delete their own comments only', async () => {
+  const { client } = await trustedReader();
+  const { id } = (await client.api('POST', commentsUrl(), { text: 'Frist' })).json();
+
+  const edited = await client.api('PUT', `/api/comments/${id}`, { text: 'First' });
+  assert.equal(edited.json().text, 'First');
+  assert.ok(edited.json().editedAt);
+
+  const { client: other } = await trustedReader();
+  assert.equal((await other.api('PUT', `/api/comments/${id}`, { text: 'Mine' })).status, 403);
+  assert.equal((await other.api('DELETE', `/api/comments/${id}`)).status, 403);
+
+  assert.equal((await client.api('DELETE', `/api/comments/${id}`)).status, 204);
+  assert.equal(await repos.comments.findById(id), null);
+});
+
+test('a deleted comment with replies leaves a placeholder', async () => {
+  const { client } = await trustedReader();
+  const { id } = (await client.api('POST', commentsUrl(), { text: 'Start of a thread' })).json();
+  await writer.client.api('POST', commentsUrl(), { text: 'Reply', parentId: id });
+
+  assert.equal((await client.api('DELETE', `/api/comments/${id}`)).status, 204);
+  const stored = await repos.comments.findById(id);
+  assert.ok(stored.deletedAt);
+  assert.equal(stored.text, '');
+});
+
+test('a new account\'s first comment waits for a moderator', async () => {
+  const { client, user } = await site.createUser();
+  const { id, pending } = (await client.api('POST', commentsUrl(), { text: 'Hello from a new reader' })).json();
+  assert.equal(pending, true);
+  assert.doesNotMatch((await site.client().get(commentsUrl())).text, /Hello from a new reader/);
+
+  const queue = await admin.get('/admin/comments?status=pending');
+  assert.match(queue.text, /Hello from a new reader/);
+
+  const approved = await admin.api('POST', `/admin/comments/${id}/approve`, {});
+  assert.deepEqual(approved.json(), { id, status: 'approved' });
+  assert.match((await site.client().get(commentsUrl())).text, /Hello from a new reader/);
+
+  const hidden = await admin.post(`/admin/comments/${id}/hide`, { returnStatus: 'approved' });
+  assert.equal(hidden.location, '/admin/comments?status=approved');
+  assert.equal((await repos.comments.findById(id)).status, 'hidden');
+
+  await eventually(async () => {
+    assert.ok(await repos.notifications.exists({ user: user._id, type: 'moderation' }));
+  });
+});
+
+test('an approved comment edited by an account under review goes back to the queue', async () => {
+  const { client } = await site.createUser();
+  const { id } = (await client.api('POST', commentsUrl(), { text: 'Lovely piece' })).json();
+  await admin.api('POST', `/admin/comments/${id}/approve`, {});
+
+  const edited = await client.api('PUT', `/api/comments/${id}`, { text: 'Buy cheap watches' });
+  assert.equal(edited.json().pending, true);
+  assert.equal((await repos.comments.findById(id)).status, 'pending');
+  assert.doesNotMatch((await site.client().get(commentsUrl())).text, /cheap watches/);
+  assert.match((await admin.get('/admin/comments?status=pending')).text, /Buy cheap watches/);
+
+  // trusted accounts edit freely
+  const { client: trusted } = await trustedReader();
+  const { id: trustedId } = (await trusted.api('POST', commentsUrl(), { text: 'First thought' })).json();
+  assert.equal((await trusted.api('PUT', `/api/comments/${trustedId}`, { text: 'Second thought' })).json().pending, false);
+});
+
+test('banning hides everything the account posted and stops new comments', async () => {
+  const { client, user } = await trustedReader();
+  await client.api('POST', commentsUrl(), { text: 'Spam one' });
+  await client.api('POST', commentsUrl(), { text: 'Spam two' });
+
+  const banned = await admin.api('POST', `/admin/users/${user._id}/ban`, {});
+  assert.equal(banned.json().hiddenComments, 2);
+  assert.equal((await client.api('POST', commentsUrl(), { text: 'Spam three' })).status, 403);
+
+  const unbanned = await admin.api('POST', `/admin/users/${user._id}/unban`, {});
+  assert.equal(unbanned.json().bannedAt, null);
+  assert.equal((await repos.comments.countDocuments({ user: user._id, status: 'hidden' })), 2);
+  assert.equal((await admin.api('POST', `/admin/users/${'0'.repeat(24)}/ban`, {})).status, 404);
+});
+
+test('following an author and a tag fills the /following feed', async () => {
+  const { client } = await site.createUser({ name: 'Follower' });
+  const writerId = String(writer.user._id);
+  const author = await client.api('POST', '/api/follows', { kind: 'author', key: writerId });
+  assert.equal(author.status, 201);
+  assert.deepEqual(author.json(), { kind: 'author', key: writerId, name: 'Wren Writer', followers: 1, following: true });
+  assert.equal((await client.api('POST', '/api/follows', { kind: 'author', key: writerId })).status, 200);
+  assert.equal((await client.api('POST', '/api/follows', { kind: 'author', key: 'Wren Writer' })).status, 404);
+  assert.equal((await client.api('POST', '/api/follows', { kind: 'tag', name: 'Sea' })).status, 201);
+  assert.equal((await client.api('POST', '/api/follows', { kind: 'planet', name: 'Mars' })).status, 400);
+
+  const follows = (await client.api('GET', '/api/follows')).json();
+  assert.deepEqual(follows.authors.map(a => a.name), ['Wren Writer']);
+  assert.deepEqual(follows.tags.map(t => t.name), ['Sea']);
+
+  const feed = (await client.api('GET', '/api/following')).json();
+  assert.deepEqual(feed.items.map(a => a.title), ['On Lighthouses']);
+  assert.equal(feed.items[0].followAuthor, writerId);
+  assert.match((await client.get('/following')).text, /On Lighthouses/);
+
+  await eventually(async () => {
+    assert.ok(await repos.notifications.exists({ user: writer.user._id, type: 'follower' }));
+  });
+
+  const unfollowed = await client.api('DELETE', `/api/follows/author/${writerId}`);
+  assert.equal(unfollowed.json().following, false);
+  assert.equal((await site.client().api('GET', '/api/follows')).status, 401);
+});
+
+test('following a writer again soon after unfollowing doesn\'t notify them again', async () => {
+  const { user: author } = await trustedReader({ name: 'Often Followed' });
+  await createArticle({ title: 'Worth Following', user: author._id, author: 'Often Followed' });
+  const { user: reader, client } = await site.createUser({ name: 'Fickle Reader' });
+  const follow = () => client.api('POST', '/api/follows', { kind: 'author', key: String(author._id) });
+
+  await follow();
+  await eventually(async () => {
+    assert.equal(await repos.notifications.countDocuments({ user: author._id, type: 'follower' }), 1);
+  });
+  await client.api('DELETE', `/api/follows/author/${author._id}`);
+  await follow();
+
+  // as the route announces it, but waiting for the handlers to finish
+  const again = await repos.follows.findOne({ user: reader._id, kind: 'author', key: String(author._id) });
+  await events.emit('follow.created', { follow: again, follower: { id: reader._id, name: 'Fickle Reader' } });
+  assert.equal(await repos.notifications.countDocuments({ user: author._id, type: 'follower' }), 1);
+});
+
+test('writing under someone else\'s byline doesn\'t reach their followers', async () => {
+  const { client } = await site.createUser({ name: 'Loyal Reader' });
+  await client.api('POST', '/api/follows', { kind: 'author', key: String(writer.user._id) });
+
+  const impostor = await trustedReader({ name: 'Impostor' });
+  await createArticle({ title: 'Not By Wren', user: impostor.user._id, author: 'Wren Writer', tags: ['Hoax'] });
+
+  const feed = (await client.api('GET', '/api/following')).json();
+  assert.deepEqual(feed.items.map(a => a.title), ['On Lighthouses']);
+  assert.equal(await repos.notifications.exists({ user: impostor.user._id, type: 'follower' }), null);
+});
+
+test('notifications are marked read one at a time or all together', async () => {
+  const { user, client } = await site.createUser();
+  const [first] = await Promise.all([
+    repos.notifications.create({ user: user._id, type: 'comment', message: 'One', url: article.url }),
+    repos.notifications.create({ user: user._id, type: 'reply', message: 'Two' }),
+    repos.notifications.create({ user: user._id, type: 'follower', message: 'Three' })
+  ]);
+
+  assert.equal((await client.api('GET', '/api/notifications')).json().unreadCount, 3);
+  assert.match((await client.get('/notifications')).text, /Three/);
+
+  const opened = await client.post(`/notifications/${first._id}/read?open=1`);
+  assert.equal(opened.location, article.url);
+
+  const one = await client.api('POST', `/notifications/${first._id}/read`, {});
+  assert.equal(one.json().unreadCount, 2);
+
+  const all = await client.api('POST', '/notifications/read-all', {});
+  assert.equal(all.json().unreadCount, 0);
+
+  const { client: other } = await site.createUser();
+  assert.equal((await other.api('POST', `/notifications/${first._id}/read`, {})).status, 404);
+  assert.equal((await site.client().get('/notifications')).status, 302);
+});
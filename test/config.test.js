@@ -0,0 +1,106 @@
+// test/config.test.js
+// lib/config.js: defaults, parsing, the optional config file and the checks
+// that stop a production server from starting half-configured
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, ConfigError } = require('../lib/config');
+
+const SECRET = 'x'.repeat(40);
+const PRODUCTION = {
+  NODE_ENV: 'production',
+  SESSION_SECRET: SECRET,
+  SITE_URL: 'https://unreadarchive.com',
+  MONGO_URL: 'mongodb://db/archive'
+};
+
+function withConfigFile(values, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unread-archive-config-'));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(values));
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('development works with no settings at all', () => {
+  const config = loadConfig({ env: {} });
+  assert.equal(config.env, 'development');
+  assert.equal(config.port, 3000);
+  assert.equal(config.dataDriver, 'mongo');
+  assert.equal(config.sessionSecret.length, 1);
+  assert.equal(config.cookieSecure, false);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('environment variables are parsed by type', () => {
+  const config = loadConfig({
+    env: {
+      PORT: '8080',
+      COOKIE_SECURE: 'yes',
+      TRUST_PROXY: '1',
+      SESSION_SECRET: 'new-secret, old-secret',
+      SITE_URL: 'https://unreadarchive.com/',
+      DATA_DRIVER: 'memory',
+      MAIL_FROM: ''
+    }
+  });
+  assert.equal(config.port, 8080);
+  assert.equal(config.cookieSecure, true);
+  assert.equal(config.trustProxy, 1);
+  assert.deepEqual(config.sessionSecret, ['new-secret', 'old-secret']);
+  assert.equal(config.siteUrl, 'https://unreadarchive.com');
+  assert.equal(config.dataDriver, 'memory');
+  // empty counts as unset
+  assert.match(config.mailFrom, /Unread Archive/);
+});
+
+test('every problem is reported at once', () => {
+  assert.throws(
+    () => loadConfig({ env: { PORT: 'eighty', DATA_DRIVER: 'postgres', SITE_URL: 'ftp://example.com' } }),
+    err => {
+      assert.ok(err instanceof ConfigError);
+      assert.equal(err.problems.length, 3);
+      assert.match(err.message, /PORT should be a port number/);
+      assert.match(err.message, /DATA_DRIVER should be one of: mongo, memory, json/);
+      return true;
+    }
+  );
+});
+
+test('production needs a real session secret, SITE_URL and an explicit MONGO_URL', () => {
+  assert.throws(() => loadConfig({ env: { NODE_ENV: 'production' } }), err => {
+    assert.equal(err.problems.length, 3);
+    assert.match(err.message, /SESSION_SECRET is required in production/);
+    assert.match(err.message, /SITE_URL is required in production/);
+    assert.match(err.message, /MONGO_URL is required in production/);
+    return true;
+  });
+  assert.throws(
+    () => loadConfig({ env: { ...PRODUCTION, SESSION_SECRET: 'short' } }),
+    /at least 32 characters/
+  );
+
+  const config = loadConfig({ env: PRODUCTION });
+  assert.deepEqual(config.sessionSecret, [SECRET]);
+  assert.equal(config.cookieSecure, true);
+});
+
+test('a config file fills in what the environment leaves out', () => {
+  withConfigFile({ port: 4000, cookieSecure: true, mailTransport: 'file' }, file => {
+    const config = loadConfig({ env: { CONFIG_FILE: file, PORT: '5000' } });
+    assert.equal(config.port, 5000);
+    assert.equal(config.cookieSecure, true);
+    assert.equal(config.mailTransport, 'file');
+  });
+
+  withConfigFile({ prot: 4000 }, file => {
+    assert.throws(() => loadConfig({ env: { CONFIG_FILE: file } }), /unknown setting "prot"/);
+  });
+  assert.throws(() => loadConfig({ env: { CONFIG_FILE: '/no/such/config.json' } }), /could not be read/);
+});
@@ -0,0 +1,201 @@
+// test/discovery.test.js
+// Finding things to read: /api/articles paging and filters, tags (pages,
+// autocomplete, admin rename/merge), the featured piece, search, feeds and
+// "More like this"
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const repos = require('../repositories');
+const { startApp, createArticle } = require('./helpers');
+
+let site;
+let admin;
+let articles;
+
+before(async () => {
+  site = await startApp();
+  ({ client: admin } = await site.createUser({ role: 'admin' }));
+
+  // oldest first, a day apart
+  const day = 24 * 60 * 60 * 1000;
+  const start = Date.now() - 30 * day;
+  const pieces = [
+    { title: 'Whale Song', tags: ['Poem', 'Sea'], author: 'Ishmael Grey', content: 'The whale sang beneath the grey sea.' },
+    { title: 'Harbour Lights', tags: ['Story', 'Sea'], author: 'Ishmael Grey', content: 'Boats came home to the harbour at dusk.' },
+    { title: 'City Pigeons', tags: ['Essay', 'city'], author: 'Pat Park', content: 'Pigeons own the square by noon.' },
+    { title: 'Night Bus', tags: ['Story', 'City'], author: 'Pat Park', content: 'The night bus hums through empty streets.' },
+    { title: 'Tide Tables', tags: ['Poem', 'Sea'], author: 'Ishmael Grey', content: 'The tide keeps its own calendar of the sea.' }
+  ];
+  articles = [];
+  for (const [i, fields] of pieces.entries()) {
+    const article = await createArticle(fields);
+    await repos.articles.updateOne({ _id: article._id }, { publishedAt: new Date(start + i * day), views: i % 2 ? 10 : i });
+    articles.push(article);
+  }
+  await repos.books.create({ title: 'The Sea Around Us', description: 'Rachel Carson on the ocean.' });
+  await repos.quotes.create({ text: 'The sea, once it casts its spell, holds one in its net of wonder forever.', author: 'Jacques Cousteau' });
+});
+
+after(() => site.close());
+
+const titles = body => body.items.map(a => a.title);
+
+test('/api/articles pages through live articles with a cursor', async () => {
+  const client = site.client();
+  const first = await client.get('/api/articles?limit=2');
+  assert.equal(first.status, 200);
+  assert.deepEqual(titles(first.json()), ['Tide Tables', 'Night Bus']);
+  assert.match(first.headers.get('link'), /rel="next"/);
+
+  const second = (await client.get(`/api/articles?limit=2&cursor=${first.json().nextCursor}`)).json();
+  assert.deepEqual(titles(second), ['City Pigeons', 'Harbour Lights']);
+  const third = (await client.get(`/api/articles?limit=2&cursor=${second.nextCursor}`)).json();
+  assert.deepEqual(titles(third), ['Whale Song']);
+  assert.equal(third.nextCursor, null);
+});
+
+test('list items carry card fields only, never the body or its owner', async () => {
+  const [item] = (await site.client().get('/api/articles?limit=1')).json().items;
+  assert.equal(item.title, 'Tide Tables');
+  assert.ok(item.excerpt && item.url);
+  for (const field of ['content', 'contentHtml', 'contentHash', 'user', 'views']) {
+    assert.equal(item[field], undefined, field);
+  }
+  // the same goes for the cards written into the list pages
+  for (const url of ['/articles', '/archive', '/tags/sea']) {
+    assert.doesNotMatch((await site.client().get(url)).text, /"contentHtml"|"contentHash"/, url);
+  }
+});
+
+test('/api/articles filters and sorts', async () => {
+  const client = site.client();
+  assert.deepEqual(titles((await client.get('/api/articles?sort=oldest&limit=2')).json()), ['Whale Song', 'Harbour Lights']);
+  assert.deepEqual(titles((await client.get('/api/articles?tag=Poem')).json()), ['Tide Tables', 'Whale Song']);
+  assert.deepEqual(titles((await client.get('/api/articles?author=Pat%20Park')).json()), ['Night Bus', 'City Pigeons']);
+  assert.equal(titles((await client.get('/api/articles?sort=most-read')).json())[0], 'Night Bus');
+
+  assert.equal((await client.get('/api/articles?cursor=nonsense')).status, 400);
+  assert.equal((await client.get('/api/articles?from=someday')).status, 400);
+});
+
+test('tags: the index, a tag page, old slugs and autocomplete', async () => {
+  const client = site.client();
+  assert.match((await client.get('/tags')).text, /Sea/);
+
+  const page = await client.get('/tags/sea');
+  assert.equal(page.status, 200);
+  assert.match(page.text, /Whale Song/);
+  assert.doesNotMatch(page.text, /Night Bus/);
+  assert.equal((await client.get('/tags/Sea')).location, '/tags/sea');
+  assert.equal((await client.get('/tags/no-such-tag')).status, 404);
+
+  // "city" and "City" are one tag, spelt the way it was first used
+  const tags = (await client.get('/api/tags?q=ci')).json();
+  assert.deepEqual(tags, [{ name: 'city', slug: 'city', url: '/tags/city' }]);
+  assert.equal((await client.get('/api/tags')).json()[0].name, 'Sea');
+});
+
+test('admins rename and merge tags, and old links follow', async () => {
+  const city = await repos.tags.findOne({ slug: 'city' });
+  const renamed = await admin.post(`/admin/tags/${city._id}/rename`, { name: 'Urban' });
+  assert.equal(renamed.location, '/admin/tags');
+  assert.deepEqual(titles((await site.client().get('/api/articles?tag=Urban')).json()), ['Night Bus', 'City Pigeons']);
+  assert.equal((await site.client().get('/tags/city')).location, '/tags/urban');
+
+  const [poem, sea] = await Promise.all([repos.tags.findOne({ name: 'Poem' }), repos.tags.findOne({ name: 'Sea' })]);
+  await admin.post(`/admin/tags/${poem._id}/merge`, { into: String(sea._id) });
+  assert.equal(await repos.tags.findById(poem._id), null);
+  const whale = await repos.articles.findById(articles[0]._id);
+  assert.deepEqual([...whale.tags], ['Sea']);
+  assert.equal((await site.client().get('/tags/poem')).location, '/tags/sea');
+
+  // renaming onto a name that exists is refused
+  const story = await repos.tags.findOne({ name: 'Story' });
+  await admin.post(`/admin/tags/${story._id}/rename`, { name: 'sea' });
+  assert.equal((await repos.tags.findById(story._id)).name, 'Story');
+
+  // so is a name over the length limit, with the limit as the message
+  const tooLong = await admin.post(`/admin/tags/${story._id}/rename`, { name: 'x'.repeat(41) });
+  assert.equal(tooLong.location, '/admin/tags');
+  assert.match((await admin.get('/admin/tags')).text, /Keep tags under 40 characters\./);
+  assert.equal((await repos.tags.findById(story._id)).name, 'Story');
+});
+
+test('editors schedule the featured piece; otherwise it rotates daily', async () => {
+  const rotating = (await site.client().get('/api/featured/today')).json();
+  assert.equal(rotating.featured.source, 'rotation');
+
+  const { client: editor } = await site.createUser({ role: 'editor' });
+  const today = rotating.date;
+  const scheduled = await editor.post('/admin/featured', {
+    item: `article:${articles[2]._id}`, startsOn: today, endsOn: today, note: 'Our pick'
+  });
+  assert.equal(scheduled.location, '/admin/featured');
+
+  const featured = (await site.client().get('/api/featured/today')).json().featured;
+  assert.equal(featured.title, 'City Pigeons');
+  assert.equal(featured.source, 'scheduled');
+  assert.equal(featured.summary, 'Our pick');
+  assert.match((await site.client().get('/home')).text, /City Pigeons/);
+
+  assert.equal((await editor.post('/admin/featured', { item: 'article:nope', startsOn: today })).status, 400);
+
+  const feature = await repos.features.findOne({ article: articles[2]._id });
+  assert.equal((await editor.post(`/admin/featured/${feature._id}/delete`)).status, 302);
+  assert.equal(await repos.features.findById(feature._id), null);
+  assert.equal((await editor.post(`/admin/featured/${feature._id}/delete`)).status, 404);
+});
+
+test('search ranks articles, books and quotes together', async () => {
+  const res = (await site.client().get('/api/search?q=sea')).json();
+  assert.ok(res.total >= 4);
+  const types = new Set(res.results.map(r => r.type));
+  assert.ok(types.has('book') && types.has('quote'));
+  assert.match(res.results.find(r => r.title === 'The Sea Around Us').titleHtml, /<mark>Sea<\/mark>/);
+
+  const poems = (await site.client().get('/api/search?q=sea&type=poem')).json();
+  assert.ok(poems.results.every(r => r.type === 'poem'));
+  assert.equal((await site.client().get('/api/search?q=')).json().total, 0);
+  assert.match((await site.client().get('/search?q=pigeons')).text, /City <mark>Pigeons<\/mark>/);
+});
+
+test('feeds: RSS, Atom and JSON Feed, site-wide and per tag or author', async () => {
+  const client = site.client();
+  const rss = await client.get('/feed.xml');
+  assert.equal(rss.status, 200);
+  assert.match(rss.headers.get('content-type'), /application\/rss\+xml/);
+  assert.match(rss.text, /<title>Tide Tables<\/title>/);
+
+  assert.match((await client.get('/atom.xml')).text, /<feed/);
+  const json = (await client.get('/tags/sea/feed.json')).json();
+  assert.ok(json.items.every(item => !/Night Bus|City Pigeons/.test(item.title)));
+
+  // author feeds go by account: Night Bus has Pat Park's byline but not the account
+  const { user: pat } = await site.createUser({ name: 'Pat Park' });
+  await repos.articles.updateOne({ _id: articles[2]._id }, { user: pat._id });
+  const byPat = (await client.get(`/authors/${pat._id}/feed.json`)).json();
+  assert.deepEqual(byPat.items.map(item => item.title), ['City Pigeons']);
+  assert.match(byPat.title, /Pat Park/);
+  assert.equal((await client.get('/authors/Pat%20Park/feed.json')).status, 404);
+  const page = (await client.get(articles[2].url)).text;
+  assert.match(page, new RegExp(`href="/authors/${pat._id}/feed.xml"`));
+
+  // as a feed reader asks (fetch() would add "Cache-Control: no-cache" to a conditional request)
+  const status = await new Promise((resolve, reject) => {
+    http.get(`${site.baseUrl}/feed.xml`, { headers: { 'If-None-Match': rss.headers.get('etag') } }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+  assert.equal(status, 304);
+});
+
+test('"More like this" finds pieces by the same writer or on the same subject', async () => {
+  const res = await site.client().get(`/api/recommendations/article/${articles[0].slug}?limit=3`);
+  assert.equal(res.status, 200);
+  const found = res.json().items.map(item => item.title);
+  assert.ok(found.includes('Tide Tables'));
+  assert.ok(!found.includes('Whale Song'));
+  assert.equal((await site.client().get('/api/recommendations/article/no-such-slug')).status, 404);
+});
@@ -0,0 +1,201 @@
+// test/helpers.js
+// What every HTTP test starts from: the app (app.js) on a random port over the
+// memory storage driver, emails kept in a list instead of sent, and a small
+// client that behaves like a browser (cookies, the CSRF token from the page).
+// `npm test` runs each test file in its own process, so each starts empty.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repos = require('../repositories');
+const { memoryDriver } = require('../repositories/memory');
+const { setTransport } = require('../lib/mailer');
+const { setStore, MemoryStore } = require('../lib/rateLimit');
+const { setStorage, localStorage } = require('../lib/storage');
+
+const PASSWORD = 'correct horse 42';
+
+// Every request is the first in its window, so files that sign up a dozen
+// accounts aren't turned away; the rate limit tests swap a real store back in
+const unlimitedStore = {
+  async increment(key, windowMs) {
+    return { count: 1, resetAt: Date.now() + windowMs };
+  },
+  async reset() {}
+};
+
+function useRealRateLimits() {
+  setStore(new MemoryStore());
+}
+
+class TestClient {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    this.cookies = new Map();
+    this.csrf = null;
+  }
+
+  /**
+   * One request; redirects are not followed so tests can check them.
+   * @param {object} options  { form, json, multipart (a FormData), headers, csrf: false to send no token }
+   * @returns {Promise<{status, headers, location, text, json()}>}
+   */
+  async request(method, url, { form, json, multipart, headers = {}, csrf = true } = {}) {
+    const sent = { ...headers };
+    // first, as fetching the token may start the session
+    if (csrf && !['GET', 'HEAD'].includes(method)) {
+      sent['X-CSRF-Token'] = await this.csrfToken();
+    }
+    if (this.cookies.size) {
+      sent.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    let body;
+    if (form) {
+      body = new URLSearchParams(form).toString();
+      sent['Content-Type'] = 'application/x-www-form-urlencoded';
+    } else if (multipart) {
+      body = multipart;  // fetch sets the multipart Content-Type and boundary
+    } else if (json !== undefined) {
+      body = JSON.stringify(json);
+      sent['Content-Type'] = 'application/json';
+      sent.Accept = sent.Accept || 'application/json';
+    }
+
+    const res = await fetch(this.baseUrl + url, { method, headers: sent, body, redirect: 'manual' });
+    res.headers.getSetCookie().forEach(cookie => {
+      const [pair] = cookie.split(';');
+      const [name, ...value] = pair.split('=');
+      // a new session (signing in or out) comes with a new token
+      if (name.trim() === 'unread.sid' && this.cookies.has('unread.sid') &&
+        this.cookies.get('unread.sid') !== value.join('=')) {
+        this.csrf = null;
+      }
+      this.cookies.set(name.trim(), value.join('='));
+    });
+
+    const text = await res.text();
+    return {
+      status: res.status,
+      headers: res.headers,
+      location: res.headers.get('location'),
+      text,
+      json: () => JSON.parse(text)
+    };
+  }
+
+  get(url, options) {
+    return this.request('GET', url, options);
+  }
+
+  post(url, form = {}, options = {}) {
+    return this.request('POST', url, { ...options, form });
+  }
+
+  // JSON in and out, as the page scripts call the APIs
+  api(method, url, json, options = {}) {
+    return this.request(method, url, { ...options, json, headers: { Accept: 'application/json', ...options.headers } });
+  }
+
+  // The session's token, as the pages carry it: <meta name="csrf-token"> for
+  // page scripts when signed in, a hidden _csrf field in every form
+  async csrfToken() {
+    if (!this.csrf) {
+      const page = await this.get('/signin');
+      const match = /<meta name="csrf-token" content="([^"]+)"/.exec(page.text) ||
+        /name="_csrf" value="([^"]+)"/.exec(page.text);
+      if (!match) throw new Error('No CSRF token on /signin');
+      this.csrf = match[1];
+    }
+    return this.csrf;
+  }
+
+  async signUp({ name = 'Test Reader', email, password = PASSWORD } = {}) {
+    const res = await this.post('/signup', { name, email, password });
+    if (res.status !== 302) throw new Error(`Sign-up for ${email} answered ${res.status}`);
+    return res;
+  }
+
+  async signIn(email, password = PASSWORD) {
+    const res = await this.post('/signin', { email, password });
+    if (res.status !== 302) throw new Error(`Sign-in for ${email} answered ${res.status}`);
+    return res;
+  }
+
+  signOut() {
+    return this.post('/logout');
+  }
+}
+
+/**
+ * Start the app over a fresh memory driver.
+ * @returns {Promise<{ baseUrl, sentMail, uploadDir, client(), createUser(fields), close() }>}
+ */
+async function startApp() {
+  repos.setDriver(memoryDriver());
+  await repos.connect();
+
+  const sentMail = [];
+  setTransport({ name: 'test', async send(message) { sentMail.push(message); } });
+  setStore(unlimitedStore);
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unread-archive-test-'));
+  setStorage(localStorage(uploadDir));
+
+  const app = require('../app');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let users = 0;
+  return {
+    baseUrl,
+    sentMail,
+    uploadDir,
+    client: () => new TestClient(baseUrl),
+
+    // An account with the given role, and a client already signed in as it
+    async createUser({ role = 'reader', name, email } = {}) {
+      users++;
+      email = email || `${role}${users}@example.com`;
+      const user = await repos.users.create({ name: name || `${role} ${users}`, email, password: PASSWORD, role });
+      const client = new TestClient(baseUrl);
+      await client.signIn(email);
+      return { user, client };
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await repos.disconnect();
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Event handlers (notifications, recommendations) run after the response:
+// retry `check` until it stops throwing
+async function eventually(check, { timeoutMs = 2000, intervalMs = 20 } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > until) throw err;
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+}
+
+// A live article straight into storage, for tests that only need one to exist
+function createArticle(fields = {}) {
+  return repos.articles.create({
+    title: 'A Quiet Morning',
+    content: 'The kettle sang while the city was still asleep.',
+    tags: ['Essay'],
+    author: 'Jane Doe',
+    ...fields
+  });
+}
+
+module.exports = { startApp, eventually, createArticle, useRealRateLimits, PASSWORD, TestClient };
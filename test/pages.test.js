@@ -0,0 +1,117 @@
+// test/pages.test.js
+// The public pages render without a database, unknown URLs get the 404 page
+// and errors get the error page
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const repos = require('../repositories');
+const { startApp, createArticle } = require('./helpers');
+
+let site;
+let article;
+
+before(async () => {
+  site = await startApp();
+  article = await createArticle({ title: 'Letters From the Lighthouse', tags: ['Poem', 'Sea'] });
+  await repos.books.create({ title: 'The Salt Road', description: 'A novel about leaving.' });
+  await repos.quotes.create({ text: 'Read the unread.', author: 'Anonymous' });
+});
+
+after(() => site.close());
+
+test('/ redirects to /home', async () => {
+  const res = await site.client().get('/');
+  assert.equal(res.status, 302);
+  assert.equal(res.location, '/home');
+});
+
+for (const url of ['/home', '/about', '/archive', '/articles', '/books', '/signin', '/tags', '/search?q=lighthouse', '/forgot-password']) {
+  test(`GET ${url} renders a page`, async () => {
+    const res = await site.client().get(url);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.match(res.text, /<html/i);
+  });
+}
+
+test('listing pages show stored content', async () => {
+  const client = site.client();
+  assert.match((await client.get('/archive')).text, /Letters From the Lighthouse/);
+  assert.match((await client.get('/articles')).text, /Read the unread\./);
+  assert.match((await client.get('/books')).text, /The Salt Road/);
+});
+
+test('an article reads at its slug, and its id redirects there', async () => {
+  const client = site.client();
+  const page = await client.get(`/articles/${article.slug}`);
+  assert.equal(page.status, 200);
+  assert.match(page.text, /Letters From the Lighthouse/);
+
+  const byId = await client.get(`/articles/${article._id}`);
+  assert.equal(byId.status, 301);
+  assert.equal(byId.location, article.url);
+});
+
+test('reading an article counts a view', async () => {
+  const before = (await repos.articles.findById(article._id)).views;
+  await site.client().get(`/articles/${article.slug}`);
+  // the count is written after the response
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal((await repos.articles.findById(article._id)).views, before + 1);
+});
+
+test('drafts are not readable by other people', async () => {
+  const draft = await createArticle({ title: 'Half a Thought', status: 'draft' });
+  const res = await site.client().get(`/articles/${draft.slug}`);
+  assert.equal(res.status, 404);
+});
+
+test('unknown pages get the 404 page', async () => {
+  const client = site.client();
+  assert.equal((await client.get('/no-such-page')).status, 404);
+  assert.equal((await client.get('/articles/no-such-article')).status, 404);
+  assert.equal((await client.get(`/articles/${'0'.repeat(24)}`)).status, 404);
+});
+
+test('errors get the error page, or JSON for the APIs, never a stack trace', async () => {
+  const client = site.client();
+  const badJson = await fetch(`${site.baseUrl}/api/follows`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"kind": '
+  });
+  assert.equal(badJson.status, 400);
+  assert.deepEqual(await badJson.json(), { error: 'The body is not valid JSON.' });
+
+  // repositories failing mid-request
+  const { books, bookSuggestions } = repos.getRepositories();
+  const finds = [books.find, bookSuggestions.find];
+  books.find = bookSuggestions.find = () => { throw new Error('disk on fire'); };
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const page = await client.get('/books');
+    assert.equal(page.status, 500);
+    assert.match(page.text, /Something went wrong/);
+    assert.doesNotMatch(page.text, /disk on fire|at .*\.js:\d+/);
+
+    const api = await client.get('/api/suggestions');
+    assert.equal(api.status, 500);
+    assert.deepEqual(api.json(), { error: 'Something went wrong on our side. Please try again.' });
+  } finally {
+    [books.find, bookSuggestions.find] = finds;
+    console.error = originalError;
+  }
+});
+
+test('/signup sends people to the sign-in page, keeping where they were going', async () => {
+  const res = await site.client().get('/signup?returnTo=/books');
+  assert.equal(res.status, 302);
+  assert.equal(res.location, '/signin?returnTo=%2Fbooks');
+});
+
+test('static files are served', async () => {
+  const res = await site.client().get('/bundle.js');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /javascript/);
+});
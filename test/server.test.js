@@ -0,0 +1,143 @@
+// test/server.test.js
+// server.js as it runs in production, in a child process: health endpoints,
+// sessions that outlive a restart, graceful shutdown on SIGTERM and refusing
+// to start without its settings
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const http = require('node:http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TestClient } = require('./helpers');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unread-archive-server-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Run server.js over a JSON data file in `dir`; resolves once it is listening
+function launch(env = {}) {
+  const { NODE_ENV, SESSION_SECRET, CONFIG_FILE, ...inherited } = process.env;
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...inherited,
+      PORT: '0',
+      DATA_DRIVER: 'json',
+      DATA_FILE: path.join(dir, 'archive.json'),
+      UPLOAD_DIR: path.join(dir, 'uploads'),
+      MAIL_TRANSPORT: 'file',
+      MAIL_DIR: path.join(dir, 'mail'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+  const listening = new Promise((resolve, reject) => {
+    const onData = chunk => {
+      output += chunk;
+      const match = /running on (http:\/\/localhost:\d+)/.exec(output);
+      if (match) resolve(match[1]);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    exited.then(code => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+  });
+
+  return {
+    child,
+    listening,
+    exited,
+    output: () => output,
+    async stop(signal = 'SIGTERM') {
+      child.kill(signal);
+      return exited;
+    }
+  };
+}
+
+test('/healthz and /readyz report storage without starting a session', async () => {
+  const server = launch();
+  try {
+    const baseUrl = await server.listening;
+
+    const health = await fetch(`${baseUrl}/healthz`);
+    assert.equal(health.status, 200);
+    assert.deepEqual((await health.json()).storage, { driver: 'json', connected: true });
+    assert.deepEqual(health.headers.getSetCookie(), []);
+
+    const ready = await fetch(`${baseUrl}/readyz`);
+    assert.equal(ready.status, 200);
+    assert.equal((await ready.json()).status, 'ready');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('sessions outlive a restart, in a locked-down cookie', async () => {
+  const first = launch();
+  const client = new TestClient(await first.listening);
+  const signup = await client.signUp({ email: 'stays@example.com' });
+  const cookie = signup.headers.getSetCookie().find(c => c.startsWith('unread.sid='));
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /SameSite=Lax/);
+  assert.match(cookie, /Expires=/);
+  assert.equal((await client.get('/account')).status, 200);
+
+  assert.equal(await first.stop(), 0);
+  assert.match(first.output(), /SIGTERM received/);
+  assert.match(first.output(), /Stopped/);
+
+  const second = launch();
+  try {
+    client.baseUrl = await second.listening;
+    assert.equal((await client.get('/account')).status, 200);
+  } finally {
+    await second.stop();
+  }
+});
+
+test('a request in flight finishes before the server stops', async () => {
+  const server = launch();
+  const { port } = new URL(await server.listening);
+
+  // half a form post, so the request is still arriving when the signal does
+  const body = 'email=slow%40example.com&password=x';
+  const req = http.request({ port, method: 'POST', path: '/signin', headers: {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Content-Length': Buffer.byteLength(body)
+  } });
+  const answered = new Promise((resolve, reject) => {
+    req.on('response', res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+  });
+  req.write(body.slice(0, 10));
+  req.flushHeaders();
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  server.child.kill('SIGTERM');
+  while (!/SIGTERM received/.test(server.output())) await new Promise(resolve => setTimeout(resolve, 20));
+  req.end(body.slice(10));
+
+  // answered (no CSRF token, so refused) rather than cut off
+  assert.equal(await answered, 403);
+  assert.equal(await server.exited, 0);
+});
+
+test('production refuses to start without its secrets', async () => {
+  const server = launch({ NODE_ENV: 'production' });
+  await assert.rejects(server.listening, /exited with 1/);
+  assert.match(server.output(), /Could not start: Invalid configuration/);
+  assert.match(server.output(), /SESSION_SECRET is required in production/);
+});
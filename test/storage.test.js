@@ -0,0 +1,151 @@
+// test/storage.test.js
+// The memory/JSON storage driver answers the queries the app makes the way
+// MongoDB would, and the JSON file keeps data across restarts
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRepositories, setDriver } = require('../repositories');
+const { memoryDriver } = require('../repositories/memory');
+
+let repos;
+
+beforeEach(async () => {
+  repos = createRepositories(memoryDriver());
+  await repos.driver.connect();
+});
+
+async function addArticles() {
+  const day = 24 * 60 * 60 * 1000;
+  const made = [];
+  for (const [i, [title, tags, views]] of [['Alpha', ['Poem'], 5], ['Beta', ['Story', 'Sea'], 50], ['Gamma', ['Poem', 'Sea'], 0]].entries()) {
+    made.push(await repos.articles.create({ title, tags, views, content: `${title} body`, publishedAt: new Date(Date.UTC(2025, 0, 1) + i * day) }));
+  }
+  return made;
+}
+
+test('filters, sorting, paging and counting', async () => {
+  await addArticles();
+  const titles = docs => docs.map(d => d.title);
+
+  assert.deepEqual(titles(await repos.articles.find({ tags: 'Sea' }).sort({ title: 1 })), ['Beta', 'Gamma']);
+  assert.deepEqual(titles(await repos.articles.find({ views: { $gte: 5 } }).sort('-views')), ['Beta', 'Alpha']);
+  assert.deepEqual(titles(await repos.articles.find({ $or: [{ title: 'Alpha' }, { tags: { $all: ['Poem', 'Sea'] } }] }).sort({ publishedAt: -1 })), ['Gamma', 'Alpha']);
+  assert.deepEqual(titles(await repos.articles.find({ title: /^[AB]/ }).sort({ title: -1 }).skip(1).limit(1)), ['Alpha']);
+  assert.deepEqual(titles(await repos.articles.find({ tags: { $size: 1 } })), ['Alpha']);
+  assert.deepEqual(titles(await repos.articles.find({ tags: { $nin: ['Poem'] } })), ['Beta']);
+
+  assert.equal(await repos.articles.countDocuments({ tags: { $in: ['Story', 'Poem'] } }), 3);
+  assert.deepEqual((await repos.articles.distinct('tags')).sort(), ['Poem', 'Sea', 'Story']);
+  assert.ok(await repos.articles.exists({ title: 'Beta' }));
+  assert.equal(await repos.articles.exists({ title: 'Delta' }), null);
+});
+
+test('reads come back as documents, or plain objects with lean()', async () => {
+  const [alpha] = await addArticles();
+  const doc = await repos.articles.findById(String(alpha._id));
+  assert.equal(typeof doc.isLive, 'function');
+  assert.ok(doc.publishedAt instanceof Date);
+
+  const lean = await repos.articles.findOne({ _id: alpha._id }).lean();
+  assert.equal(lean.isLive, undefined);
+  assert.equal(lean.title, 'Alpha');
+
+  // changing what was read changes nothing stored until it is saved
+  doc.title = 'Changed';
+  assert.equal((await repos.articles.findById(alpha._id)).title, 'Alpha');
+  await repos.articles.save(doc);
+  assert.equal((await repos.articles.findById(alpha._id)).title, 'Changed');
+});
+
+test('filters are cast by the schema, with the same errors as Mongoose', async () => {
+  const [alpha] = await addArticles();
+  assert.equal((await repos.articles.find({ views: '5' })).length, 1);
+  assert.equal((await repos.articles.find({ _id: String(alpha._id) })).length, 1);
+  await assert.rejects(repos.articles.findById('not-an-id'), { name: 'CastError' });
+});
+
+test('update operators', async () => {
+  const [alpha] = await addArticles();
+  const result = await repos.articles.updateOne({ _id: alpha._id }, { $inc: { views: 2 }, $addToSet: { tags: 'Sea' } });
+  assert.equal(result.modifiedCount, 1);
+  let stored = await repos.articles.findById(alpha._id);
+  assert.equal(stored.views, 7);
+  assert.deepEqual([...stored.tags], ['Poem', 'Sea']);
+
+  await repos.articles.updateMany({ tags: 'Sea' }, { $pull: { tags: 'Sea' } });
+  assert.equal(await repos.articles.countDocuments({ tags: 'Sea' }), 0);
+
+  stored = await repos.articles.findOneAndUpdate({ title: 'Beta' }, { $set: { excerpt: 'New' } }, { new: true });
+  assert.equal(stored.excerpt, 'New');
+
+  const upserted = await repos.follows.updateOne(
+    { user: alpha._id, kind: 'tag', key: 'poem' },
+    { $setOnInsert: { name: 'Poem' } },
+    { upsert: true }
+  );
+  assert.equal(upserted.upsertedCount, 1);
+  assert.equal((await repos.follows.findOne({ key: 'poem' })).name, 'Poem');
+});
+
+test('unique indexes are enforced (sparse ones skip missing values)', async () => {
+  await repos.users.create({ email: 'one@example.com', password: 'secret pass 1' });
+  await assert.rejects(repos.users.create({ email: 'ONE@example.com', password: 'secret pass 1' }), { code: 11000 });
+  // externalKey is unique but sparse: any number of articles can go without one
+  await addArticles();
+  assert.equal(await repos.articles.countDocuments(), 3);
+});
+
+test('validation runs on save', async () => {
+  await assert.rejects(repos.books.create({ title: '' }), { name: 'ValidationError' });
+  assert.equal(await repos.books.countDocuments(), 0);
+});
+
+test('populate and aggregate', async () => {
+  const user = await repos.users.create({ email: 'p@example.com', name: 'Pop', password: 'secret pass 1' });
+  const [alpha, beta] = await addArticles();
+  await repos.comments.create({ article: alpha._id, user: user._id, authorName: 'Pop', text: 'one', status: 'approved' });
+  await repos.comments.create({ article: alpha._id, user: user._id, authorName: 'Pop', text: 'two', status: 'approved' });
+  await repos.comments.create({ article: beta._id, user: user._id, authorName: 'Pop', text: 'three', status: 'hidden' });
+
+  const [comment] = await repos.comments.find({ text: 'one' }).populate('user', 'name').populate('article');
+  assert.equal(comment.user.name, 'Pop');
+  assert.equal(comment.article.title, 'Alpha');
+
+  const counts = await repos.comments.aggregate([
+    { $match: { status: 'approved' } },
+    { $group: { _id: '$article', count: { $sum: 1 } } }
+  ]);
+  assert.deepEqual(counts.map(c => [String(c._id), c.count]), [[String(alpha._id), 2]]);
+});
+
+test('$text search is not available, so callers fall back', async () => {
+  await addArticles();
+  await assert.rejects(repos.articles.find({ $text: { $search: 'alpha' } }), { name: 'UnsupportedQueryError' });
+});
+
+test('the JSON file keeps data across restarts', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unread-archive-data-'));
+  const file = path.join(dir, 'archive.json');
+  try {
+    const first = createRepositories(memoryDriver({ file }));
+    await first.driver.connect();
+    const book = await first.books.create({ title: 'Kept', description: 'Survives a restart.' });
+    await first.driver.disconnect();
+    assert.ok(fs.existsSync(file));
+
+    const second = createRepositories(memoryDriver({ file }));
+    await second.driver.connect();
+    const found = await second.books.findById(book._id);
+    assert.equal(found.title, 'Kept');
+    assert.ok(found.createdAt instanceof Date);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('setDriver refuses something that is not a driver', () => {
+  assert.throws(() => setDriver({ collection() {} }), /connect, disconnect, isConnected/);
+});
@@ -0,0 +1,226 @@
+// test/write.test.js
+// The write page: anonymous and signed-in submissions, drafts and autosave,
+// scheduling, editing, deleting, the live preview and revision history
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const sharp = require('sharp');
+
+const repos = require('../repositories');
+const { publishDueArticles } = require('../lib/scheduler');
+const { startApp, createArticle, PASSWORD } = require('./helpers');
+
+let site;
+
+before(async () => {
+  site = await startApp();
+});
+
+after(() => site.close());
+
+const piece = (fields = {}) => ({
+  title: 'Rain on the Tin Roof',
+  tags: 'Poem, weather',
+  content: 'It drummed all night\nand nobody minded.',
+  ...fields
+});
+
+test('anyone can publish; anonymous pieces are shown as Anonymous', async () => {
+  const res = await site.client().post('/write', piece({ author: 'Someone Famous' }));
+  assert.equal(res.status, 302);
+
+  const article = await repos.articles.findOne({ title: 'Rain on the Tin Roof' });
+  assert.equal(res.location, article.url);
+  assert.equal(article.author, 'Anonymous');
+  assert.equal(article.status, 'published');
+  assert.deepEqual([...article.tags], ['Poem', 'weather']);
+  assert.ok(await repos.tags.findOne({ name: 'weather' }), 'new tags join the vocabulary');
+});
+
+test('the same text again is refused as a duplicate', async () => {
+  const res = await site.client().post('/write', piece({ title: 'Copy' }));
+  assert.equal(res.status, 409);
+});
+
+test('the form comes back with errors for a piece without a title', async () => {
+  const res = await site.client().post('/write', piece({ title: '', content: 'Something new entirely.' }));
+  assert.equal(res.status, 400);
+  assert.match(res.text, /Give your piece a title\./);
+});
+
+test('a cover uploaded with a refused piece is not kept', async () => {
+  const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#345' } }).png().toBuffer();
+  const form = fields => {
+    const data = new FormData();
+    Object.entries(piece(fields)).forEach(([name, value]) => data.append(name, value));
+    data.append('coverUpload', new Blob([png], { type: 'image/png' }), 'cover.png');
+    return data;
+  };
+  const client = site.client();
+
+  const untitled = await client.request('POST', '/write', { multipart: form({ title: '', content: 'A cover and no title.' }) });
+  assert.equal(untitled.status, 400);
+  assert.match(untitled.text, /Choose the image again/);
+  assert.doesNotMatch(untitled.text, /\/uploads\//);
+
+  const duplicate = await client.request('POST', '/write', { multipart: form({ title: 'Copy with a cover' }) });
+  assert.equal(duplicate.status, 409);
+  assert.deepEqual(fs.readdirSync(site.uploadDir), []);
+
+  const kept = await client.request('POST', '/write', { multipart: form({ title: 'Cover', content: 'A cover that stays.' }) });
+  assert.equal(kept.status, 302);
+  assert.equal(fs.readdirSync(site.uploadDir).length, 2);
+});
+
+test('the hidden bot field blocks a submission', async () => {
+  const res = await site.client().post('/write', piece({ content: 'Bots write this.', website: 'http://spam.example' }));
+  assert.equal(res.status, 400);
+});
+
+test('tags use the spelling already in the vocabulary', async () => {
+  const { client } = await site.createUser();
+  await client.post('/write', piece({ title: 'Fog', tags: 'POEM', content: 'Fog on the harbour.' }));
+  const article = await repos.articles.findOne({ title: 'Fog' });
+  assert.deepEqual([...article.tags], ['Poem']);
+});
+
+test('a writer without a name is "Anonymous", never their email', async () => {
+  const user = await repos.users.create({ email: 'nameless.writer@example.com', password: PASSWORD });
+  const client = site.client();
+  await client.signIn(user.email);
+  await client.post('/write', piece({ title: 'No Name Given', content: 'Who wrote this?' }));
+
+  const article = await repos.articles.findOne({ title: 'No Name Given' });
+  assert.equal(article.author, 'Anonymous');
+  const [revision] = await repos.revisions.find({ kind: 'article', doc: article._id });
+  assert.equal(revision.editorName, 'Anonymous');
+  const history = await client.get(`/write/${article._id}/history`);
+  assert.equal(history.status, 200);
+  assert.doesNotMatch(history.text, /nameless\.writer/);
+});
+
+test('drafts stay private and show up in My Drafts', async () => {
+  const { client, user } = await site.createUser({ name: 'Dana Writer' });
+  const res = await client.post('/write', piece({ title: 'Unfinished', content: 'Not yet.', action: 'draft' }));
+  const draft = await repos.articles.findOne({ title: 'Unfinished' });
+  assert.equal(res.location, `/write/${draft._id}`);
+  assert.equal(draft.status, 'draft');
+  assert.equal(String(draft.user), String(user._id));
+  assert.equal(draft.author, 'Dana Writer');
+
+  assert.match((await client.get('/write/drafts')).text, /Unfinished/);
+  assert.equal((await client.get(`/articles/${draft.slug}`)).status, 200, 'the writer can preview it');
+  assert.equal((await site.client().get(`/articles/${draft.slug}`)).status, 404);
+  assert.doesNotMatch((await site.client().get('/archive')).text, /Unfinished/);
+});
+
+test('scheduled pieces go live once their time comes', async () => {
+  const { client } = await site.createUser();
+  const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const res = await client.post('/write', piece({ title: 'Tomorrow', content: 'Later.', publishAt }));
+  assert.equal(res.location, '/write/drafts');
+
+  const article = await repos.articles.findOne({ title: 'Tomorrow' });
+  assert.equal(article.status, 'scheduled');
+  assert.equal((await site.client().get(`/articles/${article.slug}`)).status, 404);
+
+  await repos.articles.updateOne({ _id: article._id }, { publishAt: new Date(Date.now() - 1000) });
+  await publishDueArticles();
+  assert.equal((await repos.articles.findById(article._id)).status, 'published');
+  assert.equal((await site.client().get(`/articles/${article.slug}`)).status, 200);
+});
+
+test('autosave creates a draft, then keeps it up to date', async () => {
+  const { client } = await site.createUser();
+  const created = await client.api('POST', '/api/drafts', { title: 'Autosaved', content: 'First words' });
+  assert.equal(created.status, 201);
+  const { id } = created.json();
+
+  const updated = await client.api('PUT', `/api/drafts/${id}`, { title: 'Autosaved', content: 'First words, then more' });
+  assert.equal(updated.status, 200);
+  assert.equal((await repos.articles.findById(id)).content, 'First words, then more');
+
+  const { client: stranger } = await site.createUser();
+  assert.equal((await stranger.api('PUT', `/api/drafts/${id}`, { content: 'mine now' })).status, 403);
+  assert.equal((await client.api('PUT', `/api/drafts/${'0'.repeat(24)}`, {})).status, 404);
+  assert.equal((await site.client().api('POST', '/api/drafts', {})).status, 401);
+});
+
+test('published pieces are not autosaved', async () => {
+  const { client, user } = await site.createUser();
+  const article = await createArticle({ title: 'Live Already', content: 'Out there.', user: user._id });
+  assert.equal((await client.api('PUT', `/api/drafts/${article._id}`, { content: 'oops' })).status, 409);
+});
+
+test('writers edit their own pieces; others cannot', async () => {
+  const { client, user } = await site.createUser();
+  const article = await createArticle({ title: 'Before', content: 'Old text.', user: user._id, author: user.name });
+
+  assert.equal((await client.get(`/write/${article._id}`)).status, 200);
+  const res = await client.post(`/write/${article._id}`, piece({ title: 'After', content: 'New text.' }));
+  assert.equal(res.status, 302);
+  const edited = await repos.articles.findById(article._id);
+  assert.equal(edited.title, 'After');
+  assert.equal(edited.slug, article.slug, 'the permalink stays once published');
+
+  const { client: stranger } = await site.createUser();
+  assert.equal((await stranger.get(`/write/${article._id}`)).status, 403);
+  assert.equal((await stranger.post(`/write/${article._id}`, piece())).status, 403);
+  assert.equal((await site.client().get(`/write/${article._id}`)).status, 302);
+});
+
+test('admins can edit anyone\'s piece without taking the byline', async () => {
+  const { user } = await site.createUser({ name: 'Original Writer' });
+  const article = await createArticle({ title: 'Typo Here', content: 'Teh end.', user: user._id, author: 'Original Writer' });
+  const { client: admin } = await site.createUser({ role: 'admin' });
+  await admin.post(`/write/${article._id}`, piece({ title: 'Typo Fixed', content: 'The end.', author: 'Admin' }));
+  const edited = await repos.articles.findById(article._id);
+  assert.equal(edited.title, 'Typo Fixed');
+  assert.equal(edited.author, 'Original Writer');
+});
+
+test('history shows each revision and restores an old one', async () => {
+  const { client, user } = await site.createUser();
+  await client.post('/write', piece({ title: 'Version One', content: 'The first draft of it.' }));
+  const article = await repos.articles.findOne({ title: 'Version One' });
+  await client.post(`/write/${article._id}`, piece({ title: 'Version Two', content: 'The second draft of it.' }));
+
+  const revisions = await repos.revisions.historyOf('article', article._id);
+  assert.deepEqual(revisions.map(r => r.number), [2, 1]);
+  assert.equal(String(revisions[0].editor), String(user._id));
+
+  const history = await client.get(`/write/${article._id}/history`);
+  assert.equal(history.status, 200);
+  assert.match(history.text, /second/);
+
+  const restored = await client.post(`/write/${article._id}/history/1/restore`);
+  assert.equal(restored.status, 302);
+  assert.equal((await repos.articles.findById(article._id)).title, 'Version One');
+  assert.equal((await repos.revisions.historyOf('article', article._id)).length, 3);
+
+  assert.equal((await client.post(`/write/${article._id}/history/99/restore`)).status, 404);
+  const { client: stranger } = await site.createUser();
+  assert.equal((await stranger.get(`/write/${article._id}/history`)).status, 403);
+});
+
+test('deleting a piece removes it and its comments', async () => {
+  const { client, user } = await site.createUser();
+  const article = await createArticle({ title: 'Short Lived', content: 'Gone soon.', user: user._id });
+  await repos.comments.create({ article: article._id, user: user._id, authorName: 'x', text: 'First!' });
+
+  const { client: stranger } = await site.createUser();
+  assert.equal((await stranger.post(`/write/${article._id}/delete`)).status, 403);
+
+  const res = await client.post(`/write/${article._id}/delete`);
+  assert.equal(res.location, '/articles');
+  assert.equal(await repos.articles.findById(article._id), null);
+  assert.equal(await repos.comments.countDocuments({ article: article._id }), 0);
+});
+
+test('the preview renders Markdown without running scripts', async () => {
+  const res = await site.client().api('POST', '/api/preview', { content: '**bold** <script>alert(1)</script>' });
+  assert.equal(res.status, 200);
+  const { html } = res.json();
+  assert.match(html, /<strong>bold<\/strong>/);
+  assert.doesNotMatch(html, /<script>/);
+});